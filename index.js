@@ -5,314 +5,305 @@
  * Similar to PM2 but specialized for GTR applications
  */
 
-const { program } = require('commander');
-const { spawn, exec, execSync } = require('child_process');
+const { program, InvalidArgumentError } = require('commander');
 const fs = require('fs');
 const path = require('path');
-const os = require('os');
 const chalk = require('chalk');
 const Table = require('cli-table3');
+const { DUMP_FILE } = require('./lib/paths');
+const { isConfigFile } = require('./lib/config');
+const { listLogFiles } = require('./lib/log-files');
+const { parseTime, parsePattern, createLineParser, matchesQuery, getLogSources, queryLogs, toJSONEntry } = require('./lib/log-query');
+const { followFile } = require('./lib/log-tail');
+const { formatMegabytes } = require('./lib/units');
+const { describeCheck } = require('./lib/health');
+const { HOOKS, describeAction } = require('./lib/hooks');
+const { summarize } = require('./lib/metrics');
+const { RUNNING_STATUSES, formatUptime, getUptime, formatExit, getStatusWithColor, sparkline } = require('./lib/format');
+const { runDashboard } = require('./lib/dashboard');
+const { DEFAULT_WEB_PORT, DEFAULT_WEB_HOST, isLoopbackHost, createWebServer } = require('./lib/web');
+const { isRoot, resolvePlatform, resolveStartup, buildSystemdUnit, installUnit, removeUnit, buildSudoCommand } = require('./lib/startup');
+const { createError, toErrorObject, getExitCode } = require('./lib/errors');
+const { DEFAULT_NAMESPACE, ALL } = require('./lib/selector');
+const api = require('./lib/api');
 
-// Config directory
-const GTR_HOME = path.join(os.homedir(), '.gtr-manager');
-const PROCESS_FILE = path.join(GTR_HOME, 'processes.json');
-const LOG_DIR = path.join(GTR_HOME, 'logs');
-
-// Ensure GTR_HOME and LOG_DIR directory exists
-if (!fs.existsSync(GTR_HOME)) {
-  fs.mkdirSync(GTR_HOME, { recursive: true });
-}
-
-if (!fs.existsSync(LOG_DIR)) {
-  fs.mkdirSync(LOG_DIR, { recursive: true });
-}
-
-// Initialize empty processes file if it doesn't exist
-if (!fs.existsSync(PROCESS_FILE)) {
-  fs.writeFileSync(PROCESS_FILE, JSON.stringify([], null, 2));
-}
-
-// Helper function to read processes
-const readProcesses = () => {
-  try {
-    return JSON.parse(fs.readFileSync(PROCESS_FILE, 'utf8'));
-  } catch (error) {
-    console.error(chalk.red(`Error reading process file: ${error.message}`));
-    return [];
+// Helper function to check whether the output must be JSON (the global --json flag)
+const isJSON = () => Boolean(program.opts().json);
+
+// Helper function to print the result of a command as JSON
+const printJSON = (value) => console.log(JSON.stringify(value, null, 2));
+
+// Helper function to print the result of a command, as JSON or for humans
+const printResult = (result, print) => (isJSON() ? printJSON(result) : print(result));
+
+// Helper function to report a failed command on stderr, as text or as { error: { code, message } }, and exit
+// with the exit code of its error
+const fail = (action, error) => {
+  if (isJSON()) {
+    console.error(JSON.stringify({ error: toErrorObject(error) }));
+  } else {
+    console.error(chalk.red(`GTR Manager: Error ${action}: ${error.message}`));
   }
+  process.exitCode = getExitCode(error);
 };
 
-// Helper function to write processes
-const writeProcesses = (processes) => {
-  try {
-    fs.writeFileSync(PROCESS_FILE, JSON.stringify(processes, null, 2));
-    return true;
-  } catch (error) {
-    console.error(chalk.red(`Error writing process file: ${error.message}`));
-    return false;
+// Helper function to read the namespace and tag filters of a command
+const readFilters = options => ({ namespace: options.namespace, tags: options.tag });
+
+// Helper function to read the identifiers of a command acting on processes, all of them within the filters when
+// only filters are given
+const readIdentifiers = (identifiers, options) => {
+  if (identifiers.length > 0) {
+    return identifiers;
+  }
+  if (options.namespace || options.tag) {
+    return [ALL];
   }
+  throw createError('INVALID_OPTION', 'Missing identifier (an ID, PID, name, glob, /regex/, all or config file, or --namespace/--tag)');
 };
 
-// Helper function to generate a unique numeric ID
-const generateId = () => {
-  const processes = readProcesses();
-  const existingIds = new Set(processes.map(p => p.id));
-  
-  let id = 0;
-  while (existingIds.has(id)) {
-    id++;
+// Helper function to read the processes selected by a command, every process when it has neither identifiers nor filters
+const describeSelection = (identifiers, options) => (identifiers.length === 0 && !options.namespace && !options.tag
+  ? api.list()
+  : api.describe(readIdentifiers(identifiers, options), readFilters(options)));
+
+// Helper function to describe the targets of a command for humans
+const describeTargets = (identifiers, options) => {
+  const targets = identifiers.length === 0 || (identifiers.length === 1 && identifiers[0] === ALL) ? 'every application' : identifiers.join(', ');
+  return `${targets}${options.namespace ? ` in namespace ${options.namespace}` : ''}${options.tag ? ` tagged ${options.tag}` : ''}`;
+};
+
+// Helper function to describe the watch mode of a process
+const formatWatch = (processInfo) => {
+  if (!processInfo.watch) {
+    return 'disabled';
   }
   
-  return id;
+  const paths = Array.isArray(processInfo.watch) ? processInfo.watch.join(', ') : processInfo.cwd;
+  const ignored = (processInfo.ignoreWatch || ['node_modules', '.git']).join(', ');
+  return `enabled (${paths}, ignoring ${ignored})`;
 };
 
-// Helper function to find a process by ID, name, or PID
-const findProcess = (identifier) => {
-  const processes = readProcesses();
-  
-  // Try to parse as integer in case it's a PID or ID
-  const num = parseInt(identifier, 10);
-  
-  return processes.find(p => 
-    p.id === num || 
-    p.name === identifier || 
-    (!isNaN(num) && p.pid === num)
-  );
+// Helper function to describe the minimum, average and maximum of a metric over a history
+const formatSummary = (samples, key, format) => {
+  const summary = summarize(samples, key);
+  return summary ? `min ${format(summary.min)}, avg ${format(summary.avg)}, max ${format(summary.max)}` : 'no samples yet';
 };
 
-// Start a GTR application
-const startGTR = (name, script, options, existingId = null) => {
-  // Check if script exists
-  if (!fs.existsSync(script)) {
-    console.error(chalk.red(`GTR Manager: Script ${script} does not exist`));
-    return null;
+// Helper function to describe the memory and CPU limits of a process
+const formatLimits = (processInfo) => {
+  const limits = [];
+  if (processInfo.maxMemoryRestart) {
+    limits.push(`memory above ${formatMegabytes(processInfo.maxMemoryRestart)}`);
   }
-
-  // Check if there's already a process with the same name
-  const existingProcesses = readProcesses();
-  if (existingProcesses.some(p => p.name === name && p.status === 'online')) {
-    console.error(chalk.yellow(`GTR Manager: Process ${name} is already running. Use restart instead.`));
-    return null;
+  if (processInfo.maxCpuRestart) {
+    limits.push(`CPU above ${processInfo.maxCpuRestart}% for ${(processInfo.maxCpuDuration || 60000) / 1000}s`);
   }
+  return limits.length > 0 ? `restart when ${limits.join(' or ')}` : 'none';
+};
 
-  // Create log paths
-  const logFile = path.join(LOG_DIR, `${name}.log`);
-  const errorLogFile = path.join(LOG_DIR, `${name}-error.log`);
-  
-  const stdout = fs.openSync(logFile, 'a');
-  const stderr = fs.openSync(errorLogFile, 'a');
-  
-  try {
-    const env = { ...process.env, ...options.env };
-    const child = spawn('node', [script], {
-      detached: true,
-      stdio: ['ignore', stdout, stderr],
-      env
-    });
-
-    // Detach the child process
-    child.unref();
-    
-    // Save process info
-    const pid = child.pid;
-    const processes = readProcesses();
-    const id = existingId !== null ? existingId : generateId();
-    
-    const processInfo = {
-      id,
-      name,
-      pid,
-      script: path.resolve(script),
-      logFile,
-      errorLogFile,
-      status: 'online',
-      instances: parseInt(options.instances, 10) || 1,
-      restarts: existingId !== null ? (options.restarts || 0) + 1 : 0,
-      memory: 0,
-      cpu: 0,
-      env: options.env || {},
-      createdAt: existingId !== null ? options.createdAt : new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    };
-    
-    processes.push(processInfo);
-    
-    writeProcesses(processes);
-    
-    console.log(chalk.green(`GTR Manager: Process ${name} (id: ${id}, pid: ${pid}) started successfully`));
-    return id;
-  } catch (error) {
-    console.error(chalk.red(`GTR Manager: Error starting process ${name}: ${error.message}`));
-    return null;
+// Helper function to format the lifecycle hooks of a process
+const formatHooks = (hooks) => {
+  if (!hooks) {
+    return 'none';
   }
+  return Object.keys(hooks)
+    .map(hook => `${hook}: ${hooks[hook].map(action => `${describeAction(action)} (timeout ${action.timeout}ms, ${action.retries} retries)`).join(', ')}`)
+    .join('; ');
 };
 
-// Stop a GTR application
-const stopGTR = (identifier) => {
-  const processes = readProcesses();
-  const process = findProcess(identifier);
-  
-  if (!process) {
-    console.log(chalk.red(`GTR Manager: Process ${identifier} not found`));
-    return false;
+// Helper function to describe how a process exited when it was last stopped
+const formatStop = (processInfo) => {
+  if (processInfo.lastStop === 'forced') {
+    return chalk.red(' (killed after its kill timeout)');
   }
+  return processInfo.lastStop === 'clean' ? ' (exited cleanly)' : '';
+};
+
+// Helper function to build the process table shown by list and monitor
+const buildProcessTable = (processes) => {
+  const table = new Table({
+    head: ['ID', 'Name', 'Namespace', 'Mode', 'PID', 'Status', 'CPU', 'Memory', 'Restarts', 'Uptime'],
+    style: { head: ['cyan'] }
+  });
   
-  try {
-    process.status = 'stopping';
-    process.updatedAt = new Date().toISOString();
-    writeProcesses(processes);
+  processes.forEach(process => {
+    const uptime = getUptime(process) === null ? '0s' : formatUptime(getUptime(process));
     
-    if (process.pid) {
-      exec(`kill ${process.pid}`, (error) => {
-        if (error) {
-          console.error(chalk.yellow(`GTR Manager: Error stopping process ${process.name} gracefully, trying SIGKILL...`));
-          exec(`kill -9 ${process.pid}`, (error) => {
-            if (error) {
-              console.error(chalk.red(`GTR Manager: Error force killing process ${process.name}: ${error.message}`));
-            } else {
-              const updatedProcesses = readProcesses();
-              const processIndex = updatedProcesses.findIndex(p => p.id === process.id);
-              if (processIndex !== -1) {
-                updatedProcesses[processIndex].status = 'stopped';
-                updatedProcesses[processIndex].updatedAt = new Date().toISOString();
-                writeProcesses(updatedProcesses);
-              }
-            }
-          });
-        } else {
-          const updatedProcesses = readProcesses();
-          const processIndex = updatedProcesses.findIndex(p => p.id === process.id);
-          if (processIndex !== -1) {
-            updatedProcesses[processIndex].status = 'stopped';
-            updatedProcesses[processIndex].updatedAt = new Date().toISOString();
-            writeProcesses(updatedProcesses);
-          }
-          console.log(chalk.yellow(`GTR Manager: Process ${process.name} (id: ${process.id}, pid: ${process.pid}) stopped`));
-        }
-      });
+    table.push([
+      process.id,
+      process.name,
+      process.namespace || DEFAULT_NAMESPACE,
+      process.execMode || 'fork',
+      process.pid || 'N/A',
+      getStatusWithColor(process.status),
+      `${process.cpu.toFixed(1)}%`,
+      `${formatMegabytes(process.rss)} (${process.memory.toFixed(1)}%)`,
+      process.restarts,
+      uptime
+    ]);
+  });
+  
+  return table;
+};
+
+// Helper function to print the outcome of starting processes
+const printStarted = (name, started) => {
+  started.forEach(processInfo => {
+    if (processInfo.status === 'errored') {
+      console.error(chalk.red(`GTR Manager: Process ${name} (id: ${processInfo.id}, instance: ${processInfo.instance}) failed to start`));
     } else {
-      process.status = 'stopped';
-      writeProcesses(processes);
-      console.log(chalk.yellow(`GTR Manager: Process ${process.name} marked as stopped (no active PID)`));
+      console.log(chalk.green(`GTR Manager: Process ${name} (id: ${processInfo.id}, pid: ${processInfo.pid}) started successfully`));
     }
-    
-    return true;
-  } catch (error) {
-    console.error(chalk.red(`GTR Manager: Error stopping process ${process.name}: ${error.message}`));
-    return false;
+  });
+};
+
+// Helper function to print the outcome of applying a config file
+const printApplied = (results) => {
+  results.forEach(result => {
+    switch (result.action) {
+      case 'created':
+        printStarted(result.name, result.processes);
+        break;
+      case 'updated':
+        console.log(chalk.green(`GTR Manager: Process ${result.name} updated (${result.processes.length} instances)`));
+        break;
+      case 'started':
+        console.log(chalk.green(`GTR Manager: Process ${result.name} started again (${result.processes.length} instances)`));
+        break;
+      case 'unchanged':
+        console.log(chalk.white(`GTR Manager: Process ${result.name} unchanged`));
+        break;
+      default:
+        console.error(chalk.red(`GTR Manager: Error applying ${result.name}: ${result.error}`));
+    }
+  });
+};
+
+// Colors that tell the applications apart in the merged log stream
+const APP_COLORS = ['cyan', 'magenta', 'blue', 'yellow', 'green', 'white'];
+
+// Helper function to pick a stable color for an application
+const getAppColor = (name) => {
+  const hash = [...name].reduce((sum, char) => sum + char.charCodeAt(0), 0);
+  return chalk[APP_COLORS[hash % APP_COLORS.length]];
+};
+
+// Helper function to build the query of the logs command from its options
+const buildLogQuery = (options) => {
+  const query = {
+    stream: options.error ? 'err' : options.stream,
+    grep: options.grep ? parsePattern(options.grep) : null,
+    since: options.since ? parseTime(options.since) : null,
+    until: options.until ? parseTime(options.until) : null
+  };
+  
+  if (!['out', 'err', 'all'].includes(query.stream)) {
+    throw createError('INVALID_OPTION', `Unknown stream ${query.stream} (expected out, err or all)`);
   }
+  
+  // A time window shows every line in it unless --lines says otherwise
+  query.lines = options.lines !== undefined ? parseInt(options.lines, 10) : (query.since || query.until ? 0 : 20);
+  return query;
 };
 
-// Check if a process is running by PID
-const isProcessRunning = (pid) => {
-  try {
-    process.kill(pid, 0);
-    return true;
-  } catch (error) {
-    return error.code === 'EPERM';
+// Helper function to print one log entry, prefixed with its application when several are shown
+const printLogEntry = (entry, options) => {
+  if (options.json) {
+    console.log(JSON.stringify(toJSONEntry(entry)));
+    return;
+  }
+  
+  const text = options.prefix || entry.line === undefined ? entry.message : entry.line;
+  const message = entry.stream === 'err' ? chalk.red(text) : text;
+  
+  if (options.prefix) {
+    const instance = entry.instance === null || entry.instance === undefined ? '' : `:${entry.instance}`;
+    console.log(`${getAppColor(entry.app)(`${entry.app}${instance} |`)} ${message}`);
+  } else {
+    console.log(message);
   }
 };
 
-// Helper function to safely execute commands with error handling
-const safeExec = (command, callback) => {
-  try {
-    return exec(command, callback);
-  } catch (error) {
-    callback(error, null);
-    return null;
+// Helper function to describe the details of a journaled event
+const describeEvent = (entry) => {
+  switch (entry.event) {
+    case 'exit':
+    case 'crash':
+      return `${entry.signal ? `signal ${entry.signal}` : `code ${entry.code}`} after ${formatUptime(entry.uptime)}`;
+    case 'restart':
+      return `reason: ${entry.reason}${entry.message ? ` (${entry.message})` : ''}`;
+    case 'stop':
+      return entry.forced ? 'killed after the kill timeout' : '';
+    case 'unhealthy':
+      return entry.message || '';
+    default:
+      return '';
   }
 };
 
-// Monitor all processes
-const monitorProcesses = () => {
-  const processes = readProcesses();
-  let updated = false;
+// Helper function to print one journaled event, followed by its report for a crash
+const printHistoryEntry = (entry) => {
+  const name = entry.process.instance ? `${entry.process.name}:${entry.process.instance}` : entry.process.name;
+  const event = entry.event === 'crash' || entry.event === 'errored' ? chalk.red(entry.event) : chalk.cyan(entry.event);
+  console.log(`${chalk.gray(new Date(entry.timestamp).toLocaleString())} ${name} (id: ${entry.process.id}) ${event} ${describeEvent(entry)}`.trimEnd());
   
-  for (const process of processes) {
-    if (process.status === 'online' || process.status === 'stopping') {
-      try {
-        safeExec(`ps -p ${process.pid} -o pid=`, (error, stdout) => {
-          if (error || !stdout.trim()) {
-            if (process.status !== 'stopped') {
-              process.status = 'stopped';
-              process.updatedAt = new Date().toISOString();
-              updated = true;
-            }
-          } else if (process.status === 'stopping') {
-            const stoppingDuration = new Date() - new Date(process.updatedAt);
-            if (stoppingDuration > 30000) {
-              exec(`kill -9 ${process.pid}`, () => {
-                process.status = 'stopped';
-                process.updatedAt = new Date().toISOString();
-                updated = true;
-              });
-            }
-          } else {
-            safeExec(`ps -p ${process.pid} -o %cpu,%mem`, (error, stdout) => {
-              if (!error && stdout) {
-                const lines = stdout.trim().split('\n');
-                if (lines.length > 1) {
-                  const [cpu, mem] = lines[1].trim().split(/\s+/);
-                  process.cpu = parseFloat(cpu);
-                  process.memory = parseFloat(mem);
-                  process.updatedAt = new Date().toISOString();
-                  updated = true;
-                }
-              }
-            });
-          }
-        });
-      } catch (error) {
-        process.status = 'stopped';
-        process.updatedAt = new Date().toISOString();
-        updated = true;
-      }
-    }
+  if (entry.event !== 'crash') {
+    return;
   }
   
-  if (updated) {
-    writeProcesses(processes);
+  if ((entry.memory || []).length > 0) {
+    console.log(chalk.white(`  Memory before the crash: ${sparkline(entry.memory.map(sample => sample.rss))} ${formatMegabytes(entry.memory[0].rss)} to ${formatMegabytes(entry.memory[entry.memory.length - 1].rss)}`));
+  }
+  if ((entry.stderr || []).length > 0) {
+    console.log(chalk.white('  Last error output:'));
+    entry.stderr.forEach(line => console.log(chalk.red(`    ${line}`)));
   }
 };
 
-// Helper function to format uptime
-const formatUptime = (ms) => {
-  const seconds = Math.floor(ms / 1000);
-  const minutes = Math.floor(seconds / 60);
-  const hours = Math.floor(minutes / 60);
-  const days = Math.floor(hours / 24);
-  
-  if (days > 0) return `${days}d ${hours % 24}h`;
-  if (hours > 0) return `${hours}h ${minutes % 60}m`;
-  if (minutes > 0) return `${minutes}m ${seconds % 60}s`;
-  return `${seconds}s`;
+// Helper function to stop following logs on Ctrl+C
+const exitOnInterrupt = (close) => {
+  process.on('SIGINT', () => {
+    close();
+    if (process.stdout.isTTY) {
+      console.log(chalk.green('\nGTR Manager: Exiting logs view'));
+    }
+    process.exit(0);
+  });
 };
 
-// Helper function to color status
-const getStatusWithColor = (status) => {
-  switch (status) {
-    case 'online':
-      return chalk.green(status);
-    case 'stopping':
-      return chalk.yellow(status);
-    case 'stopped':
-      return chalk.red(status);
-    default:
-      return status;
+// Helper function to refuse changing a system unit without root, telling how to run the command with sudo
+const failWithoutRoot = (startup, command) => {
+  const sudo = buildSudoCommand(startup, command);
+  const message = `${command === 'startup' ? 'Installing' : 'Removing'} a system unit requires root, run:`;
+  const error = createError('PERMISSION_DENIED', `${message} ${sudo}`);
+  
+  if (isJSON()) {
+    fail(`running ${command}`, error);
+    return;
   }
+  
+  console.error(chalk.yellow(`GTR Manager: ${message}`));
+  console.error(sudo);
+  process.exitCode = getExitCode(error);
 };
 
 // Command line interface setup
 program
   .version('1.0.0')
-  .description('GTR Manager - Process Manager for GTR Applications');
+  .description('GTR Manager - Process Manager for GTR Applications')
+  .option('--json', 'Print machine-readable JSON instead of text (see PROTOCOL.md for the objects)');
 
 // Start command
 program
-  .command('start <script>')
-  .description('Start a GTR application')
+  .command('start <script> [args...]')
+  .description('Start a GTR application, or every application of a config file (gtr.config.js, .json, .yaml); arguments after -- are passed to the script')
   .option('-n, --name <name>', 'Application name')
-  .option('-i, --instances <number>', 'Number of instances to start', '1')
+  .option('--cwd <dir>', 'Working directory of the application (default: the current directory)')
+  .option('--interpreter <interpreter>', 'Program running the script (default: detected from its extension, none to execute it directly)')
+  .option('--node-args <args>', 'Space-separated arguments for node, e.g. "--max-old-space-size=4096"')
+  .option('-i, --instances <number>', "Number of instances to start ('max' for one per CPU core)", '1')
+  .option('--exec-mode <mode>', 'fork, or cluster to share one listening port between instances', 'fork')
   .option('-e, --env <items>', 'Environment variables (comma-separated key=value)', (val) => {
     return val.split(',').reduce((env, item) => {
       const [key, value] = item.split('=');
@@ -322,267 +313,510 @@ program
       return env;
     }, {});
   }, {})
-  .action((script, options) => {
+  .option('--restart-policy <policy>', 'When to restart the application after it exits (always, on-failure, never)', 'always')
+  .option('--min-uptime <ms>', 'Minimum uptime for a run to count as stable', '1000')
+  .option('--max-restarts <number>', 'Consecutive unstable restarts allowed before the application is marked errored', '15')
+  .option('--restart-delay <ms>', 'Base delay before an automatic restart, doubled after each unstable run', '100')
+  .option('--listen-timeout <ms>', "Time a reloaded instance gets to listen or send 'ready' before it is considered up", '3000')
+  .option('--log-max-size <size>', 'Rotate the log files once they reach this size (e.g. 10M, 0 to disable)')
+  .option('--log-rotate <interval>', 'Also rotate the log files daily or hourly')
+  .option('--log-compress', 'Compress rotated log files with gzip')
+  .option('--log-retain <count>', 'Rotated log files to keep, or days to keep them for (e.g. 7d)')
+  .option('--log-timestamp [format]', 'Prefix every log line with the time it was written (iso, or a pattern such as "YYYY-MM-DD HH:mm:ss")')
+  .option('--log-prefix', 'Prefix every log line with the application name and instance')
+  .option('--log-format <format>', 'text, or json to write one JSON object per line')
+  .option('--merge-logs', 'Write the error output to the output log file')
+  .option('-w, --watch [paths]', 'Restart the application when its files change (comma-separated paths, default: its working directory)')
+  .option('--ignore-watch <globs>', 'Comma-separated globs not to watch (default: node_modules,.git)')
+  .option('--watch-delay <ms>', 'Time without changes to wait for before restarting (default: 1000)')
+  .option('--max-memory-restart <size>', 'Restart the application when its memory goes above a size (e.g. 300M)')
+  .option('--max-cpu-restart <percent>', 'Restart the application when its CPU usage stays above a percentage')
+  .option('--max-cpu-duration <ms>', 'Time the CPU usage must stay above its limit before restarting (default: 60000)')
+  .option('--kill-signal <signal>', 'Signal asking the application to exit (default: SIGTERM)')
+  .option('--kill-timeout <ms>', 'Time the application gets to exit before it is killed with SIGKILL (default: 30000)')
+  .option('--shutdown-with-message', "Send a 'shutdown' IPC message instead of the kill signal")
+  .option('--wait-ready', "Keep the application launching until it sends 'ready' (within --listen-timeout)")
+  .option('--ready-check <probe>', 'Keep the application launching until a probe passes (http://..., tcp://host:port or a command)')
+  .option('--ready-check-interval <ms>', 'Time between readiness checks (default: 1000)')
+  .option('--ready-check-timeout <ms>', 'Time a readiness check may take (default: 1000)')
+  .option('--ready-check-threshold <count>', 'Failed readiness checks before the application is restarted (default: 30)')
+  .option('--health-check <probe>', 'Restart the application when a probe keeps failing (http://..., tcp://host:port or a command)')
+  .option('--health-check-interval <ms>', 'Time between health checks (default: 10000)')
+  .option('--health-check-timeout <ms>', 'Time a health check may take (default: 5000)')
+  .option('--health-check-threshold <count>', 'Failed health checks in a row before the application is restarted (default: 3)')
+  .option('--check-status <code>', 'HTTP status expected by the probes (default: any status below 400)')
+  .option('--hook <hook=action>', `Run a command, or POST to a webhook URL, at a point of the lifecycle (${HOOKS.join(', ')}); repeatable`, (val, hooks) => {
+    const separator = val.indexOf('=');
+    if (separator === -1) {
+      throw new InvalidArgumentError(`Invalid hook ${val} (expected hook=action)`);
+    }
+    const hook = val.slice(0, separator).trim();
+    return { ...hooks, [hook]: [...(hooks[hook] || []), val.slice(separator + 1)] };
+  }, {})
+  .option('--hook-timeout <ms>', 'Time a hook action may take (default: 10000)')
+  .option('--hook-retries <count>', 'Attempts after a failed hook action (default: 0)')
+  .option('--namespace <namespace>', `Namespace of the application, to act on it with its group (default: ${DEFAULT_NAMESPACE})`)
+  .option('--tag <tags>', 'Comma-separated tags of the application, to select it by tag')
+  .action(async (script, args, options) => {
     try {
+      if (isConfigFile(script)) {
+        const results = await api.apply(script);
+        printResult(results, printApplied);
+        if (results.some(result => result.action === 'failed' || (result.processes || []).some(p => p.status === 'errored'))) {
+          process.exitCode = 1;
+        }
+        return;
+      }
+      
       const name = options.name || path.basename(script, path.extname(script));
-      startGTR(name, script, options);
+      const { hook, tag, ...startOptions } = options;
+      const started = await api.start(script, { ...startOptions, args, tags: tag, hooks: Object.keys(hook).length > 0 ? hook : null });
+      printResult(started, processes => printStarted(name, processes));
+      if (started.some(p => p.status === 'errored')) {
+        process.exitCode = 1;
+      }
     } catch (error) {
-      console.error(chalk.red(`GTR Manager: Error starting application: ${error.message}`));
+      fail('starting application', error);
     }
   });
 
 // Stop command
 program
-  .command('stop <identifier>')
-  .description('Stop a GTR application by ID, PID, or name')
-  .action((identifier) => {
+  .command('stop [identifiers...]')
+  .description('Stop GTR applications by ID, PID, name, glob, /regex/, all or config file (a name stops every instance)')
+  .option('--namespace <namespace>', 'Only stop the applications of a namespace')
+  .option('--tag <tags>', 'Only stop the applications carrying every given tag (comma-separated)')
+  .action(async (identifiers, options) => {
     try {
-      stopGTR(identifier);
+      printResult(await api.stop(readIdentifiers(identifiers, options), readFilters(options)), stopped => stopped.forEach(processInfo => {
+        console.log(chalk.yellow(`GTR Manager: Process ${processInfo.name} (id: ${processInfo.id}) stopped`) + formatStop(processInfo));
+      }));
     } catch (error) {
-      console.error(chalk.red(`GTR Manager: Error stopping application: ${error.message}`));
+      fail('stopping application', error);
     }
   });
 
 // Restart command
 program
-  .command('restart <identifier>')
-  .description('Restart a GTR application by ID, PID, or name')
-  .action((identifier) => {
+  .command('restart [identifiers...]')
+  .description('Restart GTR applications by ID, PID, name, glob, /regex/, all or config file (a name restarts every instance)')
+  .option('--namespace <namespace>', 'Only restart the applications of a namespace')
+  .option('--tag <tags>', 'Only restart the applications carrying every given tag (comma-separated)')
+  .action(async (identifiers, options) => {
     try {
-      const process = findProcess(identifier);
+      const targets = readIdentifiers(identifiers, options);
       
-      if (!process) {
-        console.log(chalk.red(`GTR Manager: Process ${identifier} not found`));
-        return;
+      if (!isJSON()) {
+        console.log(chalk.yellow(`GTR Manager: Restarting ${describeTargets(targets, options)}...`));
       }
       
-      console.log(chalk.yellow(`GTR Manager: Restarting ${process.name}...`));
+      printResult(await api.restart(targets, readFilters(options)), restarted => restarted.forEach(processInfo => {
+        console.log(chalk.green(`GTR Manager: Process ${processInfo.name} (id: ${processInfo.id}, pid: ${processInfo.pid}) restarted successfully`) + formatStop(processInfo));
+      }));
+    } catch (error) {
+      fail('restarting application', error);
+    }
+  });
+
+// Reload command
+program
+  .command('reload [identifiers...]')
+  .description('Reload GTR applications without downtime, replacing one instance at a time')
+  .option('--namespace <namespace>', 'Only reload the applications of a namespace')
+  .option('--tag <tags>', 'Only reload the applications carrying every given tag (comma-separated)')
+  .action(async (identifiers, options) => {
+    try {
+      const targets = readIdentifiers(identifiers, options);
+      const processes = await api.describe(targets, readFilters(options));
       
-      stopGTR(process.id);
+      if (!isJSON()) {
+        console.log(chalk.yellow(`GTR Manager: Reloading ${[...new Set(processes.map(p => p.name))].join(', ')}...`));
+      }
       
-      setTimeout(() => {
-        const updatedProcesses = readProcesses();
-        const updatedProcess = updatedProcesses.find(p => p.id === process.id);
-        
-        if (!updatedProcess) {
-          console.error(chalk.red(`GTR Manager: Process info for ${process.name} was lost during restart`));
-          return;
-        }
-        
-        const processIndex = updatedProcesses.findIndex(p => p.id === process.id);
-        if (processIndex !== -1) {
-          updatedProcesses.splice(processIndex, 1);
-          writeProcesses(updatedProcesses);
+      const results = await api.reload(targets, readFilters(options));
+      if (results.some(processInfo => !processInfo.reloaded)) {
+        process.exitCode = 1;
+      }
+      
+      if (isJSON()) {
+        printJSON(results);
+        return;
+      }
+      
+      results.forEach(processInfo => {
+        if (processInfo.reloaded) {
+          console.log(chalk.green(`GTR Manager: Process ${processInfo.name} (id: ${processInfo.id}, pid: ${processInfo.pid}) reloaded successfully`));
+        } else {
+          console.error(chalk.red(`GTR Manager: Reload of ${processInfo.name} (id: ${processInfo.id}) failed: ${processInfo.error}`));
         }
-        
-        startGTR(
-          process.name, 
-          process.script, 
-          { 
-            instances: process.instances,
-            env: process.env || {},
-            restarts: process.restarts,
-            createdAt: process.createdAt
-          },
-          process.id
-        );
-      }, 2000);
+      });
+      
+      if (results.length < processes.length) {
+        console.log(chalk.yellow(`GTR Manager: Reload aborted, ${processes.length - results.length} instances were left untouched`));
+      }
     } catch (error) {
-      console.error(chalk.red(`GTR Manager: Error restarting application: ${error.message}`));
+      fail('reloading application', error);
     }
   });
 
 // Delete command
 program
-  .command('delete <identifier>')
-  .description('Delete a GTR application by ID, PID, or name from the process list')
+  .command('delete [identifiers...]')
+  .description('Delete GTR applications by ID, PID, name, glob, /regex/, all or config file from the process list (a name deletes every instance)')
   .option('--no-stop', 'Skip stopping the process before deletion')
-  .action((identifier, options) => {
+  .option('--namespace <namespace>', 'Only delete the applications of a namespace')
+  .option('--tag <tags>', 'Only delete the applications carrying every given tag (comma-separated)')
+  .action(async (identifiers, options) => {
     try {
-      const processes = readProcesses();
-      const process = findProcess(identifier);
+      const targets = readIdentifiers(identifiers, options);
       
-      if (!process) {
-        console.log(chalk.red(`GTR Manager: Process ${identifier} not found`));
-        return;
+      if (options.stop && !isJSON()) {
+        console.log(chalk.yellow(`GTR Manager: Stopping ${describeTargets(targets, options)} before deletion...`));
       }
       
-      if (options.stop && process.status === 'online') {
-        stopGTR(process.id);
-        console.log(chalk.yellow(`GTR Manager: Waiting for process ${process.name} to stop...`));
-        setTimeout(() => {
-          const updatedProcesses = readProcesses();
-          const processIndex = updatedProcesses.findIndex(p => p.id === process.id);
-          if (processIndex !== -1) {
-            updatedProcesses.splice(processIndex, 1);
-            writeProcesses(updatedProcesses);
-            console.log(chalk.yellow(`GTR Manager: Process ${process.name} (id: ${process.id}) deleted from process list`));
-          }
-        }, 1000);
-      } else {
-        const processIndex = processes.findIndex(p => p.id === process.id);
-        processes.splice(processIndex, 1);
-        writeProcesses(processes);
-        console.log(chalk.yellow(`GTR Manager: Process ${process.name} (id: ${process.id}) deleted from process list`));
-      }
+      printResult(await api.delete(targets, { stop: options.stop, ...readFilters(options) }), deleted => deleted.forEach(process => {
+        console.log(chalk.yellow(`GTR Manager: Process ${process.name} (id: ${process.id}) deleted from process list`) + (options.stop ? formatStop(process) : ''));
+      }));
+    } catch (error) {
+      fail('deleting application', error);
+    }
+  });
+
+// Scale command
+program
+  .command('scale <name> <instances>')
+  .description('Scale a GTR application to a number of instances (+N or -N to add or remove instances)')
+  .action(async (name, instances) => {
+    try {
+      printResult(await api.scale(name, instances), processes => {
+        console.log(chalk.green(`GTR Manager: Process ${name} scaled to ${processes.length} instances`));
+      });
     } catch (error) {
-      console.error(chalk.red(`GTR Manager: Error deleting application: ${error.message}`));
+      fail('scaling application', error);
     }
   });
 
 // List command
 program
-  .command('list')
-  .description('List all GTR applications')
-  .action(() => {
+  .command('list [identifiers...]')
+  .description('List all GTR applications, or those matching IDs, PIDs, names, globs or /regexes/')
+  .option('--namespace <namespace>', 'Only list the applications of a namespace')
+  .option('--tag <tags>', 'Only list the applications carrying every given tag (comma-separated)')
+  .action(async (identifiers, options) => {
     try {
-      const processes = readProcesses();
+      const processes = identifiers.length > 0 ? await api.describe(identifiers, readFilters(options)) : await api.list(readFilters(options));
+      
+      if (isJSON()) {
+        printJSON(processes);
+        return;
+      }
       
       if (processes.length === 0) {
         console.log(chalk.yellow('No GTR applications registered'));
         return;
       }
       
-      monitorProcesses();
-      
-      setTimeout(() => {
-        const updatedProcesses = readProcesses();
-        
-        const table = new Table({
-          head: ['ID', 'Name', 'PID', 'Status', 'CPU', 'Memory', 'Restarts', 'Uptime'],
-          style: { head: ['cyan'] }
-        });
-        
-        updatedProcesses.forEach(process => {
-          let uptime = '0s';
-          if (process.status === 'online') {
-            uptime = formatUptime(new Date() - new Date(process.createdAt));
-          }
-          
-          table.push([
-            process.id,
-            process.name,
-            process.pid || 'N/A',
-            getStatusWithColor(process.status),
-            `${process.cpu.toFixed(1)}%`,
-            `${process.memory.toFixed(1)}%`,
-            process.restarts,
-            uptime
-          ]);
-        });
-        
-        console.log(table.toString());
-      }, 500);
+      console.log(buildProcessTable(processes).toString());
     } catch (error) {
-      console.error(chalk.red(`GTR Manager: Error listing applications: ${error.message}`));
+      fail('listing applications', error);
+    }
+  });
+
+// JSON list command
+program
+  .command('jlist')
+  .description('Print every GTR application as JSON (same as gtr list --json)')
+  .action(async () => {
+    try {
+      printJSON(await api.list());
+    } catch (error) {
+      fail('listing applications', error);
     }
   });
 
 // Show command
 program
   .command('show <identifier>')
-  .description('Show detailed information about a GTR application')
-  .action((identifier) => {
+  .alias('describe')
+  .description('Show detailed information about a GTR application (a name shows every instance)')
+  .action(async (identifier) => {
     try {
-      const process = findProcess(identifier);
+      const processes = await api.describe(identifier);
       
-      if (!process) {
-        console.log(chalk.red(`GTR Manager: Process ${identifier} not found`));
+      if (isJSON()) {
+        printJSON(processes);
         return;
       }
       
-      console.log(chalk.cyan(`=== Process Details for ${process.name} ===`));
-      console.log(chalk.white(`ID: ${process.id}`));
-      console.log(chalk.white(`Name: ${process.name}`));
-      console.log(chalk.white(`PID: ${process.pid || 'N/A'}`));
-      console.log(chalk.white(`Status: ${getStatusWithColor(process.status)}`));
-      console.log(chalk.white(`Script: ${process.script}`));
-      console.log(chalk.white(`Instances: ${process.instances}`));
-      console.log(chalk.white(`CPU: ${process.cpu.toFixed(1)}%`));
-      console.log(chalk.white(`Memory: ${process.memory.toFixed(1)}%`));
-      console.log(chalk.white(`Restarts: ${process.restarts}`));
+      const histories = await api.metrics(identifier);
       
-      if (process.status === 'online') {
-        console.log(chalk.white(`Uptime: ${formatUptime(new Date() - new Date(process.createdAt))}`));
+      processes.forEach(process => {
+        const history = histories.find(metrics => metrics.id === process.id);
+        const samples = history ? history.samples : [];
+        
+        console.log(chalk.cyan(`=== Process Details for ${process.name} ===`));
+        console.log(chalk.white(`ID: ${process.id}`));
+        console.log(chalk.white(`Name: ${process.name}`));
+        console.log(chalk.white(`Namespace: ${process.namespace || DEFAULT_NAMESPACE}`));
+        console.log(chalk.white(`Tags: ${(process.tags || []).join(', ') || 'none'}`));
+        console.log(chalk.white(`PID: ${process.pid || 'N/A'}`));
+        console.log(chalk.white(`Status: ${getStatusWithColor(process.status)}`));
+        console.log(chalk.white(`Script: ${process.script}`));
+        console.log(chalk.white(`Interpreter: ${process.interpreter || 'node'}${(process.nodeArgs || []).length > 0 ? ` ${process.nodeArgs.join(' ')}` : ''}`));
+        console.log(chalk.white(`Arguments: ${(process.args || []).join(' ') || 'none'}`));
+        console.log(chalk.white(`Working directory: ${process.cwd}`));
+        console.log(chalk.white(`Exec mode: ${process.execMode || 'fork'}`));
+        console.log(chalk.white(`Instance: ${process.instance || 0} of ${process.instances}`));
+        console.log(chalk.white(`CPU: ${process.cpu.toFixed(1)}%`));
+        console.log(chalk.white(`Memory: ${formatMegabytes(process.rss)} (${process.memory.toFixed(1)}%)`));
+        console.log(chalk.white(`Threads: ${process.threads || 0}, open files: ${process.fds || 0}`));
+        console.log(chalk.white(`I/O: ${formatMegabytes(process.readBytes)} read, ${formatMegabytes(process.writeBytes)} written`));
+        console.log(chalk.white(`CPU history (${samples.length} samples): ${formatSummary(samples, 'cpu', value => `${value.toFixed(1)}%`)}`));
+        console.log(chalk.white(`Memory history: ${formatSummary(samples, 'rss', formatMegabytes)}`));
+        console.log(chalk.white(`Limits: ${formatLimits(process)}`));
+        console.log(chalk.white(`Restarts: ${process.restarts}`));
+        console.log(chalk.white(`Last restart reason: ${process.lastRestartReason || 'N/A'}`));
+        console.log(chalk.white(`Last exit: ${formatExit(process.lastExit)}`));
+        console.log(chalk.white(`Restart policy: ${process.restartPolicy || 'always'}`));
+        console.log(chalk.white(`Stop: ${process.shutdownWithMessage ? "'shutdown' message" : process.killSignal || 'SIGTERM'}, SIGKILL after ${process.killTimeout || 30000}ms`));
+        console.log(chalk.white(`Watch: ${formatWatch(process)}`));
+        console.log(chalk.white(`Readiness: ${process.readyCheck ? describeCheck(process.readyCheck) : process.waitReady ? "'ready' message" : 'none'}`));
+        console.log(chalk.white(`Health check: ${process.healthCheck ? describeCheck(process.healthCheck) : 'none'}`));
+        console.log(chalk.white(`Hooks: ${formatHooks(process.hooks)}`));
+        
+        if (getUptime(process) !== null) {
+          console.log(chalk.white(`Uptime: ${formatUptime(getUptime(process))}`));
+        }
+        
+        console.log(chalk.white(`Started: ${process.startedAt ? new Date(process.startedAt).toLocaleString() : 'N/A'}`));
+        console.log(chalk.white(`Created: ${new Date(process.createdAt).toLocaleString()}`));
+        console.log(chalk.white(`Updated: ${new Date(process.updatedAt).toLocaleString()}`));
+        
+        console.log(chalk.white(`Log file: ${process.logFile}`));
+        console.log(chalk.white(`Error log file: ${process.errorLogFile}`));
+        
+        if (Object.keys(process.env || {}).length > 0) {
+          console.log(chalk.cyan(`Environment Variables:`));
+          for (const [key, value] of Object.entries(process.env)) {
+            console.log(chalk.white(`  ${key}: ${value}`));
+          }
+        }
+      });
+    } catch (error) {
+      fail('showing application details', error);
+    }
+  });
+
+// History command
+program
+  .command('history [identifiers...]')
+  .description('Display the journaled lifecycle events of GTR applications by ID, PID, name, glob, /regex/ or all, including crash reports (deleted applications by name)')
+  .option('-n, --lines <number>', 'Number of events to display, 0 for every event', '50')
+  .option('--event <types>', 'Only display events of these types, comma-separated (e.g. crash,restart)')
+  .option('--namespace <namespace>', 'Only display the events of the applications of a namespace')
+  .option('--tag <tags>', 'Only display the events of the applications carrying every given tag (comma-separated)')
+  .action(async (identifiers, options) => {
+    try {
+      const limit = parseInt(options.lines, 10);
+      if (isNaN(limit) || limit < 0) {
+        throw createError('INVALID_OPTION', `Invalid number of events ${options.lines}`);
       }
       
-      console.log(chalk.white(`Created: ${new Date(process.createdAt).toLocaleString()}`));
-      console.log(chalk.white(`Updated: ${new Date(process.updatedAt).toLocaleString()}`));
+      const events = options.event ? options.event.split(',').map(type => type.trim()).filter(Boolean) : null;
+      const entries = await api.history(readIdentifiers(identifiers, options), { limit, events, ...readFilters(options) });
       
-      console.log(chalk.white(`Log file: ${process.logFile}`));
-      console.log(chalk.white(`Error log file: ${process.errorLogFile}`));
+      if (isJSON()) {
+        printJSON(entries);
+        return;
+      }
       
-      if (Object.keys(process.env || {}).length > 0) {
-        console.log(chalk.cyan(`Environment Variables:`));
-        for (const [key, value] of Object.entries(process.env)) {
-          console.log(chalk.white(`  ${key}: ${value}`));
-        }
+      if (entries.length === 0) {
+        console.log(chalk.yellow(`No events recorded for ${describeTargets(identifiers, options)}`));
+        return;
       }
+      
+      entries.forEach(printHistoryEntry);
     } catch (error) {
-      console.error(chalk.red(`GTR Manager: Error showing application details: ${error.message}`));
+      fail('displaying history', error);
     }
   });
 
 // Logs command
 program
-  .command('logs <identifier>')
-  .description('Display logs for a GTR application')
-  .option('-e, --error', 'Display error logs')
-  .option('-f, --follow', 'Follow logs')
-  .option('-l, --lines <number>', 'Number of lines to display', '20')
+  .command('logs [identifiers...]')
+  .description('Display logs for GTR applications, including their rotated log files, or the logs of every application (with --json, one { ts, app, instance, stream, message } object per line)')
+  .option('-e, --error', 'Display error logs (same as --stream err)')
+  .option('-s, --stream <stream>', 'Stream to display: out, err or all', 'out')
+  .option('-g, --grep <pattern>', 'Only display lines matching a regular expression')
+  .option('--since <time>', 'Only display lines written since a time (a date, or a duration such as 10m, 2h or 1d)')
+  .option('--until <time>', 'Only display lines written until a time (a date, or a duration such as 10m)')
+  .option('-f, --follow', 'Follow logs (always on without an identifier, unless --until is given)')
+  .option('-l, --lines <number>', 'Number of lines to display (default 20, every line of a --since/--until window)')
   .option('-c, --clear', 'Clear logs before displaying')
-  .action((identifier, options) => {
+  .option('--namespace <namespace>', 'Only display the logs of the applications of a namespace')
+  .option('--tag <tags>', 'Only display the logs of the applications carrying every given tag (comma-separated)')
+  .action(async (identifiers, options) => {
     try {
-      const process = findProcess(identifier);
+      const query = buildLogQuery(options);
+      const selected = identifiers.length > 0 || Boolean(options.namespace || options.tag);
+      const processes = await describeSelection(identifiers, options);
+      const names = [...new Set(processes.map(p => p.name))];
+      const sources = getLogSources(processes, await api.getSettings(), query.stream);
+      // A single application shows its lines as written, several ones are merged with a prefix
+      const name = selected && names.length === 1 ? names[0] : null;
+      const printOptions = { json: isJSON(), prefix: !name };
+      const follow = selected ? options.follow : !query.until;
+      const title = name ? `${name} (id: ${processes[0].id})` : describeTargets(identifiers, options);
       
-      if (!process) {
-        console.log(chalk.red(`GTR Manager: Process ${identifier} not found`));
+      if (selected && sources.every(source => listLogFiles(source.file).length === 0) && !follow) {
+        if (!isJSON()) {
+          console.log(chalk.yellow(`No logs found for ${name || describeTargets(identifiers, options)}`));
+        }
         return;
       }
       
-      const logFile = options.error ? process.errorLogFile : process.logFile;
-      
-      if (!fs.existsSync(logFile)) {
-        console.log(chalk.yellow(`No logs found for ${process.name}`));
-        return;
-      }
-
       if (options.clear) {
-        fs.writeFileSync(logFile, '', 'utf8');
-        console.log(chalk.green(`Logs cleared for ${process.name}`));
-        if (!options.follow) {
+        sources.forEach(source => fs.writeFileSync(source.file, '', 'utf8'));
+        if (!isJSON()) {
+          console.log(chalk.green(`Logs cleared for ${name || describeTargets(identifiers, options)}`));
+        }
+        if (!follow) {
           return;
         }
       }
       
-      console.log(chalk.cyan(`=== ${options.error ? 'Error' : 'Output'} logs for ${process.name} (id: ${process.id}) ===`));
+      if (!isJSON()) {
+        console.log(chalk.cyan(`=== ${query.stream === 'all' ? 'Output and error' : query.stream === 'err' ? 'Error' : 'Output'} logs for ${title} ===`));
+      }
       
-      const tailCommand = `tail ${options.follow ? '-f' : ''} -n ${options.lines} "${logFile}"`;
+      queryLogs(sources, query).forEach(entry => printLogEntry(entry, printOptions));
       
-      const tail = spawn('sh', ['-c', tailCommand], { 
-        stdio: 'inherit'
-      });
+      if (!follow) {
+        return;
+      }
       
-      tail.on('error', (err) => {
-        console.error(chalk.red(`GTR Manager: Error executing tail command: ${err.message}`));
-      });
+      if (!isJSON()) {
+        console.log(chalk.yellow('Following logs... Press Ctrl+C to exit'));
+      }
       
-      if (!options.follow) {
-        tail.on('close', (code) => {
-          if (code !== 0) {
-            console.error(chalk.red(`GTR Manager: Tail command exited with code ${code}`));
+      const liveQuery = { ...query, since: null, until: null };
+      
+      if (!name) {
+        // Several applications: lines come straight from the daemon as they are written
+        const ids = new Set(processes.map(p => p.id));
+        const stream = await api.streamLogs(({ process: processInfo, stream: source, line, timestamp }) => {
+          const entry = { ts: new Date(timestamp), app: processInfo.name, instance: processInfo.instance, stream: source, message: line };
+          if ((!selected || ids.has(processInfo.id)) && matchesQuery(entry, liveQuery)) {
+            printLogEntry(entry, printOptions);
+          }
+        }, { names: selected ? names : undefined });
+        exitOnInterrupt(() => stream.close());
+        return;
+      }
+      
+      // One application: its files are followed across rotations and truncations
+      const followers = sources.map(source => {
+        const parse = createLineParser(source.format, { app: source.app, instance: null, stream: source.merged ? null : source.stream });
+        return followFile(source.file, (line) => {
+          const entry = parse(line);
+          if (matchesQuery(entry, liveQuery)) {
+            printLogEntry(entry, printOptions);
           }
         });
-      } else {
-        console.log(chalk.yellow('Following logs... Press Ctrl+C to exit'));
-        
-        process.on('SIGINT', () => {
-          console.log(chalk.green('\nGTR Manager: Exiting logs view'));
-          process.exit(0);
-        });
+      });
+      exitOnInterrupt(() => followers.forEach(follower => follower.close()));
+    } catch (error) {
+      fail('displaying logs', error);
+    }
+  });
+
+// Watch command
+program
+  .command('watch <identifier> [paths...]')
+  .description('Restart a running GTR application whenever its files change (default: its working directory)')
+  .action(async (identifier, paths) => {
+    try {
+      printResult(await api.watch(identifier, paths.length > 0 ? paths : true), processes => {
+        console.log(chalk.green(`GTR Manager: Watching ${processes[0].name}: ${formatWatch(processes[0])}`));
+      });
+    } catch (error) {
+      fail('enabling watch mode', error);
+    }
+  });
+
+// Unwatch command
+program
+  .command('unwatch <identifier>')
+  .description('Stop restarting a GTR application when its files change')
+  .action(async (identifier) => {
+    try {
+      printResult(await api.unwatch(identifier), processes => {
+        console.log(chalk.yellow(`GTR Manager: Stopped watching ${processes[0].name}`));
+      });
+    } catch (error) {
+      fail('disabling watch mode', error);
+    }
+  });
+
+// Rotate command
+program
+  .command('rotate <identifier>')
+  .description('Rotate the log files of a GTR application now')
+  .action(async (identifier) => {
+    try {
+      const rotated = await api.rotateLogs(identifier);
+      
+      if (isJSON()) {
+        printJSON(rotated);
+        return;
       }
+      
+      if (rotated.length === 0) {
+        console.log(chalk.yellow(`GTR Manager: No log of ${identifier} to rotate`));
+        return;
+      }
+      
+      rotated.forEach(file => console.log(chalk.green(`GTR Manager: Rotated to ${file}`)));
     } catch (error) {
-      console.error(chalk.red(`GTR Manager: Error displaying logs: ${error.message}`));
+      fail('rotating logs', error);
+    }
+  });
+
+// Get command
+program
+  .command('get [key]')
+  .description('Show the global settings, or one of them')
+  .action(async (key) => {
+    try {
+      const settings = await api.getSettings();
+      
+      if (key) {
+        if (!Object.prototype.hasOwnProperty.call(settings, key)) {
+          throw createError('INVALID_OPTION', `Unknown setting ${key}`);
+        }
+        printResult(settings[key], value => console.log(JSON.stringify(value)));
+        return;
+      }
+      
+      printResult(settings, () => Object.entries(settings).forEach(([name, value]) => {
+        console.log(chalk.white(`${name}: ${JSON.stringify(value)}`));
+      }));
+    } catch (error) {
+      fail('reading settings', error);
+    }
+  });
+
+// Set command
+program
+  .command('set <key> <value>')
+  .description('Change a global setting, used by every application that does not set its own value')
+  .action(async (key, value) => {
+    try {
+      printResult(await api.setSetting(key, value), settings => {
+        console.log(chalk.green(`GTR Manager: ${key} set to ${JSON.stringify(settings[key])}`));
+      });
+    } catch (error) {
+      fail('changing setting', error);
     }
   });
 
@@ -594,57 +828,74 @@ program
   .action((options) => {
     try {
       const updateInterval = parseInt(options.interval, 10) * 1000;
+      if (isNaN(updateInterval) || updateInterval <= 0) {
+        throw createError('INVALID_OPTION', `Invalid interval ${options.interval}`);
+      }
+      
+      // JSON consumers get one line with every process per interval
+      if (isJSON()) {
+        const printProcesses = () => api.list().then(processes => console.log(JSON.stringify(processes)), (error) => {
+          fail('in monitoring', error);
+          process.exit(process.exitCode);
+        });
+        printProcesses();
+        setInterval(printProcesses, updateInterval);
+        return;
+      }
+      
+      // Terminals get the interactive dashboard, pipes and files the refreshing table
+      if (process.stdout.isTTY && process.stdin.isTTY) {
+        runDashboard({ interval: updateInterval }).then(() => {
+          console.log(chalk.green('GTR Manager: Exiting monitor mode'));
+          process.exit(0);
+        });
+        return;
+      }
       
       console.log(chalk.green(`GTR Manager: Monitoring GTR applications (refreshing every ${options.interval}s)`));
       console.log(chalk.yellow('Press Ctrl+C to exit'));
       
-      const displayMonitorTable = () => {
+      const displayMonitorTable = async () => {
+        const processes = await api.list();
+        const histories = await api.metrics();
+        
         process.stdout.write('\x1Bc');
         
         console.log(chalk.green(`GTR Manager: Monitoring GTR applications (refreshing every ${options.interval}s)`));
         console.log(chalk.yellow('Press Ctrl+C to exit'));
         console.log(chalk.cyan(`Last update: ${new Date().toLocaleTimeString()}`));
         
-        const processes = readProcesses();
-        
         if (processes.length === 0) {
           console.log(chalk.yellow('No GTR applications registered'));
           return;
         }
         
-        const table = new Table({
-          head: ['ID', 'Name', 'PID', 'Status', 'CPU', 'Memory', 'Restarts', 'Uptime'],
+        console.log(buildProcessTable(processes).toString());
+        
+        const trends = new Table({
+          head: ['ID', 'Name', 'CPU trend', 'Memory trend'],
           style: { head: ['cyan'] }
         });
-        
-        processes.forEach(process => {
-          let uptime = '0s';
-          if (process.status === 'online') {
-            uptime = formatUptime(new Date() - new Date(process.createdAt));
-          }
-          
-          table.push([
-            process.id,
-            process.name,
-            process.pid || 'N/A',
-            getStatusWithColor(process.status),
-            `${process.cpu.toFixed(1)}%`,
-            `${process.memory.toFixed(1)}%`,
-            process.restarts,
-            uptime
+        histories.filter(history => history.samples.length > 0).forEach(history => {
+          trends.push([
+            history.id,
+            history.name,
+            sparkline(history.samples.map(sample => sample.cpu)),
+            sparkline(history.samples.map(sample => sample.rss))
           ]);
         });
         
-        console.log(table.toString());
+        if (trends.length > 0) {
+          console.log(trends.toString());
+        }
       };
       
-      monitorProcesses();
-      displayMonitorTable();
+      const refresh = () => displayMonitorTable().catch((error) => {
+        console.error(chalk.red(`GTR Manager: Error in monitoring: ${error.message}`));
+      });
       
-      const monitorInterval = setInterval(() => {
-        monitorProcesses();
-        displayMonitorTable();
-      }, updateInterval);
+      refresh();
+      const monitorInterval = setInterval(refresh, updateInterval);
       
       process.on('SIGINT', () => {
         clearInterval(monitorInterval);
@@ -652,59 +903,234 @@ program
         process.exit(0);
       });
     } catch (error) {
-      console.error(chalk.red(`GTR Manager: Error in monitoring: ${error.message}`));
+      fail('in monitoring', error);
     }
   });
 
+// Web command
+program
+  .command('web')
+  .description('Serve the REST API and the web dashboard over HTTP; without a token, anyone who can reach the address can start, stop and delete applications, so use one on any address other than 127.0.0.1')
+  .option('-p, --port <port>', 'Port to listen on', String(DEFAULT_WEB_PORT))
+  .option('--host <host>', 'Address to listen on', DEFAULT_WEB_HOST)
+  .option('--token <token>', 'Token required by every API request, reads and actions alike (default: $GTR_WEB_TOKEN)')
+  .option('--metrics', 'Serve Prometheus metrics on /metrics')
+  .action((options) => {
+    const port = parseInt(options.port, 10);
+    const token = options.token || process.env.GTR_WEB_TOKEN;
+    
+    if (isNaN(port) || port < 0 || port > 65535) {
+      fail('starting web server', createError('INVALID_OPTION', `Invalid port ${options.port}`));
+      return;
+    }
+    
+    if (!token && !isLoopbackHost(options.host)) {
+      console.error(chalk.yellow(`GTR Manager: Listening on ${options.host} without a token, anyone who can reach it controls your applications`));
+    }
+    
+    const server = createWebServer({ token, metrics: Boolean(options.metrics), host: options.host });
+    
+    server.on('error', (error) => {
+      fail('starting web server', error);
+      process.exit(process.exitCode);
+    });
+    
+    server.listen(port, options.host, () => {
+      const host = options.host.includes(':') ? `[${options.host}]` : options.host;
+      const url = `http://${host}:${server.address().port}/`;
+      if (isJSON()) {
+        printJSON({ url, metrics: options.metrics ? `${url}metrics` : null, token: Boolean(token) });
+        return;
+      }
+      console.log(chalk.green(`GTR Manager: Web dashboard and API on http://${host}:${server.address().port}/${token ? ' (token required)' : ''}`));
+      if (options.metrics) {
+        console.log(chalk.green(`GTR Manager: Prometheus metrics on http://${host}:${server.address().port}/metrics`));
+      }
+      console.log(chalk.yellow('Press Ctrl+C to exit'));
+    });
+    
+    process.on('SIGINT', () => {
+      server.close();
+      if (!isJSON()) {
+        console.log(chalk.green('\nGTR Manager: Web server stopped'));
+      }
+      process.exit(0);
+    });
+  });
+
 // Save command
 program
   .command('save')
-  .description('Save the current process list for automatic restart')
-  .action(() => {
+  .description('Save the current process list for resurrect and boot')
+  .option('--no-history', 'Do not keep a copy in the dump history')
+  .action(async (options) => {
     try {
-      const processes = readProcesses();
-      fs.writeFileSync(path.join(GTR_HOME, 'ecosystem.json'), JSON.stringify(processes, null, 2));
-      console.log(chalk.green('GTR Manager: Process list saved for automatic restart'));
+      printResult(await api.save({ history: options.history }), saved => {
+        console.log(chalk.green(`GTR Manager: ${saved.count} processes saved to ${saved.file}`));
+        if (saved.historyFile) {
+          console.log(chalk.cyan(`GTR Manager: Copy kept in the dump history as ${path.basename(saved.historyFile, '.json')}`));
+        }
+      });
     } catch (error) {
-      console.error(chalk.red(`GTR Manager: Error saving ecosystem: ${error.message}`));
+      fail('saving process list', error);
+    }
+  });
+
+// Dumps command
+program
+  .command('dumps')
+  .description('List the saved process lists of the dump history')
+  .action(async () => {
+    try {
+      const dumps = await api.dumps();
+      
+      if (isJSON()) {
+        printJSON(dumps);
+        return;
+      }
+      
+      if (dumps.length === 0) {
+        console.log(chalk.yellow('No saved process list in the dump history'));
+        return;
+      }
+      
+      const table = new Table({
+        head: ['Name', 'Saved at', 'Processes'],
+        style: { head: ['cyan'] }
+      });
+      dumps.forEach(dump => {
+        table.push([dump.name, dump.savedAt ? new Date(dump.savedAt).toLocaleString() : 'unreadable', dump.count === null ? '-' : dump.count]);
+      });
+      console.log(table.toString());
+    } catch (error) {
+      fail('listing dumps', error);
     }
   });
 
 // Resurrect command
 program
   .command('resurrect')
-  .description('Resurrect previously saved processes')
-  .action(() => {
+  .description('Restart the processes that were running when the process list was saved')
+  .option('--from <dump>', 'Restore a dump of the history (see gtr dumps) or a dump file instead of the last save')
+  .action(async (options) => {
     try {
-      const ecosystemFile = path.join(GTR_HOME, 'ecosystem.json');
+      // The daemon is started even without saved processes, as the boot unit waits for its PID file
+      await api.ping();
       
-      if (!fs.existsSync(ecosystemFile)) {
-        console.log(chalk.yellow('No saved process list found'));
+      if (!options.from && !fs.existsSync(DUMP_FILE)) {
+        printResult({ file: DUMP_FILE, results: [] }, () => console.log(chalk.yellow('No saved process list found')));
         return;
       }
       
-      const processes = JSON.parse(fs.readFileSync(ecosystemFile, 'utf8'));
+      const { file, results } = await api.resurrect(options.from);
       
-      if (processes.length === 0) {
-        console.log(chalk.yellow('No processes in saved ecosystem'));
+      if (results.some(result => result.action === 'failed')) {
+        process.exitCode = 1;
+      }
+      
+      if (isJSON()) {
+        printJSON({ file, results });
         return;
       }
       
-      console.log(chalk.green(`GTR Manager: Resurrecting ${processes.length} processes`));
+      if (results.length === 0) {
+        console.log(chalk.yellow(`GTR Manager: No processes in ${file}`));
+        return;
+      }
       
-      processes.forEach(process => {
-        if (fs.existsSync(process.script)) {
-          console.log(chalk.green(`GTR Manager: Resurrecting ${process.name}`));
-          startGTR(process.name, process.script, { 
-            instances: process.instances,
-            env: process.env || {}
-          });
-        } else {
-          console.log(chalk.yellow(`GTR Manager: Cannot resurrect ${process.name}, script ${process.script} not found`));
-        }
+      console.log(chalk.green(`GTR Manager: Resurrecting from ${file}`));
+      
+      const colors = { restored: chalk.green, running: chalk.cyan, skipped: chalk.gray, failed: chalk.red };
+      const table = new Table({
+        head: ['ID', 'Name', 'Instance', 'Result', 'Details'],
+        style: { head: ['cyan'] }
       });
+      results.forEach(result => {
+        table.push([result.id, result.name, result.instance, colors[result.action](result.action), result.message || '']);
+      });
+      console.log(table.toString());
     } catch (error) {
-      console.error(chalk.red(`GTR Manager: Error resurrecting processes: ${error.message}`));
+      fail('resurrecting processes', error);
+    }
+  });
+
+// Startup command
+program
+  .command('startup [platform]')
+  .description('Generate the init system unit that resurrects the saved processes at boot (systemd)')
+  .option('--user', 'Use a user unit (systemctl --user) instead of a system unit')
+  .option('--install', 'Install and enable the unit instead of printing it')
+  .option('--run-as <user>', 'User the system unit runs as (default: the current user, or the user running sudo)')
+  .option('--home <dir>', 'Home directory of that user')
+  .option('--gtr-home <dir>', 'GTR home directory of that user (default: <home>/.gtr-manager)')
+  .action((platform, options) => {
+    try {
+      resolvePlatform(platform);
+      const startup = resolveStartup(options);
+      
+      if (!options.install && isJSON()) {
+        printJSON({ ...startup, unit: buildSystemdUnit(startup), installed: false });
+        return;
+      }
+      
+      if (!options.install) {
+        process.stdout.write(buildSystemdUnit(startup));
+        console.error(chalk.green(`\nGTR Manager: Save this unit as ${startup.unitPath}, or install it with:`));
+        console.error(startup.scope === 'system' && !isRoot()
+          ? buildSudoCommand(startup, 'startup')
+          : `gtr startup systemd${startup.scope === 'user' ? ' --user' : ''} --install`);
+        return;
+      }
+      
+      if (startup.scope === 'system' && !isRoot()) {
+        failWithoutRoot(startup, 'startup');
+        return;
+      }
+      
+      installUnit(startup);
+      if (isJSON()) {
+        printJSON({ ...startup, unit: buildSystemdUnit(startup), installed: true });
+        return;
+      }
+      console.log(chalk.green(`GTR Manager: Installed and enabled ${startup.unitPath}`));
+      console.log(chalk.yellow(`Run 'gtr save' to choose the processes resurrected at boot (by ${startup.user}, from ${startup.gtrHome})`));
+      if (startup.scope === 'user') {
+        console.log(chalk.yellow(`User units only start at boot with lingering enabled: loginctl enable-linger ${startup.user}`));
+      }
+    } catch (error) {
+      fail('generating startup unit', error);
+    }
+  });
+
+// Unstartup command
+program
+  .command('unstartup [platform]')
+  .description('Disable and remove the init system unit installed by gtr startup')
+  .option('--user', 'Remove the user unit instead of the system unit')
+  .option('--run-as <user>', 'User the system unit runs as (default: the current user, or the user running sudo)')
+  .action((platform, options) => {
+    try {
+      resolvePlatform(platform);
+      const startup = resolveStartup(options);
+      
+      if (!fs.existsSync(startup.unitPath)) {
+        printResult({ unitPath: startup.unitPath, removed: false }, () => {
+          console.log(chalk.yellow(`GTR Manager: No startup unit at ${startup.unitPath}`));
+        });
+        return;
+      }
+      
+      if (startup.scope === 'system' && !isRoot()) {
+        failWithoutRoot(startup, 'unstartup');
+        return;
+      }
+      
+      removeUnit(startup);
+      printResult({ unitPath: startup.unitPath, removed: true }, () => {
+        console.log(chalk.green(`GTR Manager: Disabled and removed ${startup.unitPath}, the running applications were left alone`));
+      });
+    } catch (error) {
+      fail('removing startup unit', error);
     }
   });
 
@@ -712,87 +1138,120 @@ program
 program
   .command('prune')
   .description('Remove all stopped processes from the list')
-  .action(() => {
+  .action(async () => {
     try {
-      const processes = readProcesses();
-      const initialCount = processes.length;
+      const pruned = await api.prune();
       
-      const activeProcesses = processes.filter(p => p.status === 'online');
+      if (isJSON()) {
+        printJSON(pruned);
+        return;
+      }
       
-      if (activeProcesses.length === initialCount) {
+      if (pruned.length === 0) {
         console.log(chalk.yellow('No stopped processes to prune'));
         return;
       }
       
-      writeProcesses(activeProcesses);
-      console.log(chalk.green(`GTR Manager: Pruned ${initialCount - activeProcesses.length} stopped processes`));
+      console.log(chalk.green(`GTR Manager: Pruned ${pruned.length} stopped processes`));
     } catch (error) {
-      console.error(chalk.red(`GTR Manager: Error pruning processes: ${error.message}`));
+      fail('pruning processes', error);
     }
   });
 
 // Clear logs command
 program
-  .command('clearlogs [identifier]')
-  .description('Clear logs for a specific or all processes')
+  .command('clearlogs [identifiers...]')
+  .alias('flush')
+  .description('Clear logs for specific or all processes')
   .option('-e, --error', 'Clear error logs')
   .option('-o, --output', 'Clear output logs')
   .option('-a, --all', 'Clear both error and output logs')
-  .action((identifier, options) => {
+  .option('--namespace <namespace>', 'Only clear the logs of the applications of a namespace')
+  .option('--tag <tags>', 'Only clear the logs of the applications carrying every given tag (comma-separated)')
+  .action(async (identifiers, options) => {
     try {
-      const processes = readProcesses();
+      const processes = await describeSelection(identifiers, options);
+      const names = [...new Set(processes.map(p => p.name))];
       
       const clearError = options.all || options.error || (!options.output);
       const clearOutput = options.all || options.output || (!options.error);
       
-      if (identifier) {
-        const process = findProcess(identifier);
-        
-        if (!process) {
-          console.log(chalk.red(`GTR Manager: Process ${identifier} not found`));
-          return;
-        }
-        
-        if (clearOutput && fs.existsSync(process.logFile)) {
+      // Files cleared, by stream
+      const cleared = { output: [], error: [] };
+      
+      processes.forEach(process => {
+        if (clearOutput && fs.existsSync(process.logFile) && !cleared.output.includes(process.logFile)) {
           fs.writeFileSync(process.logFile, '', 'utf8');
-          console.log(chalk.green(`Output logs cleared for ${process.name}`));
+          cleared.output.push(process.logFile);
         }
         
-        if (clearError && fs.existsSync(process.errorLogFile)) {
+        if (clearError && fs.existsSync(process.errorLogFile) && !cleared.error.includes(process.errorLogFile)) {
           fs.writeFileSync(process.errorLogFile, '', 'utf8');
-          console.log(chalk.green(`Error logs cleared for ${process.name}`));
+          cleared.error.push(process.errorLogFile);
+        }
+      });
+      
+      if (isJSON()) {
+        printJSON(cleared);
+        return;
+      }
+      
+      if (identifiers.length > 0 && names.length === 1) {
+        if (cleared.output.length > 0) {
+          console.log(chalk.green(`Output logs cleared for ${processes[0].name}`));
         }
-      } else {
-        let outputCleared = 0;
-        let errorCleared = 0;
-        
-        processes.forEach(process => {
-          if (clearOutput && fs.existsSync(process.logFile)) {
-            fs.writeFileSync(process.logFile, '', 'utf8');
-            outputCleared++;
-          }
-          
-          if (clearError && fs.existsSync(process.errorLogFile)) {
-            fs.writeFileSync(process.errorLogFile, '', 'utf8');
-            errorCleared++;
-          }
-        });
         
+        if (cleared.error.length > 0) {
+          console.log(chalk.green(`Error logs cleared for ${processes[0].name}`));
+        }
+      } else {
         if (clearOutput) {
-          console.log(chalk.green(`Output logs cleared for ${outputCleared} processes`));
+          console.log(chalk.green(`Output logs cleared for ${cleared.output.length} processes`));
         }
         
         if (clearError) {
-          console.log(chalk.green(`Error logs cleared for ${errorCleared} processes`));
+          console.log(chalk.green(`Error logs cleared for ${cleared.error.length} processes`));
         }
       }
     } catch (error) {
-      console.error(chalk.red(`GTR Manager: Error clearing logs: ${error.message}`));
+      fail('clearing logs', error);
     }
   });
 
+// Kill command
+program
+  .command('kill')
+  .description('Stop all GTR applications and the GTR daemon')
+  .action(async () => {
+    try {
+      const daemon = await api.kill();
+      
+      if (isJSON()) {
+        printJSON({ pid: daemon ? daemon.pid : null });
+        return;
+      }
+      
+      if (!daemon) {
+        console.log(chalk.yellow('GTR Manager: Daemon is not running'));
+        return;
+      }
+      
+      console.log(chalk.yellow(`GTR Manager: Daemon (pid: ${daemon.pid}) stopped`));
+    } catch (error) {
+      fail('stopping daemon', error);
+    }
+  });
+
+// Exit quietly when the reader of a followed stream, such as head, goes away
+process.stdout.on('error', (error) => {
+  if (error.code !== 'EPIPE') {
+    throw error;
+  }
+  process.exit(0);
+});
+
 // Parse command line arguments
-program.parse(process.argv);
+program.parseAsync(process.argv);
 
 // If no arguments, display help
 if (process.argv.length === 2) {
@@ -0,0 +1,234 @@
+/**
+ * GTR Manager - Programmatic API
+ * Promise-based functions shared by the gtr CLI and other Node.js programs
+ */
+
+const path = require('path');
+const fs = require('fs');
+const EventEmitter = require('events');
+const { call, request, subscribe, ensureDaemon, isDaemonRunning } = require('./client');
+const { isConfigFile, loadConfig } = require('./config');
+
+// Lifecycle events of every process, received from the daemon once a listener is added
+const events = new EventEmitter();
+let subscription = null;
+
+// Helper function to split identifiers, all by default, into selectors sent to the daemon and the names of the
+// applications of config files
+const resolveTargets = (identifier) => {
+  const targets = identifier === undefined || identifier === null ? ['all'] : [].concat(identifier).map(String);
+  const files = targets.filter(target => isConfigFile(target) && fs.existsSync(target));
+
+  return {
+    selectors: targets.filter(target => !files.includes(target)),
+    names: files.flatMap(file => loadConfig(file).map(app => app.name))
+  };
+};
+
+// Helper function to run a daemon method on every process matched by identifiers or config files, within the
+// namespace and tag filters of params
+const callForTargets = async (method, identifier, params = {}) => {
+  const { selectors, names } = resolveTargets(identifier);
+  const results = selectors.length > 0 ? await call(method, { ...params, identifier: selectors }) : [];
+
+  for (const name of names) {
+    try {
+      results.push(...await call(method, { ...params, identifier: `name:${name}` }));
+    } catch (error) {
+      // Applications of a config file that were never started are skipped
+      if (error.code !== 'PROCESS_NOT_FOUND') {
+        throw error;
+      }
+    }
+  }
+
+  return results.filter((p, index) => results.findIndex(other => other.id === p.id) === index);
+};
+
+// Helper function to pick the namespace and tag filters out of options
+const readFilters = (options = {}) => ({ namespace: options.namespace, tags: options.tags });
+
+// Start the daemon if needed, resolving to its { pid, version }
+const ping = () => call('ping');
+
+// Start an application, or every application of a config file
+const start = async (script, options = {}) => {
+  if (isConfigFile(script)) {
+    return apply(script);
+  }
+
+  const cwd = options.cwd ? path.resolve(options.cwd) : process.cwd();
+  const name = options.name || path.basename(script, path.extname(script));
+
+  return call('start', {
+    name,
+    script: path.resolve(cwd, script),
+    options: { ...options, cwd }
+  });
+};
+
+// Start, update or leave alone every application of a config file
+const apply = (file) => call('apply', { apps: loadConfig(file) });
+
+// Stop the applications matching identifiers (IDs, PIDs, names, globs, regexes, all or config files, all by
+// default), within a namespace and tags
+const stop = (identifier, options = {}) => callForTargets('stop', identifier, readFilters(options));
+
+// Restart the applications matching identifiers, within a namespace and tags
+const restart = (identifier, options = {}) => callForTargets('restart', identifier, readFilters(options));
+
+// Reload applications without downtime, one instance at a time
+const reload = (identifier, options = {}) => call('reload', { identifier, ...readFilters(options) });
+
+// Delete applications from the process list, stopping them first unless stop is false
+const remove = (identifier, options = {}) => callForTargets('delete', identifier, {
+  stop: options.stop !== false,
+  ...readFilters(options)
+});
+
+// Scale an application to a number of instances, '+N' and '-N' being relative
+const scale = (name, instances) => call('scale', { name, instances: String(instances) });
+
+// List every process, or those of a namespace and carrying tags
+const list = (options = {}) => call('list', readFilters(options));
+
+// Describe every process matching identifiers, within a namespace and tags
+const describe = (identifier, options = {}) => call('describe', { identifier, ...readFilters(options) });
+
+// Get the metric history of every process, or of the processes matching identifiers
+const metrics = (identifier, options = {}) => call('metrics', {
+  ...(identifier !== undefined ? { identifier } : {}),
+  ...readFilters(options)
+});
+
+// Get the counters and gauges of the daemon and of every process, as exported to Prometheus
+const stats = () => call('stats');
+
+// Save the process list for resurrect, and in the dump history unless history is false
+const save = (options = {}) => call('save', { history: options.history !== false });
+
+// List the saved process lists of the dump history, newest first
+const dumps = () => call('dumps');
+
+// Restore the processes that were running when the process list was saved, from the last save or from a dump
+// of the history given by name or path
+const resurrect = (from) => {
+  const dump = from && (String(from).includes(path.sep) || fs.existsSync(String(from))) ? path.resolve(String(from)) : from;
+  return call('resurrect', dump ? { from: dump } : {});
+};
+
+// Get the journaled lifecycle events of the processes matching identifiers within a namespace and tags, or of
+// deleted applications by name, oldest first: the last `limit` ones, of the given event types
+const history = (identifier, options = {}) => call('history', {
+  identifier: [].concat(identifier).map(String),
+  limit: options.limit || 0,
+  events: options.events || null,
+  ...readFilters(options)
+});
+
+// Remove every stopped or errored process from the list
+const prune = () => call('prune');
+
+// Turn watch mode on for an application, watching its working directory or the given paths
+const watch = (identifier, paths = true) => call('watch', { identifier: String(identifier), watch: paths });
+
+// Turn watch mode off for an application
+const unwatch = (identifier) => call('watch', { identifier: String(identifier), watch: false });
+
+// Rotate the log files of an application now, resolving to the rotated files
+const rotateLogs = (identifier) => call('rotateLogs', { identifier: String(identifier) });
+
+// Read the global settings
+const getSettings = () => call('getSettings');
+
+// Change a global setting, resolving to every setting
+const setSetting = (key, value) => call('setSetting', { key, value: String(value) });
+
+// Stream the log lines of every application, or of the named ones, until close() is called
+const streamLogs = async (onLog, options = {}) => {
+  await ensureDaemon();
+  const socket = await subscribe({ onLog }, { events: false, logs: true, names: options.names });
+  return { close: () => socket.end() };
+};
+
+// Stop every application and the daemon
+const kill = async () => {
+  if (!(await isDaemonRunning())) {
+    return null;
+  }
+
+  return request('kill');
+};
+
+// Open the event subscription, resolving once events are being received
+const connect = () => {
+  if (!subscription) {
+    subscription = ensureDaemon().then(() => subscribe({
+      onEvent: (payload) => {
+        events.emit(payload.event, payload);
+        events.emit('event', payload);
+      }
+    }));
+
+    subscription.catch((error) => {
+      subscription = null;
+      if (events.listenerCount('error') > 0) {
+        events.emit('error', error);
+      }
+    });
+  }
+
+  return subscription.then(() => events);
+};
+
+// Close the event subscription so the calling program can exit
+const disconnect = async () => {
+  if (!subscription) {
+    return;
+  }
+
+  const pending = subscription;
+  subscription = null;
+
+  try {
+    (await pending).end();
+  } catch (error) {
+    // The subscription never opened
+  }
+};
+
+events.on('newListener', (event) => {
+  if (!['newListener', 'removeListener', 'error'].includes(event)) {
+    connect().catch(() => {});
+  }
+});
+
+module.exports = {
+  ping,
+  start,
+  apply,
+  stop,
+  restart,
+  reload,
+  delete: remove,
+  scale,
+  list,
+  describe,
+  metrics,
+  stats,
+  history,
+  prune,
+  save,
+  dumps,
+  resurrect,
+  watch,
+  unwatch,
+  streamLogs,
+  rotateLogs,
+  getSettings,
+  setSetting,
+  kill,
+  events,
+  connect,
+  disconnect
+};
@@ -0,0 +1,177 @@
+/**
+ * GTR Manager - Client side of the daemon socket
+ * Launches the daemon on demand and sends it requests
+ */
+
+const net = require('net');
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { GTR_HOME, DAEMON_LOG_FILE, SOCKET_FILE } = require('./paths');
+const { createError, fromRpcError } = require('./errors');
+
+// How long to wait for a freshly launched daemon to accept connections
+const DAEMON_START_TIMEOUT = 5000;
+const DAEMON_POLL_INTERVAL = 100;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Helper function to build a JSON-RPC request line
+const encodeRequest = (method, params) => `${JSON.stringify({ jsonrpc: '2.0', id: 1, method, params })}\n`;
+
+// Helper function to parse a message of the daemon, a garbled one meaning the daemon cannot be relied on
+const parseMessage = (line) => {
+  try {
+    return JSON.parse(line);
+  } catch (error) {
+    throw createError('DAEMON_UNAVAILABLE', `Invalid reply from the GTR daemon: ${error.message}`);
+  }
+};
+
+// Send a single request to the daemon and wait for its response
+const request = (method, params = {}) => new Promise((resolve, reject) => {
+  const socket = net.createConnection(SOCKET_FILE);
+  let buffer = '';
+
+  socket.setEncoding('utf8');
+
+  socket.on('connect', () => {
+    socket.write(encodeRequest(method, params));
+  });
+
+  socket.on('data', (chunk) => {
+    buffer += chunk;
+    const index = buffer.indexOf('\n');
+    if (index === -1) {
+      return;
+    }
+
+    socket.end();
+    let response;
+    try {
+      response = parseMessage(buffer.slice(0, index));
+    } catch (error) {
+      reject(error);
+      return;
+    }
+
+    if (response.error) {
+      reject(fromRpcError(response.error));
+    } else {
+      resolve(response.result);
+    }
+  });
+
+  // A connection closed before a whole reply arrived; settling twice is a no-op
+  socket.on('end', () => {
+    reject(createError('DAEMON_UNAVAILABLE', 'The GTR daemon closed the connection without replying'));
+  });
+
+  socket.on('error', reject);
+});
+
+// Open a long-lived connection receiving lifecycle events and/or log lines from the daemon
+const subscribe = (handlers, params = { events: true }) => new Promise((resolve, reject) => {
+  const socket = net.createConnection(SOCKET_FILE);
+  let buffer = '';
+  let subscribed = false;
+
+  socket.setEncoding('utf8');
+
+  socket.on('connect', () => {
+    socket.write(encodeRequest('subscribe', params));
+  });
+
+  socket.on('data', (chunk) => {
+    buffer += chunk;
+
+    let index;
+    while ((index = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, index);
+      buffer = buffer.slice(index + 1);
+
+      let message;
+      try {
+        message = parseMessage(line);
+      } catch (error) {
+        // A garbled notification is skipped, a garbled subscription reply fails the subscription
+        if (!subscribed) {
+          subscribed = true;
+          socket.end();
+          reject(error);
+        }
+        continue;
+      }
+
+      if (message.method === 'event' && handlers.onEvent) {
+        handlers.onEvent(message.params);
+      } else if (message.method === 'log' && handlers.onLog) {
+        handlers.onLog(message.params);
+      } else if (!subscribed) {
+        subscribed = true;
+        if (message.error) {
+          socket.end();
+          reject(fromRpcError(message.error));
+        } else {
+          resolve(socket);
+        }
+      }
+    }
+  });
+
+  socket.on('error', (error) => {
+    if (!subscribed) {
+      reject(error);
+    }
+  });
+});
+
+// Check whether a daemon is listening on the socket
+const isDaemonRunning = () => request('ping').then(() => true, () => false);
+
+// Launch the daemon as a detached background process
+const launchDaemon = () => {
+  const out = fs.openSync(DAEMON_LOG_FILE, 'a');
+
+  const daemon = spawn(process.execPath, [path.join(__dirname, 'daemon.js')], {
+    cwd: GTR_HOME,
+    detached: true,
+    stdio: ['ignore', out, out],
+    env: process.env
+  });
+
+  daemon.unref();
+  fs.closeSync(out);
+};
+
+// Make sure a daemon is running, launching one if needed
+const ensureDaemon = async () => {
+  if (await isDaemonRunning()) {
+    return;
+  }
+
+  launchDaemon();
+
+  for (let waited = 0; waited < DAEMON_START_TIMEOUT; waited += DAEMON_POLL_INTERVAL) {
+    await sleep(DAEMON_POLL_INTERVAL);
+    if (await isDaemonRunning()) {
+      return;
+    }
+  }
+
+  throw createError('DAEMON_UNAVAILABLE', `Unable to start the GTR daemon, see ${DAEMON_LOG_FILE}`);
+};
+
+// Send a request to the daemon, launching it first if needed
+const call = async (method, params) => {
+  await ensureDaemon();
+  return request(method, params);
+};
+
+module.exports = {
+  request,
+  call,
+  subscribe,
+  ensureDaemon,
+  isDaemonRunning
+};
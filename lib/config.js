@@ -0,0 +1,148 @@
+/**
+ * GTR Manager - Ecosystem config files
+ * Loads gtr.config.js, .json and .yaml files declaring many applications
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+// Options an application entry may set, passed through to the daemon as-is
+const APP_OPTIONS = [
+  'args',
+  'interpreter',
+  'nodeArgs',
+  'instances',
+  'execMode',
+  'env',
+  'restartPolicy',
+  'minUptime',
+  'maxRestarts',
+  'restartDelay',
+  'listenTimeout',
+  'logMaxSize',
+  'logRotate',
+  'logCompress',
+  'logRetain',
+  'logTimestamp',
+  'logPrefix',
+  'logFormat',
+  'mergeLogs',
+  'watch',
+  'ignoreWatch',
+  'watchDelay',
+  'maxMemoryRestart',
+  'maxCpuRestart',
+  'maxCpuDuration',
+  'killSignal',
+  'killTimeout',
+  'shutdownWithMessage',
+  'waitReady',
+  'readyCheck',
+  'healthCheck',
+  'hooks',
+  'namespace',
+  'tags'
+];
+
+// Check whether a start/stop/restart/delete argument names a config file rather than a script or process
+const isConfigFile = (file) => {
+  const ext = path.extname(file);
+  return ['.json', '.yaml', '.yml'].includes(ext) || /\.config\.c?js$/.test(file);
+};
+
+// Helper function to parse the raw contents of a config file
+const parseConfigFile = (file) => {
+  const ext = path.extname(file);
+
+  if (ext === '.yaml' || ext === '.yml') {
+    return yaml.load(fs.readFileSync(file, 'utf8'));
+  }
+
+  if (ext === '.json') {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  // Always pick up the latest version of a JS config
+  delete require.cache[require.resolve(file)];
+  return require(file);
+};
+
+// Helper function to normalize one application entry into a start request
+const normalizeApp = (app, baseDir, index) => {
+  if (!app || typeof app !== 'object') {
+    throw new Error(`App #${index} must be an object`);
+  }
+
+  if (!app.script) {
+    throw new Error(`App #${index} has no script`);
+  }
+
+  const cwd = path.resolve(baseDir, app.cwd || '.');
+  const script = path.resolve(cwd, app.script);
+  const name = app.name || path.basename(script, path.extname(script));
+  const options = { cwd };
+
+  for (const key of APP_OPTIONS) {
+    if (app[key] !== undefined) {
+      options[key] = app[key];
+    }
+  }
+
+  ['args', 'nodeArgs'].forEach((key) => {
+    if (typeof options[key] === 'string') {
+      options[key] = options[key].split(' ').filter(Boolean);
+    }
+  });
+
+  if (options.env) {
+    options.env = Object.entries(options.env).reduce((env, [key, value]) => {
+      env[key] = String(value);
+      return env;
+    }, {});
+  }
+
+  if (app.logFile) {
+    options.logFile = path.resolve(baseDir, app.logFile);
+  }
+
+  if (app.errorLogFile) {
+    options.errorLogFile = path.resolve(baseDir, app.errorLogFile);
+  }
+
+  return { name, script, options };
+};
+
+// Load a config file and return the start requests of its applications
+const loadConfig = (file) => {
+  const configFile = path.resolve(file);
+
+  if (!fs.existsSync(configFile)) {
+    throw new Error(`Config file ${file} does not exist`);
+  }
+
+  const config = parseConfigFile(configFile);
+  const apps = Array.isArray(config) ? config : config && config.apps;
+
+  if (!Array.isArray(apps)) {
+    throw new Error(`Config file ${file} must export an apps array`);
+  }
+
+  const baseDir = path.dirname(configFile);
+  const normalized = apps.map((app, index) => normalizeApp(app, baseDir, index));
+
+  const names = new Set();
+  for (const app of normalized) {
+    if (names.has(app.name)) {
+      throw new Error(`Config file ${file} declares ${app.name} more than once`);
+    }
+    names.add(app.name);
+  }
+
+  return normalized;
+};
+
+module.exports = {
+  isConfigFile,
+  loadConfig
+};
@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+
+/**
+ * GTR Manager - Resident supervisor daemon
+ * Serves the control socket and keeps the supervisor running
+ */
+
+const fs = require('fs');
+const { DAEMON_PID_FILE, SOCKET_FILE } = require('./paths');
+const { log, adoptProcesses, pollAdopted, syncWatchers, collectMetrics, ADOPT_POLL_INTERVAL, METRICS_INTERVAL } = require('./supervisor');
+const { createServer } = require('./rpc');
+
+// Check if a process is running by PID
+const isProcessRunning = (pid) => {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+};
+
+// Stop the socket server and exit
+const shutdown = () => {
+  log('Daemon shutting down');
+  server.close();
+
+  for (const file of [SOCKET_FILE, DAEMON_PID_FILE]) {
+    try {
+      fs.unlinkSync(file);
+    } catch (error) {
+      // Already removed
+    }
+  }
+
+  process.exit(0);
+};
+
+const server = createServer({ shutdown });
+
+// Refuse to run twice
+if (fs.existsSync(DAEMON_PID_FILE)) {
+  const existingPid = parseInt(fs.readFileSync(DAEMON_PID_FILE, 'utf8'), 10);
+  if (existingPid && existingPid !== process.pid && isProcessRunning(existingPid)) {
+    log(`Daemon already running (pid: ${existingPid})`);
+    process.exit(1);
+  }
+}
+
+if (fs.existsSync(SOCKET_FILE)) {
+  fs.unlinkSync(SOCKET_FILE);
+}
+
+server.listen(SOCKET_FILE, () => {
+  // Only the owner may drive the daemon
+  fs.chmodSync(SOCKET_FILE, 0o600);
+  fs.writeFileSync(DAEMON_PID_FILE, String(process.pid));
+  log(`Daemon started (pid: ${process.pid})`);
+  adoptProcesses();
+  syncWatchers();
+  setInterval(pollAdopted, ADOPT_POLL_INTERVAL);
+  setInterval(() => collectMetrics().catch(error => log(`Error collecting metrics: ${error.message}`)), METRICS_INTERVAL);
+});
+
+server.on('error', (error) => {
+  log(`Daemon socket error: ${error.message}`);
+  process.exit(1);
+});
+
+process.on('SIGTERM', shutdown);
+process.on('SIGINT', shutdown);
+
+process.on('uncaughtException', (error) => {
+  log(`Uncaught exception: ${error.stack || error.message}`);
+});
@@ -0,0 +1,404 @@
+/**
+ * GTR Manager - Monitor dashboard
+ * Full-screen, keyboard-driven view of the processes, their metrics and the logs of the selected application
+ */
+
+const readline = require('readline');
+const chalk = require('chalk');
+const api = require('./api');
+const { formatMegabytes } = require('./units');
+const { getLogSources, queryLogs } = require('./log-query');
+const { formatUptime, getUptime, getStatusWithColor, sparkline } = require('./format');
+
+// Log lines kept per application
+const LOG_BUFFER_SIZE = 500;
+
+// Widest the process list gets, the detail pane taking the rest of the width
+const LIST_WIDTH = 56;
+
+const KEY_HELP = '↑/↓ select  s stop  r restart  l reload  +/- scale  / filter  q quit';
+
+// Terminal control sequences: alternate screen, cursor visibility, cursor home, end of line and end of screen clearing
+const ENTER_SCREEN = '\x1B[?1049h\x1B[?25l';
+const LEAVE_SCREEN = '\x1B[?25h\x1B[?1049l';
+const HOME = '\x1B[H';
+const CLEAR_LINE = '\x1B[K';
+const CLEAR_BELOW = '\x1B[J';
+
+// Helper function to cut or pad plain text to a width
+const fit = (text, width) => {
+  const value = String(text);
+  if (width <= 0) {
+    return '';
+  }
+  return value.length > width ? `${value.slice(0, width - 1)}…` : value.padEnd(width);
+};
+
+// Helper function to format a CPU percentage
+const formatCpu = (cpu) => `${(cpu || 0).toFixed(1)}%`;
+
+// Create the dashboard state and its actions; render() draws a frame for the terminal size
+const createDashboard = ({ interval }) => {
+  const state = {
+    processes: [],
+    histories: new Map(),
+    settings: {},
+    selectedId: null,
+    filter: '',
+    filterInput: null,
+    message: null,
+    logs: new Map(),
+    loadedLogs: new Set()
+  };
+
+  // Processes whose name matches the filter
+  const visibleProcesses = () => state.processes.filter(p => !state.filter || p.name.toLowerCase().includes(state.filter.toLowerCase()));
+
+  const selectedProcess = () => {
+    const visible = visibleProcesses();
+    return visible.find(p => p.id === state.selectedId) || visible[0] || null;
+  };
+
+  const setMessage = (text, color = chalk.white) => {
+    state.message = color(text);
+  };
+
+  // Append a log line to the buffer of its application
+  const addLog = (name, entry) => {
+    if (!state.logs.has(name)) {
+      state.logs.set(name, []);
+    }
+
+    const lines = state.logs.get(name);
+    lines.push(entry);
+    if (lines.length > LOG_BUFFER_SIZE) {
+      lines.shift();
+    }
+  };
+
+  // Read the last lines of the log files of an application the first time it is selected
+  const loadLogs = (processInfo) => {
+    if (state.loadedLogs.has(processInfo.name)) {
+      return;
+    }
+    state.loadedLogs.add(processInfo.name);
+
+    try {
+      const instances = state.processes.filter(p => p.name === processInfo.name);
+      const entries = queryLogs(getLogSources(instances, state.settings, 'all'), { stream: 'all', lines: LOG_BUFFER_SIZE });
+      const live = state.logs.get(processInfo.name) || [];
+      // Lines received since the dashboard opened are in the files too
+      state.logs.set(processInfo.name, entries.slice(0, Math.max(0, entries.length - live.length))
+        .map(entry => ({ stream: entry.stream, message: entry.message }))
+        .concat(live)
+        .slice(-LOG_BUFFER_SIZE));
+    } catch (error) {
+      setMessage(`Cannot read the logs of ${processInfo.name}: ${error.message}`, chalk.red);
+    }
+  };
+
+  // Fetch the processes and their metrics from the daemon
+  const refresh = async () => {
+    state.processes = await api.list();
+    const histories = await api.metrics();
+    state.histories = new Map(histories.map(history => [history.id, history.samples]));
+
+    const selected = selectedProcess();
+    state.selectedId = selected ? selected.id : null;
+    if (selected) {
+      loadLogs(selected);
+    }
+  };
+
+  // Move the selection up or down the visible processes
+  const move = (offset) => {
+    const visible = visibleProcesses();
+    if (visible.length === 0) {
+      return;
+    }
+
+    const index = Math.max(0, visible.findIndex(p => p.id === state.selectedId));
+    const next = visible[Math.min(visible.length - 1, Math.max(0, index + offset))];
+    state.selectedId = next.id;
+    loadLogs(next);
+  };
+
+  // Run an action on the selected process, reporting its progress and outcome in the footer
+  const runAction = async (label, action) => {
+    const processInfo = selectedProcess();
+    if (!processInfo) {
+      return;
+    }
+
+    setMessage(`${label} ${processInfo.name}...`, chalk.yellow);
+    try {
+      await action(processInfo);
+      setMessage(`${label} ${processInfo.name}: done`, chalk.green);
+    } catch (error) {
+      setMessage(`${label} ${processInfo.name} failed: ${error.message}`, chalk.red);
+    }
+    await refresh().catch(() => {});
+  };
+
+  const actions = {
+    stop: () => runAction('Stopping', p => api.stop(p.id)),
+    restart: () => runAction('Restarting', p => api.restart(p.id)),
+    reload: () => runAction('Reloading', p => api.reload(`name:${p.name}`)),
+    scaleUp: () => runAction('Scaling up', p => api.scale(p.name, '+1')),
+    scaleDown: () => runAction('Scaling down', p => api.scale(p.name, '-1'))
+  };
+
+  // Build the lines of the process list
+  const renderList = (visible, width, height) => {
+    const lines = [chalk.cyan(fit(`${fit('ID', 4)} ${fit('Name', width - 35)} ${fit('Status', 10)} ${fit('CPU', 7)} ${fit('Memory', 10)}`, width))];
+
+    // Scroll so that the selected process stays visible
+    const index = Math.max(0, visible.findIndex(p => p.id === state.selectedId));
+    const first = Math.max(0, Math.min(index - height + 2, visible.length - height + 1));
+
+    visible.slice(first, first + height - 1).forEach((processInfo) => {
+      const name = processInfo.instances > 1 ? `${processInfo.name}:${processInfo.instance}` : processInfo.name;
+      const line = `${fit(processInfo.id, 4)} ${fit(name, width - 35)} ${getStatusWithColor(processInfo.status, fit(processInfo.status, 10))} ${fit(formatCpu(processInfo.cpu), 7)} ${fit(formatMegabytes(processInfo.rss), 10)}`;
+      lines.push(processInfo.id === state.selectedId ? chalk.inverse(line) : line);
+    });
+
+    if (visible.length === 0) {
+      lines.push(chalk.yellow(fit(state.filter ? `No process matches "${state.filter}"` : 'No GTR applications registered', width)));
+    }
+
+    return lines;
+  };
+
+  // Build the lines of the detail pane of the selected process
+  const renderDetail = (processInfo, width) => {
+    if (!processInfo) {
+      return [];
+    }
+
+    const samples = state.histories.get(processInfo.id) || [];
+    const trendWidth = Math.max(0, width - 18);
+    const uptime = getUptime(processInfo) === null ? '-' : formatUptime(getUptime(processInfo));
+
+    const rows = [
+      [chalk.bold(fit(`${processInfo.name} (id: ${processInfo.id})`, width))],
+      [`Status   ${getStatusWithColor(processInfo.status)}`, `PID ${processInfo.pid || 'N/A'}`],
+      [`Mode     ${processInfo.execMode || 'fork'}, instance ${processInfo.instance || 0} of ${processInfo.instances}`],
+      [`Uptime   ${uptime}`, `restarts ${processInfo.restarts}${processInfo.lastRestartReason ? ` (last: ${processInfo.lastRestartReason})` : ''}`],
+      [`CPU      ${fit(formatCpu(processInfo.cpu), 8)}`, chalk.green(sparkline(samples.map(sample => sample.cpu), trendWidth))],
+      [`Memory   ${fit(formatMegabytes(processInfo.rss), 8)}`, chalk.blue(sparkline(samples.map(sample => sample.rss), trendWidth))],
+      [`Threads  ${processInfo.threads || 0}`, `open files ${processInfo.fds || 0}`],
+      [`I/O      ${formatMegabytes(processInfo.readBytes)} read, ${formatMegabytes(processInfo.writeBytes)} written`],
+      [`Script   ${processInfo.script}`],
+      [`Cwd      ${processInfo.cwd}`]
+    ];
+
+    // Colored parts are short enough to fit; plain parts are cut to the pane
+    return rows.map(([first, second]) => (second ? `${first}  ${second}` : first))
+      .map(line => (line.includes('\x1B') ? line : fit(line, width)));
+  };
+
+  // Build the lines of the log pane of the selected process
+  const renderLogs = (processInfo, width, height) => {
+    const lines = processInfo ? (state.logs.get(processInfo.name) || []).slice(-height) : [];
+    return lines.map(entry => (entry.stream === 'err' ? chalk.red(fit(entry.message, width)) : fit(entry.message, width)));
+  };
+
+  // Draw a whole frame over the previous one, so that the screen never goes blank
+  const render = () => {
+    const columns = process.stdout.columns || 80;
+    const rows = process.stdout.rows || 24;
+    const visible = visibleProcesses();
+    const selected = selectedProcess();
+
+    const bodyHeight = Math.max(4, rows - 2);
+    const topHeight = Math.max(3, Math.min(bodyHeight - 3, Math.max(12, Math.floor(bodyHeight * 0.5))));
+    const logHeight = bodyHeight - topHeight - 1;
+    const listWidth = Math.min(LIST_WIDTH, Math.floor(columns / 2));
+    const detailWidth = columns - listWidth - 3;
+
+    const header = ` GTR Manager - ${state.processes.length} processes${state.filter ? `, filter: ${state.filter}` : ''}  ${new Date().toLocaleTimeString()}  (refreshing every ${interval / 1000}s)`;
+    const lines = [chalk.inverse(fit(header, columns))];
+
+    const list = renderList(visible, listWidth, topHeight);
+    const detail = renderDetail(selected, detailWidth);
+    for (let row = 0; row < topHeight; row++) {
+      lines.push(`${list[row] || ' '.repeat(listWidth)} ${chalk.gray('│')} ${detail[row] || ''}`);
+    }
+
+    lines.push(chalk.gray(fit(`── Logs${selected ? ` of ${selected.name}` : ''} ${'─'.repeat(columns)}`, columns)));
+    const logs = renderLogs(selected, columns, logHeight);
+    for (let row = 0; row < logHeight; row++) {
+      lines.push(logs[row] || '');
+    }
+
+    let footer = chalk.gray(fit(KEY_HELP, columns));
+    if (state.filterInput !== null) {
+      footer = `/${state.filterInput}`;
+    } else if (state.message) {
+      footer = state.message;
+    }
+    lines.push(footer);
+
+    process.stdout.write(HOME + lines.slice(0, rows).map(line => line + CLEAR_LINE).join('\n') + CLEAR_BELOW);
+  };
+
+  // Handle a key press, resolving to false when the dashboard should close
+  const handleKey = async (str, key = {}) => {
+    if (key.ctrl && key.name === 'c') {
+      return false;
+    }
+
+    if (state.filterInput !== null) {
+      if (key.name === 'return' || key.name === 'enter') {
+        state.filter = state.filterInput.trim();
+        state.filterInput = null;
+        move(0);
+      } else if (key.name === 'escape') {
+        state.filterInput = null;
+      } else if (key.name === 'backspace') {
+        state.filterInput = state.filterInput.slice(0, -1);
+      } else if (str && !key.ctrl && !key.meta && str >= ' ') {
+        state.filterInput += str;
+      }
+      return true;
+    }
+
+    switch (key.name || str) {
+      case 'q':
+        return false;
+      case 'up':
+      case 'k':
+        move(-1);
+        break;
+      case 'down':
+      case 'j':
+        move(1);
+        break;
+      case 'pageup':
+        move(-10);
+        break;
+      case 'pagedown':
+        move(10);
+        break;
+      case 'escape':
+        state.filter = '';
+        state.message = null;
+        break;
+      case 's':
+        await actions.stop();
+        break;
+      case 'r':
+        await actions.restart();
+        break;
+      case 'l':
+        await actions.reload();
+        break;
+      case '+':
+      case '=':
+        await actions.scaleUp();
+        break;
+      case '-':
+        await actions.scaleDown();
+        break;
+      case '/':
+        state.filterInput = state.filter;
+        break;
+      default:
+        break;
+    }
+
+    return true;
+  };
+
+  return { state, refresh, render, handleKey, addLog };
+};
+
+// Run the dashboard until q or Ctrl+C is pressed
+const runDashboard = ({ interval = 5000 } = {}) => new Promise((resolve) => {
+  const dashboard = createDashboard({ interval });
+  let logStream = null;
+  let timer = null;
+  let renderTimer = null;
+  let closed = false;
+
+  // Log lines arrive in bursts, so they are drawn at most every 100ms
+  const scheduleRender = () => {
+    if (!renderTimer && !closed) {
+      renderTimer = setTimeout(() => {
+        renderTimer = null;
+        dashboard.render();
+      }, 100);
+    }
+  };
+
+  const update = () => dashboard.refresh()
+    .catch((error) => {
+      dashboard.state.message = chalk.red(`Cannot reach the daemon: ${error.message}`);
+    })
+    .then(() => {
+      if (!closed) {
+        dashboard.render();
+      }
+    });
+
+  const close = () => {
+    closed = true;
+    clearInterval(timer);
+    clearTimeout(renderTimer);
+    if (logStream) {
+      logStream.close();
+    }
+    process.stdout.removeListener('resize', dashboard.render);
+    process.stdin.setRawMode(false);
+    process.stdin.pause();
+    process.stdout.write(LEAVE_SCREEN);
+    resolve();
+  };
+
+  process.stdout.write(ENTER_SCREEN);
+  readline.emitKeypressEvents(process.stdin);
+  process.stdin.setRawMode(true);
+  process.stdin.resume();
+
+  process.stdin.on('keypress', (str, key) => {
+    dashboard.handleKey(str, key).then((keepOpen) => {
+      if (!keepOpen) {
+        close();
+      } else if (!closed) {
+        dashboard.render();
+      }
+    });
+    // Actions take a while, show that they started
+    if (!closed) {
+      scheduleRender();
+    }
+  });
+
+  process.stdout.on('resize', dashboard.render);
+
+  api.getSettings()
+    .then((settings) => {
+      dashboard.state.settings = settings;
+    })
+    .catch(() => {})
+    .then(update)
+    .then(() => api.streamLogs(({ process: processInfo, stream, line }) => {
+      dashboard.addLog(processInfo.name, { stream, message: line });
+      scheduleRender();
+    }))
+    .then((stream) => {
+      logStream = stream;
+      if (closed) {
+        stream.close();
+      }
+    })
+    .catch((error) => {
+      dashboard.state.message = chalk.red(`Cannot stream logs: ${error.message}`);
+    });
+
+  timer = setInterval(update, interval);
+});
+
+module.exports = {
+  runDashboard
+};
@@ -0,0 +1,115 @@
+/**
+ * GTR Manager - Saved process lists
+ * Writes the dump read by resurrect, keeps a history of timestamped dumps and reads them back
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DUMP_FILE, DUMP_DIR } = require('./paths');
+const { SCHEMA_VERSION, parseStore } = require('./store');
+const { createError } = require('./errors');
+
+// Dumps kept in the history, the oldest being removed first
+const DUMP_HISTORY_SIZE = 10;
+
+// Settings of the dumps: saving after every change of the process list is opt-in
+const DEFAULT_DUMP_SETTINGS = {
+  autoSave: false
+};
+
+// Check the dump settings, throwing on values the daemon could not use
+const resolveDumpSettings = (settings) => {
+  const autoSave = settings.autoSave === undefined ? DEFAULT_DUMP_SETTINGS.autoSave : settings.autoSave;
+  if (typeof autoSave !== 'boolean') {
+    throw createError('INVALID_OPTION', `Invalid autoSave ${autoSave} (expected true or false)`);
+  }
+  return { autoSave };
+};
+
+// Helper function to write a file atomically
+const writeAtomically = (file, content) => {
+  const tmpFile = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpFile, content);
+  fs.renameSync(tmpFile, file);
+};
+
+// Helper function to list the history dumps, oldest first; their names sort by time
+const listHistoryFiles = () => {
+  try {
+    return fs.readdirSync(DUMP_DIR).filter(file => /^dump-.+\.json$/.test(file)).sort();
+  } catch (error) {
+    return [];
+  }
+};
+
+// Write the dump read by resurrect, and a copy in the history unless history is false; returns { file, historyFile, count }
+const writeDump = (processes, { history = true } = {}) => {
+  const savedAt = new Date();
+  const content = JSON.stringify({ schemaVersion: SCHEMA_VERSION, savedAt: savedAt.toISOString(), processes }, null, 2);
+
+  writeAtomically(DUMP_FILE, content);
+
+  let historyFile = null;
+  if (history) {
+    fs.mkdirSync(DUMP_DIR, { recursive: true });
+    historyFile = path.join(DUMP_DIR, `dump-${savedAt.toISOString().replace(/[:.]/g, '-')}.json`);
+    writeAtomically(historyFile, content);
+
+    const files = listHistoryFiles();
+    files.slice(0, Math.max(0, files.length - DUMP_HISTORY_SIZE)).forEach(file => fs.unlinkSync(path.join(DUMP_DIR, file)));
+  }
+
+  return { file: DUMP_FILE, historyFile, count: processes.length };
+};
+
+// Read a dump into { savedAt, processes }, upgrading dumps written by older releases
+const readDump = (file) => {
+  let content;
+  try {
+    content = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    throw createError('INVALID_OPTION', error.code === 'ENOENT' ? `No saved process list at ${file}` : `Cannot read ${file}: ${error.message}`);
+  }
+
+  try {
+    const data = JSON.parse(content);
+    return { savedAt: data.savedAt || null, processes: parseStore(content).processes };
+  } catch (error) {
+    throw createError(error.code === 'STORE_VERSION' ? error.code : 'INVALID_OPTION', `Invalid saved process list ${file}: ${error.message}`);
+  }
+};
+
+// Resolve a dump given by name in the history, with or without .json, or by path; the current dump by default
+const resolveDump = (from) => {
+  if (!from) {
+    return DUMP_FILE;
+  }
+
+  const name = path.basename(String(from), '.json');
+  if (listHistoryFiles().includes(`${name}.json`) && !path.isAbsolute(String(from))) {
+    return path.join(DUMP_DIR, `${name}.json`);
+  }
+
+  return path.resolve(String(from));
+};
+
+// List the history dumps, newest first, as { name, file, savedAt, count }
+const listDumps = () => listHistoryFiles().reverse().map((file) => {
+  const dumpFile = path.join(DUMP_DIR, file);
+  try {
+    const { savedAt, processes } = readDump(dumpFile);
+    return { name: path.basename(file, '.json'), file: dumpFile, savedAt, count: processes.length };
+  } catch (error) {
+    return { name: path.basename(file, '.json'), file: dumpFile, savedAt: null, count: null };
+  }
+});
+
+module.exports = {
+  DUMP_HISTORY_SIZE,
+  DEFAULT_DUMP_SETTINGS,
+  resolveDumpSettings,
+  writeDump,
+  readDump,
+  resolveDump,
+  listDumps
+};
@@ -0,0 +1,75 @@
+/**
+ * GTR Manager - Error codes shared by the daemon, its clients and the CLI
+ */
+
+// JSON-RPC error codes: the standard ones, then the GTR specific ones
+const RPC_ERROR_CODES = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  PROCESS_NOT_FOUND: -32001,
+  SCRIPT_NOT_FOUND: -32002,
+  ALREADY_RUNNING: -32003,
+  INVALID_OPTION: -32004,
+  STORE_LOCKED: -32005,
+  STORE_VERSION: -32006
+};
+
+// Exit codes of the CLI by error code, every other failure exiting with 1
+const EXIT_CODES = {
+  INVALID_OPTION: 2,
+  INVALID_PARAMS: 2,
+  PROCESS_NOT_FOUND: 3,
+  SCRIPT_NOT_FOUND: 4,
+  ALREADY_RUNNING: 5,
+  DAEMON_UNAVAILABLE: 6,
+  STORE_LOCKED: 7,
+  STORE_VERSION: 7,
+  PERMISSION_DENIED: 8
+};
+
+// Create an error carrying one of the codes above
+const createError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Convert an error into a JSON-RPC error object
+const toRpcError = (error) => {
+  const code = RPC_ERROR_CODES[error.code] ? error.code : 'INTERNAL_ERROR';
+  return {
+    code: RPC_ERROR_CODES[code],
+    message: error.message,
+    data: { code }
+  };
+};
+
+// Convert an error into the { code, message } object printed by the CLI, unknown failures being INTERNAL_ERROR
+const toErrorObject = (error) => ({
+  code: RPC_ERROR_CODES[error.code] || EXIT_CODES[error.code] ? error.code : 'INTERNAL_ERROR',
+  message: error.message
+});
+
+// Get the exit code of the CLI for an error
+const getExitCode = (error) => EXIT_CODES[error.code] || 1;
+
+// Convert a JSON-RPC error object back into an error
+const fromRpcError = (rpcError) => {
+  const code = (rpcError.data && rpcError.data.code) ||
+    Object.keys(RPC_ERROR_CODES).find(key => RPC_ERROR_CODES[key] === rpcError.code) ||
+    'INTERNAL_ERROR';
+  return createError(code, rpcError.message);
+};
+
+module.exports = {
+  RPC_ERROR_CODES,
+  EXIT_CODES,
+  createError,
+  toRpcError,
+  toErrorObject,
+  getExitCode,
+  fromRpcError
+};
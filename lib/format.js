@@ -0,0 +1,81 @@
+/**
+ * GTR Manager - Terminal formatting
+ * Helpers shared by the CLI commands and the monitor dashboard
+ */
+
+const chalk = require('chalk');
+
+// Statuses of a running process, whose uptime is shown
+const RUNNING_STATUSES = ['launching', 'online', 'unhealthy'];
+
+const SPARK_CHARS = '▁▂▃▄▅▆▇█';
+
+// Helper function to format uptime
+const formatUptime = (ms) => {
+  const seconds = Math.floor(ms / 1000);
+  const minutes = Math.floor(seconds / 60);
+  const hours = Math.floor(minutes / 60);
+  const days = Math.floor(hours / 24);
+
+  if (days > 0) return `${days}d ${hours % 24}h`;
+  if (hours > 0) return `${hours}h ${minutes % 60}m`;
+  if (minutes > 0) return `${minutes}m ${seconds % 60}s`;
+  return `${seconds}s`;
+};
+
+// Helper function to get the uptime of a running process since its current process started, or null
+const getUptime = (processInfo) => (RUNNING_STATUSES.includes(processInfo.status) && processInfo.startedAt
+  ? Date.now() - Date.parse(processInfo.startedAt)
+  : null);
+
+// Helper function to describe how the last process of an application exited
+const formatExit = (lastExit) => {
+  if (!lastExit) {
+    return 'N/A';
+  }
+
+  let how = `code ${lastExit.code}`;
+  if (lastExit.signal) {
+    how = `signal ${lastExit.signal}`;
+  } else if (lastExit.code === null) {
+    how = 'unknown exit status';
+  }
+  return `${how} after ${formatUptime(lastExit.uptime)}${lastExit.crashed ? ', crashed' : ''} (${new Date(lastExit.at).toLocaleString()})`;
+};
+
+// Helper function to color a status, or a text standing for it such as a padded status
+const getStatusWithColor = (status, text = status) => {
+  switch (status) {
+    case 'online':
+      return chalk.green(text);
+    case 'launching':
+    case 'stopping':
+    case 'restarting':
+      return chalk.yellow(text);
+    case 'unhealthy':
+      return chalk.magenta(text);
+    case 'stopped':
+      return chalk.red(text);
+    case 'errored':
+      return chalk.bgRed.white(text);
+    default:
+      return text;
+  }
+};
+
+// Helper function to draw the trend of a metric with block characters, scaled between its minimum and maximum
+const sparkline = (values, width = 20) => {
+  const recent = values.slice(-width);
+  const min = Math.min(...recent);
+  const range = Math.max(...recent) - min;
+  return recent.map(value => SPARK_CHARS[range > 0 ? Math.round(((value - min) / range) * (SPARK_CHARS.length - 1)) : 0]).join('');
+};
+
+module.exports = {
+  RUNNING_STATUSES,
+  formatUptime,
+  getUptime,
+  formatExit,
+  getStatusWithColor,
+  sparkline
+};
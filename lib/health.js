@@ -0,0 +1,147 @@
+/**
+ * GTR Manager - Readiness and health checks
+ * Probes an application over HTTP, TCP or with a command to tell whether it is serving
+ */
+
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { exec } = require('child_process');
+const { createError } = require('./errors');
+
+// Readiness checks poll often while the application boots, health checks poll while it runs
+const DEFAULT_READY_CHECK = { interval: 1000, timeout: 1000, threshold: 30 };
+const DEFAULT_HEALTH_CHECK = { interval: 10000, timeout: 5000, threshold: 3 };
+
+// Helper function to read the type and target of a probe: an HTTP(S) URL, tcp://host:port, or a command
+const parseProbe = (probe) => {
+  const value = String(probe).trim();
+
+  if (/^https?:\/\//i.test(value)) {
+    try {
+      return { type: 'http', target: new URL(value).toString() };
+    } catch (error) {
+      throw createError('INVALID_OPTION', `Invalid probe URL ${value}`);
+    }
+  }
+
+  const tcp = /^tcp:\/\/(?:(.+):)?(\d+)$/i.exec(value);
+  if (tcp) {
+    return { type: 'tcp', target: `${tcp[1] || '127.0.0.1'}:${tcp[2]}` };
+  }
+  if (/^tcp:/i.test(value)) {
+    throw createError('INVALID_OPTION', `Invalid TCP probe ${value} (expected tcp://host:port)`);
+  }
+
+  if (!value) {
+    throw createError('INVALID_OPTION', 'Empty probe');
+  }
+  return { type: 'command', target: value };
+};
+
+// Helper function to read a positive number of a check
+const parseSetting = (name, value, fallback) => {
+  if (value === undefined || value === null || value === '') {
+    return fallback;
+  }
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw createError('INVALID_OPTION', `Invalid check ${name} ${value} (expected a positive integer)`);
+  }
+  return number;
+};
+
+// Build a check from a probe, given as a string or as { probe, status, interval, timeout, threshold }, and settings overriding it
+const parseCheck = (check, overrides = {}, defaults = DEFAULT_HEALTH_CHECK) => {
+  if (check === undefined || check === null || check === '' || check === false) {
+    return null;
+  }
+
+  const settings = { ...(typeof check === 'object' ? check : { probe: check }) };
+  Object.keys(overrides).forEach((key) => {
+    if (overrides[key] !== undefined && overrides[key] !== null && overrides[key] !== '') {
+      settings[key] = overrides[key];
+    }
+  });
+
+  // Checks read back from the process list are already parsed
+  const probe = settings.type && settings.target ? { type: settings.type, target: settings.target } : parseProbe(settings.probe);
+
+  return {
+    ...probe,
+    status: settings.status !== undefined && settings.status !== null ? parseSetting('status', settings.status) : null,
+    interval: parseSetting('interval', settings.interval, defaults.interval),
+    timeout: parseSetting('timeout', settings.timeout, defaults.timeout),
+    threshold: parseSetting('threshold', settings.threshold, defaults.threshold)
+  };
+};
+
+// Helper function to probe an HTTP endpoint: the expected status, or any status below 400
+const probeHttp = (check) => new Promise((resolve, reject) => {
+  const client = check.target.startsWith('https:') ? https : http;
+  const req = client.get(check.target, { timeout: check.timeout }, (res) => {
+    res.resume();
+    const expected = check.status ? res.statusCode === check.status : res.statusCode < 400;
+    if (expected) {
+      resolve();
+    } else {
+      reject(new Error(`HTTP ${res.statusCode} from ${check.target}`));
+    }
+  });
+
+  req.on('timeout', () => req.destroy(new Error(`No response from ${check.target} within ${check.timeout}ms`)));
+  req.on('error', reject);
+});
+
+// Helper function to probe a TCP port by connecting to it
+const probeTcp = (check) => new Promise((resolve, reject) => {
+  const separator = check.target.lastIndexOf(':');
+  const socket = net.connect({ host: check.target.slice(0, separator), port: parseInt(check.target.slice(separator + 1), 10) });
+
+  socket.setTimeout(check.timeout, () => socket.destroy(new Error(`No connection to ${check.target} within ${check.timeout}ms`)));
+  socket.once('connect', () => {
+    socket.destroy();
+    resolve();
+  });
+  socket.once('error', reject);
+});
+
+// Helper function to probe with a command, run in the working directory and environment of the application
+const probeCommand = (check, { cwd, env }) => new Promise((resolve, reject) => {
+  exec(check.target, { cwd, env: { ...process.env, ...env }, timeout: check.timeout }, (error, stdout, stderr) => {
+    if (!error) {
+      resolve();
+    } else if (error.killed) {
+      reject(new Error(`Command ${check.target} did not finish within ${check.timeout}ms`));
+    } else {
+      reject(new Error(`Command ${check.target} exited with code ${error.code}${stderr ? `: ${stderr.trim().split('\n').pop()}` : ''}`));
+    }
+  });
+});
+
+// Run a check once, resolving when the application passed it and rejecting with the reason otherwise
+const runProbe = (check, context = {}) => {
+  switch (check.type) {
+    case 'http':
+      return probeHttp(check);
+    case 'tcp':
+      return probeTcp(check);
+    default:
+      return probeCommand(check, context);
+  }
+};
+
+// Helper function to describe a check for humans
+const describeCheck = (check) => {
+  const target = check.type === 'tcp' ? `tcp://${check.target}` : check.target;
+  return `${target}${check.status ? ` (status ${check.status})` : ''}, every ${check.interval}ms, timeout ${check.timeout}ms, ${check.threshold} failures`;
+};
+
+module.exports = {
+  DEFAULT_READY_CHECK,
+  DEFAULT_HEALTH_CHECK,
+  parseCheck,
+  runProbe,
+  describeCheck
+};
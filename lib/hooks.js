@@ -0,0 +1,255 @@
+/**
+ * GTR Manager - Lifecycle hooks
+ * Runs commands, Node.js modules and webhooks when an application starts, stops, crashes or gives up restarting
+ */
+
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const { exec, execFile } = require('child_process');
+const { createError } = require('./errors');
+
+// Points of the lifecycle an action can be attached to
+const HOOKS = ['pre_start', 'post_start', 'pre_stop', 'post_stop', 'on_crash', 'on_restart_limit'];
+
+// Time an action may take, attempts after the first one, and delay before the first retry, doubled after each
+const DEFAULT_HOOK_TIMEOUT = 10000;
+const DEFAULT_HOOK_RETRIES = 0;
+const HOOK_RETRY_DELAY = 1000;
+
+// Global hooks, run for every application on top of its own
+const DEFAULT_HOOK_SETTINGS = {
+  hooks: null
+};
+
+// Runs a hook module in its own process, so that it can neither block nor crash the daemon
+const MODULE_RUNNER = [
+  'const hook = require(process.argv[1]);',
+  'const run = typeof hook === "function" ? hook : hook.default;',
+  'Promise.resolve().then(() => run(JSON.parse(process.env.GTR_PAYLOAD)))',
+  '  .then(() => process.exit(0), (error) => { console.error(error && error.stack ? error.stack : String(error)); process.exit(1); });'
+].join('\n');
+
+// Helper function to read a setting of an action, an integer of at least min
+const parseSetting = (name, value, fallback, min) => {
+  if (value === undefined || value === null || value === '') {
+    return fallback;
+  }
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min) {
+    throw createError('INVALID_OPTION', `Invalid hook ${name} ${value} (expected an integer of at least ${min})`);
+  }
+  return number;
+};
+
+// Helper function to read the type and target of an action: an HTTP(S) URL is a webhook, anything else a command
+const parseTarget = (action, baseDir) => {
+  if (typeof action === 'string') {
+    const value = action.trim();
+    if (!value) {
+      throw createError('INVALID_OPTION', 'Empty hook action');
+    }
+    return /^https?:\/\//i.test(value) ? parseTarget({ url: value }, baseDir) : { type: 'command', target: value };
+  }
+
+  // Actions read back from the process list are already parsed
+  if (action.type && action.target) {
+    return { type: action.type, target: action.target, ...(action.headers ? { headers: action.headers } : {}) };
+  }
+
+  if (action.url) {
+    try {
+      const url = new URL(String(action.url));
+      if (!['http:', 'https:'].includes(url.protocol)) {
+        throw new Error('not HTTP');
+      }
+      return { type: 'webhook', target: url.toString(), ...(action.headers ? { headers: action.headers } : {}) };
+    } catch (error) {
+      throw createError('INVALID_OPTION', `Invalid webhook URL ${action.url}`);
+    }
+  }
+
+  if (action.module) {
+    if (!baseDir && !path.isAbsolute(String(action.module))) {
+      throw createError('INVALID_OPTION', `Hook module ${action.module} must be an absolute path`);
+    }
+    return { type: 'module', target: path.resolve(baseDir || '/', String(action.module)) };
+  }
+
+  if (action.command) {
+    return { type: 'command', target: String(action.command).trim() };
+  }
+
+  throw createError('INVALID_OPTION', 'A hook action needs a command, a module or a url');
+};
+
+// Build an action from a command or URL string, or from { command | module | url, headers, timeout, retries };
+// modules are resolved from baseDir
+const parseAction = (action, overrides = {}, baseDir = null) => {
+  if (!action || (typeof action !== 'string' && typeof action !== 'object')) {
+    throw createError('INVALID_OPTION', `Invalid hook action ${JSON.stringify(action)}`);
+  }
+
+  const settings = typeof action === 'object' ? action : {};
+  const timeout = overrides.timeout !== undefined && overrides.timeout !== null && overrides.timeout !== '' ? overrides.timeout : settings.timeout;
+  const retries = overrides.retries !== undefined && overrides.retries !== null && overrides.retries !== '' ? overrides.retries : settings.retries;
+
+  if (settings.headers !== undefined && (typeof settings.headers !== 'object' || Array.isArray(settings.headers))) {
+    throw createError('INVALID_OPTION', 'Invalid webhook headers (expected an object)');
+  }
+
+  return {
+    ...parseTarget(action, baseDir),
+    timeout: parseSetting('timeout', timeout, DEFAULT_HOOK_TIMEOUT, 1),
+    retries: parseSetting('retries', retries, DEFAULT_HOOK_RETRIES, 0)
+  };
+};
+
+// Build the hooks of an application or the global hooks, given as { hook: action or [actions] } or as its JSON;
+// overrides set the timeout and retries of every action
+const parseHooks = (hooks, overrides = {}, baseDir = null) => {
+  if (hooks === undefined || hooks === null || hooks === '' || hooks === false) {
+    return null;
+  }
+
+  let value = hooks;
+  if (typeof value === 'string') {
+    try {
+      value = JSON.parse(value);
+    } catch (error) {
+      throw createError('INVALID_OPTION', `Invalid hooks ${hooks} (expected a JSON object)`);
+    }
+  }
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw createError('INVALID_OPTION', 'Invalid hooks (expected an object keyed by hook)');
+  }
+
+  const parsed = {};
+  Object.keys(value).forEach((hook) => {
+    if (!HOOKS.includes(hook)) {
+      throw createError('INVALID_OPTION', `Unknown hook ${hook} (expected ${HOOKS.join(', ')})`);
+    }
+    const actions = Array.isArray(value[hook]) ? value[hook] : [value[hook]];
+    if (actions.length > 0) {
+      parsed[hook] = actions.map(action => parseAction(action, overrides, baseDir));
+    }
+  });
+
+  return Object.keys(parsed).length > 0 ? parsed : null;
+};
+
+// Check the global hooks, throwing on values the daemon could not use
+const resolveHookSettings = (settings) => ({ hooks: parseHooks(settings.hooks) });
+
+// Helper function to describe an action for humans
+const describeAction = (action) => (action.type === 'module' ? `module ${action.target}` : action.target);
+
+// Helper function to run a command in the working directory and environment of the application, the payload
+// being passed in GTR_* variables
+const runCommand = (action, payload, { cwd, env }) => new Promise((resolve, reject) => {
+  const hookEnv = {
+    GTR_EVENT: payload.event,
+    GTR_APP: payload.app,
+    GTR_PROCESS_ID: String(payload.process.id),
+    GTR_INSTANCE: String(payload.process.instance || 0),
+    GTR_PID: payload.process.pid ? String(payload.process.pid) : '',
+    GTR_EXIT_CODE: payload.code === undefined || payload.code === null ? '' : String(payload.code),
+    GTR_SIGNAL: payload.signal || '',
+    GTR_PAYLOAD: JSON.stringify(payload)
+  };
+
+  exec(action.target, { cwd, env: { ...process.env, ...env, ...hookEnv }, timeout: action.timeout }, (error, stdout, stderr) => {
+    if (!error) {
+      resolve();
+    } else if (error.killed) {
+      reject(new Error(`did not finish within ${action.timeout}ms`));
+    } else {
+      reject(new Error(`exited with code ${error.code}${stderr ? `: ${stderr.trim().split('\n').pop()}` : ''}`));
+    }
+  });
+});
+
+// Helper function to run a module exporting a function of the payload, which may return a promise
+const runModule = (action, payload, { cwd, env }) => new Promise((resolve, reject) => {
+  const options = { cwd, env: { ...process.env, ...env, GTR_PAYLOAD: JSON.stringify(payload) }, timeout: action.timeout };
+
+  execFile(process.execPath, ['-e', MODULE_RUNNER, action.target], options, (error, stdout, stderr) => {
+    if (!error) {
+      resolve();
+    } else if (error.killed) {
+      reject(new Error(`did not finish within ${action.timeout}ms`));
+    } else {
+      reject(new Error(stderr ? stderr.trim().split('\n')[0] : `exited with code ${error.code}`));
+    }
+  });
+});
+
+// Helper function to POST the payload as JSON, any status below 300 being a success
+const runWebhook = (action, payload) => new Promise((resolve, reject) => {
+  const body = JSON.stringify(payload);
+  const client = action.target.startsWith('https:') ? https : http;
+  const req = client.request(action.target, {
+    method: 'POST',
+    timeout: action.timeout,
+    headers: { ...action.headers, 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) }
+  }, (res) => {
+    res.resume();
+    if (res.statusCode < 300) {
+      resolve();
+    } else {
+      reject(new Error(`HTTP ${res.statusCode}`));
+    }
+  });
+
+  req.on('timeout', () => req.destroy(new Error(`no response within ${action.timeout}ms`)));
+  req.on('error', reject);
+  req.end(body);
+});
+
+// Helper function to run an action once
+const runOnce = (action, payload, context) => {
+  switch (action.type) {
+    case 'webhook':
+      return runWebhook(action, payload);
+    case 'module':
+      return runModule(action, payload, context);
+    default:
+      return runCommand(action, payload, context);
+  }
+};
+
+// Helper function to wait
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Run an action, retrying it after a failure; resolves to { action, attempts, error }, error being null on success
+const runAction = async (action, payload, context = {}) => {
+  let error = null;
+
+  for (let attempt = 0; attempt <= action.retries; attempt++) {
+    if (attempt > 0) {
+      await delay(HOOK_RETRY_DELAY * 2 ** (attempt - 1));
+    }
+
+    try {
+      await runOnce(action, payload, context);
+      return { action, attempts: attempt + 1, error: null };
+    } catch (runError) {
+      error = runError;
+    }
+  }
+
+  return { action, attempts: action.retries + 1, error: error.message };
+};
+
+// Run every action of a hook side by side, never rejecting; resolves to the result of each action
+const runHook = (actions, payload, context = {}) => Promise.all(actions.map(action => runAction(action, payload, context)));
+
+module.exports = {
+  HOOKS,
+  DEFAULT_HOOK_SETTINGS,
+  parseHooks,
+  resolveHookSettings,
+  describeAction,
+  runHook
+};
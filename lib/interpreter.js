@@ -0,0 +1,71 @@
+/**
+ * GTR Manager - Interpreter selection
+ * Picks the program that runs a script from its extension, so that Python, shell or compiled programs can be managed too
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createError } = require('./errors');
+
+// Interpreters of the script extensions GTR recognizes
+const INTERPRETERS = {
+  '.js': 'node',
+  '.cjs': 'node',
+  '.mjs': 'node',
+  '.py': 'python3',
+  '.sh': 'bash',
+  '.bash': 'bash',
+  '.rb': 'ruby',
+  '.pl': 'perl',
+  '.php': 'php'
+};
+
+// Interpreter meaning that the script is executed directly, e.g. a compiled binary
+const NO_INTERPRETER = 'none';
+
+// Check whether an interpreter is Node.js, which understands node args and cluster mode
+const isNodeInterpreter = (interpreter) => /^node(js)?(\.exe)?$/.test(path.basename(String(interpreter)));
+
+// Helper function to check whether a file can be executed directly
+const isExecutable = (file) => {
+  try {
+    fs.accessSync(file, fs.constants.X_OK);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Resolve the interpreter of a script: the given one, the one of its extension, none for other executables, or node
+const resolveInterpreter = (script, interpreter) => {
+  if (interpreter) {
+    return String(interpreter).trim();
+  }
+
+  const detected = INTERPRETERS[path.extname(script).toLowerCase()];
+  if (detected) {
+    return detected;
+  }
+
+  return isExecutable(script) ? NO_INTERPRETER : 'node';
+};
+
+// Build the command and arguments that run a script
+const buildCommand = ({ script, interpreter, nodeArgs, args }) => {
+  if (interpreter === NO_INTERPRETER) {
+    if (!isExecutable(script)) {
+      throw createError('INVALID_OPTION', `Script ${script} is not executable (set an interpreter, or chmod +x it)`);
+    }
+    return { command: script, args: args || [] };
+  }
+
+  const interpreterArgs = isNodeInterpreter(interpreter) ? nodeArgs || [] : [];
+  return { command: interpreter, args: [...interpreterArgs, script, ...(args || [])] };
+};
+
+module.exports = {
+  NO_INTERPRETER,
+  isNodeInterpreter,
+  resolveInterpreter,
+  buildCommand
+};
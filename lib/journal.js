@@ -0,0 +1,118 @@
+/**
+ * GTR Manager - Event journal
+ * Keeps the last lifecycle events of every application on disk, one JSON line per event, to query them after the fact
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JOURNAL_DIR } = require('./paths');
+const { readProcesses } = require('./store');
+const { selectProcesses } = require('./selector');
+
+// Events kept per application; the file is trimmed back to this size once it grew by a tenth
+const JOURNAL_SIZE = 1000;
+const JOURNAL_SLACK = 100;
+
+// Number of events in each journal file, counted when the file is first written to
+const eventCounts = new Map();
+
+// Helper function to get the journal file of an application, whatever its name contains: other characters than
+// letters, digits, _, . and - are written as the %XX of their UTF-8 bytes, so that no two names share a file
+const journalFile = (name) => path.join(JOURNAL_DIR, `${String(name).replace(/[^\w.-]/gu, char =>
+  [...Buffer.from(char)].map(byte => `%${byte.toString(16).toUpperCase().padStart(2, '0')}`).join(''))}.jsonl`);
+
+// Helper function to get the file that older releases journaled an application to, replacing those characters
+// with _, when it differs from its journal file; several applications may share it
+const legacyJournalFile = (name) => {
+  const file = path.join(JOURNAL_DIR, `${String(name).replace(/[^\w.-]/g, '_')}.jsonl`);
+  return file === journalFile(name) ? null : file;
+};
+
+// Helper function to read the events of a journal file, oldest first, skipping lines cut by a crash of the daemon
+const readEvents = (file) => {
+  let content;
+  try {
+    content = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    return [];
+  }
+
+  return content.split('\n').filter(Boolean).reduce((events, line) => {
+    try {
+      events.push(JSON.parse(line));
+    } catch (error) {
+      // Partial line
+    }
+    return events;
+  }, []);
+};
+
+// Append a lifecycle event to the journal of its application
+const recordEvent = (payload) => {
+  const file = journalFile(payload.process.name);
+
+  if (!eventCounts.has(file)) {
+    fs.mkdirSync(JOURNAL_DIR, { recursive: true });
+    eventCounts.set(file, readEvents(file).length);
+  }
+
+  fs.appendFileSync(file, `${JSON.stringify(payload)}\n`);
+  eventCounts.set(file, eventCounts.get(file) + 1);
+
+  if (eventCounts.get(file) > JOURNAL_SIZE + JOURNAL_SLACK) {
+    const events = readEvents(file).slice(-JOURNAL_SIZE);
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpFile, events.map(event => `${JSON.stringify(event)}\n`).join(''));
+    fs.renameSync(tmpFile, file);
+    eventCounts.set(file, events.length);
+  }
+};
+
+// Helper function to read the events of an application, including those older releases journaled under another name
+const readAppEvents = (name) => {
+  const legacyFile = legacyJournalFile(name);
+  return (legacyFile ? readEvents(legacyFile) : [])
+    .concat(readEvents(journalFile(name)))
+    .filter(entry => entry.process.name === name);
+};
+
+// Helper function to read identifiers as the names of deleted applications
+const readNames = identifier => [].concat(identifier)
+  .flatMap(value => String(value).split(','))
+  .map(name => name.trim())
+  .filter(Boolean);
+
+// Query the journal of the processes matching identifiers, within a namespace and tags, or of deleted applications
+// by name: the last `limit` events, oldest first, of the given event types
+const queryJournal = (identifier, { limit = 0, events = null, namespace, tags } = {}) => {
+  const processes = readProcesses();
+  let selected;
+  try {
+    selected = selectProcesses(processes, identifier, { namespace, tags });
+  } catch (error) {
+    // A deleted application is no longer in any namespace, so it can only be found by name
+    if (error.code !== 'PROCESS_NOT_FOUND' || namespace || (tags && tags.length > 0)) {
+      throw error;
+    }
+    selected = [];
+  }
+
+  const names = selected.length > 0 ? [...new Set(selected.map(p => p.name))] : readNames(identifier);
+
+  // The events of an application include those of its removed instances, unless only some instances are selected
+  const ids = new Set(selected.map(p => p.id));
+  const partial = new Set(names.filter(name => processes.some(p => p.name === name && !ids.has(p.id))));
+
+  const entries = names
+    .flatMap(name => readAppEvents(name).filter(entry => !partial.has(name) || ids.has(entry.process.id)))
+    .filter(entry => !events || events.includes(entry.event))
+    .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+  return limit > 0 ? entries.slice(-limit) : entries;
+};
+
+module.exports = {
+  JOURNAL_SIZE,
+  recordEvent,
+  queryJournal
+};
@@ -0,0 +1,284 @@
+/**
+ * GTR Manager - Application log files
+ * The daemon writes the output of every child itself, so that it can rotate,
+ * compress and prune the log files without losing a line
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { createError } = require('./errors');
+const { parseSize } = require('./units');
+
+// Rotation used when neither the application nor the global settings say otherwise
+const DEFAULT_ROTATION = {
+  logMaxSize: '10M',
+  logRotate: null,
+  logCompress: false,
+  logRetain: 30
+};
+
+const ROTATE_INTERVALS = ['daily', 'hourly'];
+const DAY = 24 * 60 * 60 * 1000;
+
+// Rotated files are named <file>.<YYYYMMDD-HHmmss>[-N][.gz], so that they sort chronologically
+const ROTATED_SUFFIX = /^\.\d{8}-\d{6}(-\d+)?(\.gz)?$/;
+
+// Open writers, keyed by log file, shared by the instances of an application
+const writers = new Map();
+
+// Helper function to parse a retention: a number of files, or a number of days such as '7d'
+const parseRetention = (value) => {
+  const match = /^(\d+)\s*(d)?$/i.exec(String(value).trim());
+  if (!match || parseInt(match[1], 10) < 1) {
+    throw createError('INVALID_OPTION', `Invalid log retention ${value} (expected a number of files, or of days such as 7d)`);
+  }
+  return match[2] ? { days: parseInt(match[1], 10) } : { files: parseInt(match[1], 10) };
+};
+
+// Merge rotation settings over the defaults and validate them
+const resolveRotation = (...sources) => {
+  const settings = { ...DEFAULT_ROTATION };
+
+  sources.forEach(source => Object.keys(DEFAULT_ROTATION).forEach(key => {
+    if (source && source[key] !== undefined && source[key] !== null && source[key] !== '') {
+      settings[key] = source[key];
+    }
+  }));
+
+  const interval = settings.logRotate && settings.logRotate !== 'none' ? settings.logRotate : null;
+  if (interval && !ROTATE_INTERVALS.includes(interval)) {
+    throw createError('INVALID_OPTION', `Unknown log rotation interval ${interval} (expected ${ROTATE_INTERVALS.join(', ')} or none)`);
+  }
+
+  const maxSize = settings.logMaxSize && settings.logMaxSize !== '0' ? parseSize(settings.logMaxSize) : 0;
+
+  return {
+    maxSize,
+    interval,
+    compress: settings.logCompress === true || settings.logCompress === 'true',
+    retain: parseRetention(settings.logRetain)
+  };
+};
+
+// Helper function to identify the rotation period a date falls into
+const periodOf = (interval, date) => {
+  if (!interval) {
+    return null;
+  }
+  const iso = date.toISOString();
+  return interval === 'hourly' ? iso.slice(0, 13) : iso.slice(0, 10);
+};
+
+// List the rotated files of a log file, oldest first
+const listRotatedFiles = (file) => {
+  const dir = path.dirname(file);
+  const base = path.basename(file);
+
+  let entries;
+  try {
+    entries = fs.readdirSync(dir);
+  } catch (error) {
+    return [];
+  }
+
+  // Files rotated within the same second are ordered by their -N suffix
+  const sortKey = (entry) => {
+    const [, stamp, index] = /^\.(\d{8}-\d{6})(?:-(\d+))?/.exec(entry.slice(base.length));
+    return `${stamp}-${String(index || 0).padStart(6, '0')}`;
+  };
+
+  return entries
+    .filter(entry => entry.startsWith(base) && ROTATED_SUFFIX.test(entry.slice(base.length)))
+    .sort((a, b) => sortKey(a).localeCompare(sortKey(b)))
+    .map(entry => path.join(dir, entry));
+};
+
+// Helper function to build the name of a rotated file that sorts after every file rotated before it: files rotated
+// within the same second get a -N suffix above the ones already used, even once the older ones are pruned
+const rotatedName = (file, date) => {
+  const stamp = date.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+  const prefix = `${path.basename(file)}.${stamp}`;
+
+  const used = listRotatedFiles(file)
+    .map(rotatedFile => path.basename(rotatedFile))
+    .filter(name => name.startsWith(prefix))
+    .map((name) => {
+      const match = /^-(\d+)/.exec(name.slice(prefix.length));
+      return match ? parseInt(match[1], 10) : 0;
+    });
+
+  return used.length === 0 ? `${file}.${stamp}` : `${file}.${stamp}-${Math.max(...used) + 1}`;
+};
+
+// List a log file and its rotated files, oldest first
+const listLogFiles = (file) => [...listRotatedFiles(file), ...(fs.existsSync(file) ? [file] : [])];
+
+// Read a log file, decompressing it if needed
+const readLogFile = (file) => {
+  const content = fs.readFileSync(file);
+  return (file.endsWith('.gz') ? zlib.gunzipSync(content) : content).toString('utf8');
+};
+
+// Delete the rotated files that fall out of the retention
+const applyRetention = (file, retain) => {
+  const rotated = listRotatedFiles(file);
+  let expired = [];
+
+  if (retain.files) {
+    expired = rotated.slice(0, Math.max(0, rotated.length - retain.files));
+  } else {
+    const limit = Date.now() - retain.days * DAY;
+    expired = rotated.filter((rotatedFile) => {
+      try {
+        return fs.statSync(rotatedFile).mtimeMs < limit;
+      } catch (error) {
+        return false;
+      }
+    });
+  }
+
+  expired.forEach(rotatedFile => fs.rmSync(rotatedFile, { force: true }));
+};
+
+// Compress a rotated file next to itself, then remove the uncompressed copy
+const compressFile = (file) => new Promise((resolve, reject) => {
+  const input = fs.createReadStream(file);
+  const output = fs.createWriteStream(`${file}.gz`);
+
+  const fail = (error) => {
+    fs.rmSync(`${file}.gz`, { force: true });
+    reject(error);
+  };
+
+  input.on('error', fail);
+  output.on('error', fail);
+  output.on('finish', () => {
+    fs.rmSync(file, { force: true });
+    resolve(`${file}.gz`);
+  });
+
+  input.pipe(zlib.createGzip()).pipe(output);
+});
+
+// Create the writer of one log file
+const createLogWriter = (file, rotation) => {
+  let settings = rotation;
+  let fd = null;
+  let size = 0;
+  let period = null;
+
+  const open = () => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fd = fs.openSync(file, 'a');
+    const stat = fs.fstatSync(fd);
+    size = stat.size;
+    period = periodOf(settings.interval, stat.size > 0 ? stat.mtime : new Date());
+  };
+
+  // Move the current file aside and start a new one; nothing is written in between
+  const rotate = () => {
+    if (fd === null) {
+      open();
+    }
+
+    // The file may have been truncated by gtr clearlogs since the last write
+    size = fs.fstatSync(fd).size;
+    if (size === 0) {
+      period = periodOf(settings.interval, new Date());
+      return null;
+    }
+
+    const rotatedFile = rotatedName(file, new Date());
+    fs.closeSync(fd);
+    fd = null;
+    fs.renameSync(file, rotatedFile);
+    open();
+
+    const compressed = settings.compress ? compressFile(rotatedFile) : Promise.resolve(rotatedFile);
+    return compressed
+      .catch(() => rotatedFile)
+      .then((finalFile) => {
+        applyRetention(file, settings.retain);
+        return finalFile;
+      });
+  };
+
+  const write = (data) => {
+    const chunk = Buffer.isBuffer(data) ? data : Buffer.from(data);
+    if (fd === null) {
+      open();
+    }
+
+    const periodChanged = settings.interval && periodOf(settings.interval, new Date()) !== period;
+    const full = settings.maxSize > 0 && size > 0 && size + chunk.length > settings.maxSize;
+
+    if (periodChanged || full) {
+      rotate();
+    }
+
+    fs.writeSync(fd, chunk);
+    size += chunk.length;
+  };
+
+  const configure = (rotationSettings) => {
+    if (settings.interval !== rotationSettings.interval) {
+      period = periodOf(rotationSettings.interval, new Date());
+    }
+    settings = rotationSettings;
+  };
+
+  const close = () => {
+    if (fd !== null) {
+      fs.closeSync(fd);
+      fd = null;
+    }
+  };
+
+  return { write, rotate, configure, close };
+};
+
+// Get the writer of a log file, creating it on first use
+const getLogWriter = (file, rotation) => {
+  let writer = writers.get(file);
+
+  if (writer) {
+    writer.configure(rotation);
+  } else {
+    writer = createLogWriter(file, rotation);
+    writers.set(file, writer);
+  }
+
+  return writer;
+};
+
+// Change the rotation of a log file the daemon writes, leaving other files alone
+const configureLogWriter = (file, rotation) => {
+  const writer = writers.get(file);
+  if (writer) {
+    writer.configure(rotation);
+  }
+};
+
+// Rotate a log file now, if the daemon writes it
+const rotateLogFile = (file) => {
+  const writer = writers.get(file);
+  return writer ? writer.rotate() : null;
+};
+
+// Close every open log file
+const closeLogWriters = () => {
+  writers.forEach(writer => writer.close());
+  writers.clear();
+};
+
+module.exports = {
+  DEFAULT_ROTATION,
+  resolveRotation,
+  listLogFiles,
+  readLogFile,
+  getLogWriter,
+  configureLogWriter,
+  rotateLogFile,
+  closeLogWriters
+};
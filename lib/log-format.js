@@ -0,0 +1,108 @@
+/**
+ * GTR Manager - Log line formatting
+ * Turns the raw output of a child into timestamped, prefixed or JSON lines
+ */
+
+const { createError } = require('./errors');
+
+// Formatting used when neither the application nor the global settings say otherwise
+const DEFAULT_LOG_FORMAT = {
+  logTimestamp: null,
+  logPrefix: false,
+  logFormat: 'text',
+  mergeLogs: false
+};
+
+const LOG_FORMATS = ['text', 'json'];
+
+// Helper function to read a boolean setting that may have been typed as a string
+const isEnabled = (value) => value === true || value === 'true';
+
+// Merge formatting settings over the defaults and validate them
+const resolveLogFormat = (...sources) => {
+  const settings = { ...DEFAULT_LOG_FORMAT };
+
+  sources.forEach(source => Object.keys(DEFAULT_LOG_FORMAT).forEach(key => {
+    if (source && source[key] !== undefined && source[key] !== null && source[key] !== '') {
+      settings[key] = source[key];
+    }
+  }));
+
+  if (!LOG_FORMATS.includes(settings.logFormat)) {
+    throw createError('INVALID_OPTION', `Unknown log format ${settings.logFormat} (expected ${LOG_FORMATS.join(', ')})`);
+  }
+
+  const timestamp = settings.logTimestamp === true || settings.logTimestamp === 'true' ? 'iso' : settings.logTimestamp;
+
+  return {
+    timestamp: timestamp && timestamp !== 'false' && timestamp !== 'none' ? String(timestamp) : null,
+    prefix: isEnabled(settings.logPrefix),
+    json: settings.logFormat === 'json',
+    merge: isEnabled(settings.mergeLogs)
+  };
+};
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+// Format a date with 'iso' or a pattern made of YYYY, MM, DD, HH, mm, ss and SSS (local time)
+const formatTimestamp = (format, date) => {
+  if (format === 'iso') {
+    return date.toISOString();
+  }
+
+  const tokens = {
+    YYYY: date.getFullYear(),
+    MM: pad(date.getMonth() + 1),
+    DD: pad(date.getDate()),
+    HH: pad(date.getHours()),
+    mm: pad(date.getMinutes()),
+    ss: pad(date.getSeconds()),
+    SSS: pad(date.getMilliseconds(), 3)
+  };
+
+  return format.replace(/YYYY|SSS|MM|DD|HH|mm|ss/g, token => tokens[token]);
+};
+
+// Format one line written by a process
+const formatLine = (format, { app, instance, stream, message, date }) => {
+  if (format.json) {
+    return JSON.stringify({ ts: date.toISOString(), app, instance, stream, message });
+  }
+
+  let line = message;
+  if (format.prefix) {
+    line = `[${app}:${instance}] ${line}`;
+  }
+  if (format.timestamp) {
+    line = `${formatTimestamp(format.timestamp, date)} ${line}`;
+  }
+  return line;
+};
+
+// Create a splitter that calls onLine for every complete line written to a stream
+const createLineSplitter = (onLine) => {
+  let partial = '';
+
+  return {
+    push: (chunk) => {
+      const lines = (partial + chunk.toString('utf8')).split('\n');
+      partial = lines.pop();
+      lines.forEach(line => onLine(line.replace(/\r$/, '')));
+    },
+    // A last line without a newline is written once the stream ends
+    flush: () => {
+      if (partial) {
+        onLine(partial);
+        partial = '';
+      }
+    }
+  };
+};
+
+module.exports = {
+  DEFAULT_LOG_FORMAT,
+  resolveLogFormat,
+  formatTimestamp,
+  formatLine,
+  createLineSplitter
+};
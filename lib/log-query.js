@@ -0,0 +1,253 @@
+/**
+ * GTR Manager - Log querying
+ * Reads log files back into entries that can be filtered by stream, pattern and time
+ */
+
+const fs = require('fs');
+const { listLogFiles, readLogFile } = require('./log-files');
+const { resolveLogFormat } = require('./log-format');
+const { createError } = require('./errors');
+
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// Helper function to escape a string for use in a regular expression
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Parse a time given as a duration before now ('10m', '2h', '1d') or as a date
+const parseTime = (value, now = Date.now()) => {
+  const duration = /^(\d+)\s*([smhd])$/.exec(String(value).trim());
+  if (duration) {
+    return new Date(now - parseInt(duration[1], 10) * DURATION_UNITS[duration[2]]);
+  }
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw createError('INVALID_OPTION', `Invalid time ${value} (expected a duration such as 10m, 2h or 1d, or a date)`);
+  }
+  return date;
+};
+
+// Compile a --grep pattern, reporting invalid ones as invalid options
+const parsePattern = (pattern) => {
+  try {
+    return new RegExp(pattern);
+  } catch (error) {
+    throw createError('INVALID_OPTION', `Invalid pattern ${pattern}: ${error.message}`);
+  }
+};
+
+// Helper function to build the parser of the timestamps written with a logTimestamp pattern
+const createTimestampParser = (format) => {
+  if (format === 'iso') {
+    return {
+      regex: /^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z) /,
+      toDate: ([iso]) => new Date(iso)
+    };
+  }
+
+  const order = [];
+  const source = format.split(/(YYYY|SSS|MM|DD|HH|mm|ss)/).map((part) => {
+    if (/^(YYYY|SSS|MM|DD|HH|mm|ss)$/.test(part)) {
+      order.push(part);
+      return part === 'YYYY' ? '(\\d{4})' : part === 'SSS' ? '(\\d{3})' : '(\\d{2})';
+    }
+    return escapeRegExp(part);
+  }).join('');
+
+  return {
+    regex: new RegExp(`^${source} `),
+    toDate: (values) => {
+      const parts = { YYYY: 1970, MM: 1, DD: 1, HH: 0, mm: 0, ss: 0, SSS: 0 };
+      order.forEach((token, index) => {
+        parts[token] = parseInt(values[index], 10);
+      });
+      return new Date(parts.YYYY, parts.MM - 1, parts.DD, parts.HH, parts.mm, parts.ss, parts.SSS);
+    }
+  };
+};
+
+// Create a parser turning the lines of a log file back into { ts, app, instance, stream, message } entries
+const createLineParser = (format, defaults) => {
+  const timestamp = format.timestamp ? createTimestampParser(format.timestamp) : null;
+
+  return (line) => {
+    const entry = { ts: null, ...defaults, message: line, line };
+
+    if (format.json) {
+      try {
+        const parsed = JSON.parse(line);
+        return {
+          ...entry,
+          ...parsed,
+          ts: parsed.ts ? new Date(parsed.ts) : null,
+          line: parsed.ts ? `${parsed.ts} ${parsed.message}` : parsed.message
+        };
+      } catch (error) {
+        // Not written by GTR, e.g. before the format was changed
+        return entry;
+      }
+    }
+
+    let rest = line;
+    if (timestamp) {
+      const match = timestamp.regex.exec(rest);
+      if (match) {
+        entry.ts = timestamp.toDate(match.slice(1));
+        rest = rest.slice(match[0].length);
+      }
+    }
+
+    if (format.prefix) {
+      // Lazy, as the message may contain a prefix of its own
+      const match = /^\[(.+?):(\d+)\] /.exec(rest);
+      if (match) {
+        entry.app = match[1];
+        entry.instance = parseInt(match[2], 10);
+        rest = rest.slice(match[0].length);
+      }
+    }
+
+    entry.message = rest;
+    return entry;
+  };
+};
+
+// Helper function to check whether an entry passes the filters of a query
+const matchesQuery = (entry, query) => {
+  // The stream of a line in a merged text log file is unknown
+  if (query.stream && query.stream !== 'all' && entry.stream && entry.stream !== query.stream) {
+    return false;
+  }
+  if (query.grep && !query.grep.test(entry.message)) {
+    return false;
+  }
+  // Lines without a timestamp were already narrowed down to the files of the time window
+  if (entry.ts && query.since && entry.ts < query.since) {
+    return false;
+  }
+  if (entry.ts && query.until && entry.ts > query.until) {
+    return false;
+  }
+  return true;
+};
+
+// Helper function to read the entries of one file that pass the query
+const readFileEntries = (file, start, parse, query) => {
+  let content;
+  try {
+    content = readLogFile(file);
+  } catch (error) {
+    // Removed by the retention, or compressed, while we were reading
+    return [];
+  }
+
+  const entries = [];
+  let lastTime = start;
+
+  content.split('\n').forEach((line, index, lines) => {
+    if (index === lines.length - 1 && line === '') {
+      return;
+    }
+    const entry = parse(line);
+
+    // Lines without a timestamp are sorted after the last line that had one
+    lastTime = entry.ts ? entry.ts.getTime() : lastTime;
+    entry.sortKey = lastTime;
+
+    if (matchesQuery(entry, query)) {
+      entries.push(entry);
+    }
+  });
+
+  return entries;
+};
+
+// Read the entries of one log file and its rotated files that fall in the query, newest files first until there are enough
+const readEntries = (source, query) => {
+  const parse = createLineParser(source.format, { app: source.app, instance: null, stream: source.merged ? null : source.stream });
+
+  // A file holds the lines written between the last change of the previous file and its own
+  let previousEnd = 0;
+  const files = listLogFiles(source.file).map((file) => {
+    let end = previousEnd;
+    try {
+      end = fs.statSync(file).mtimeMs;
+    } catch (error) {
+      // Removed in the meantime, read as empty
+    }
+    const window = { file, start: previousEnd, end };
+    previousEnd = end;
+    return window;
+  });
+
+  let entries = [];
+  for (let index = files.length - 1; index >= 0; index--) {
+    const { file, start, end } = files[index];
+
+    if (query.since && end < query.since.getTime()) {
+      break;
+    }
+    if (query.until && start > query.until.getTime()) {
+      continue;
+    }
+
+    entries = readFileEntries(file, start, parse, query).concat(entries);
+    if (query.lines > 0 && entries.length >= query.lines) {
+      break;
+    }
+  }
+
+  return entries;
+};
+
+// List the log files to read for some processes, one per file even when instances share it
+const getLogSources = (processes, settings, stream) => {
+  const sources = [];
+  const seen = new Set();
+
+  processes.forEach((processInfo) => {
+    const format = resolveLogFormat(settings, processInfo);
+    const files = format.merge ? [['out', processInfo.logFile]] : [['out', processInfo.logFile], ['err', processInfo.errorLogFile]];
+
+    files.forEach(([fileStream, file]) => {
+      if (seen.has(file) || (!format.merge && stream !== 'all' && fileStream !== stream)) {
+        return;
+      }
+      seen.add(file);
+      sources.push({ file, stream: fileStream, app: processInfo.name, format, merged: format.merge });
+    });
+  });
+
+  return sources;
+};
+
+// Query log files: sources are { file, stream, app, format, merged }, the result is sorted by time when known
+const queryLogs = (sources, query) => {
+  const entries = sources.flatMap(source => readEntries(source, query));
+
+  // Entries of several files are interleaved by time; the sort is stable, so each file keeps its order
+  if (sources.length > 1) {
+    entries.sort((a, b) => a.sortKey - b.sortKey);
+  }
+
+  return query.lines > 0 ? entries.slice(-query.lines) : entries;
+};
+
+// Convert an entry into the JSON written by --json
+const toJSONEntry = (entry) => ({
+  ts: entry.ts ? entry.ts.toISOString() : null,
+  app: entry.app,
+  instance: entry.instance,
+  stream: entry.stream,
+  message: entry.message
+});
+
+module.exports = {
+  parseTime,
+  parsePattern,
+  createLineParser,
+  matchesQuery,
+  getLogSources,
+  queryLogs,
+  toJSONEntry
+};
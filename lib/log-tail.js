@@ -0,0 +1,103 @@
+/**
+ * GTR Manager - Log file follower
+ * Streams the lines appended to a file, surviving truncation and rotation
+ */
+
+const fs = require('fs');
+
+// How often the file is checked for new data
+const POLL_INTERVAL = 250;
+
+// Largest chunk read at once
+const READ_SIZE = 64 * 1024;
+
+// Follow a file, calling onLine for every complete line appended to it
+const followFile = (file, onLine, options = {}) => {
+  let fd = null;
+  let inode = null;
+  let position = 0;
+  let partial = '';
+
+  // Helper function to open the file currently at the path
+  const open = (fromStart) => {
+    try {
+      fd = fs.openSync(file, 'r');
+      const stat = fs.fstatSync(fd);
+      inode = stat.ino;
+      position = fromStart ? 0 : stat.size;
+      partial = '';
+    } catch (error) {
+      fd = null;
+    }
+  };
+
+  // Helper function to read everything between the current position and the end of the open file
+  const drain = () => {
+    const size = fs.fstatSync(fd).size;
+
+    // Truncated, e.g. by gtr flush or copy-truncate rotation
+    if (size < position) {
+      position = 0;
+      partial = '';
+    }
+
+    const buffer = Buffer.alloc(READ_SIZE);
+    while (position < size) {
+      const bytesRead = fs.readSync(fd, buffer, 0, Math.min(READ_SIZE, size - position), position);
+      if (bytesRead === 0) {
+        break;
+      }
+      position += bytesRead;
+
+      const lines = (partial + buffer.toString('utf8', 0, bytesRead)).split('\n');
+      partial = lines.pop();
+      lines.forEach(line => onLine(line));
+    }
+  };
+
+  const check = () => {
+    if (fd === null) {
+      // A file that appears later is read from its first line
+      open(true);
+      if (fd === null) {
+        return;
+      }
+    }
+
+    try {
+      drain();
+
+      // Renamed away by a rotation: finish the old file, then switch to the new one
+      const stat = fs.statSync(file);
+      if (stat.ino !== inode) {
+        fs.closeSync(fd);
+        open(true);
+        if (fd !== null) {
+          drain();
+        }
+      }
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        fs.closeSync(fd);
+        fd = null;
+      }
+    }
+  };
+
+  open(Boolean(options.fromStart));
+  const timer = setInterval(check, options.interval || POLL_INTERVAL);
+
+  return {
+    close: () => {
+      clearInterval(timer);
+      if (fd !== null) {
+        fs.closeSync(fd);
+        fd = null;
+      }
+    }
+  };
+};
+
+module.exports = {
+  followFile
+};
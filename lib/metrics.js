@@ -0,0 +1,308 @@
+/**
+ * GTR Manager - Process metrics
+ * Samples the CPU, memory, threads, file descriptors and I/O of process trees from /proc,
+ * and keeps a bounded history of the samples of every process
+ */
+
+const fs = require('fs');
+const os = require('os');
+const { execFile } = require('child_process');
+
+// Clock ticks per second of the CPU times in /proc, which is 100 on every Linux platform Node.js supports
+const CLOCK_TICKS = 100;
+
+// Samples kept per process: one hour at the default collection interval
+const HISTORY_SIZE = 720;
+
+// Previous CPU time of every sampled process tree, keyed by PID, to turn CPU times into usage
+const previousCpu = new Map();
+
+// Shortest time CPU usage is measured over, as CPU times only change every clock tick
+const MIN_CPU_WINDOW = 1000;
+
+// Sample history of every process, keyed by process ID
+const histories = new Map();
+
+// Exit counts of every process, keyed by process ID, then by 'code:<code>' or 'signal:<signal>'
+const exitCounts = new Map();
+
+// Last metrics reported by every process itself, keyed by process ID
+const reports = new Map();
+
+// Helper function to check whether /proc can be read, which is the case on Linux
+const hasProcFs = () => fs.existsSync('/proc/self/stat');
+
+// Parse the fields of a /proc/<pid>/stat file that GTR uses
+const parseStat = (content) => {
+  // The command name may contain spaces and parentheses, the fields start after the last ')'
+  const fields = content.slice(content.lastIndexOf(')') + 2).split(' ').map(Number);
+
+  return {
+    ppid: fields[1],
+    // utime, stime, and the cutime and cstime of the children that were waited for
+    cpuTicks: fields[11] + fields[12] + fields[13] + fields[14],
+    threads: fields[17],
+    startTicks: fields[19]
+  };
+};
+
+// Helper function to read the fields of /proc/<pid>/stat that GTR uses
+const readStat = pid => parseStat(fs.readFileSync(`/proc/${pid}/stat`, 'utf8'));
+
+// Helper function to read a file of /proc that may not exist or may not be readable
+const readProcFile = (pid, file) => {
+  try {
+    return fs.readFileSync(`/proc/${pid}/${file}`, 'utf8');
+  } catch (error) {
+    return '';
+  }
+};
+
+// Read a 'Key: value' field of a /proc file as a number
+const readField = (content, key) => {
+  const match = new RegExp(`^${key}:\\s+(\\d+)`, 'm').exec(content);
+  return match ? parseInt(match[1], 10) : 0;
+};
+
+// Helper function to count the open file descriptors of a process
+const countFds = (pid) => {
+  try {
+    return fs.readdirSync(`/proc/${pid}/fd`).length;
+  } catch (error) {
+    return 0;
+  }
+};
+
+// Helper function to map every running PID to its children, from one scan of /proc
+const readChildren = () => {
+  const children = new Map();
+
+  fs.readdirSync('/proc').filter(entry => /^\d+$/.test(entry)).forEach((entry) => {
+    try {
+      const { ppid } = readStat(entry);
+      if (!children.has(ppid)) {
+        children.set(ppid, []);
+      }
+      children.get(ppid).push(parseInt(entry, 10));
+    } catch (error) {
+      // Exited while scanning
+    }
+  });
+
+  return children;
+};
+
+// Helper function to list a process and all of its descendants
+const listTree = (pid, children) => {
+  const tree = [];
+  const pending = [pid];
+
+  while (pending.length > 0) {
+    const current = pending.pop();
+    tree.push(current);
+    pending.push(...(children.get(current) || []));
+  }
+
+  return tree;
+};
+
+// Helper function to sample one process tree from /proc, or null when its root is gone
+const sampleTree = (pid, children, now, uptime) => {
+  let root;
+  try {
+    root = readStat(pid);
+  } catch (error) {
+    return null;
+  }
+
+  const sample = { cpuTicks: 0, rss: 0, threads: 0, fds: 0, readBytes: 0, writeBytes: 0 };
+
+  listTree(pid, children).forEach((member) => {
+    let stat;
+    try {
+      stat = member === pid ? root : readStat(member);
+    } catch (error) {
+      return;
+    }
+
+    const io = readProcFile(member, 'io');
+    sample.cpuTicks += stat.cpuTicks;
+    sample.threads += stat.threads;
+    sample.rss += readField(readProcFile(member, 'status'), 'VmRSS') * 1024;
+    sample.fds += countFds(member);
+    sample.readBytes += readField(io, 'read_bytes');
+    sample.writeBytes += readField(io, 'write_bytes');
+  });
+
+  const cpuTime = sample.cpuTicks / CLOCK_TICKS;
+
+  // The first sample of a process averages its CPU usage since it started
+  const previous = previousCpu.get(pid);
+  const since = previous && previous.startTicks === root.startTicks
+    ? previous
+    : { time: now - (uptime - root.startTicks / CLOCK_TICKS) * 1000, cpuTime: 0 };
+  const elapsed = (now - since.time) / 1000;
+
+  // A tree sampled again right away keeps the usage of its last window
+  let cpu = previous && since === previous && now - previous.time < MIN_CPU_WINDOW ? previous.cpu : null;
+  if (cpu === null) {
+    cpu = elapsed > 0 ? Math.max(0, ((cpuTime - since.cpuTime) / elapsed) * 100) : 0;
+    previousCpu.set(pid, { time: now, cpuTime, cpu, startTicks: root.startTicks });
+  }
+
+  return {
+    cpu,
+    memory: (sample.rss / os.totalmem()) * 100,
+    rss: sample.rss,
+    cpuTime,
+    threads: sample.threads,
+    fds: sample.fds,
+    readBytes: sample.readBytes,
+    writeBytes: sample.writeBytes
+  };
+};
+
+// Parse a CPU time printed by ps, [[dd-]hh:]mm:ss with optional fractions of a second, into seconds
+const parsePsTime = (value) => {
+  const match = /^(?:(?:(\d+)-)?(\d+):)?(\d+):(\d+(?:\.\d+)?)$/.exec(String(value).trim());
+  if (!match) {
+    return 0;
+  }
+
+  const [, days, hours, minutes, seconds] = match;
+  return ((parseInt(days || 0, 10) * 24 + parseInt(hours || 0, 10)) * 60 + parseInt(minutes, 10)) * 60 + parseFloat(seconds);
+};
+
+// Parse the output of ps -o pid=,%cpu=,%mem=,rss=,time= into a map from PID to usage
+const parsePsOutput = (stdout) => {
+  const usage = new Map();
+
+  (stdout || '').trim().split('\n').filter(Boolean).forEach((line) => {
+    const [pid, cpu, memory, rss, cpuTime] = line.trim().split(/\s+/);
+    usage.set(parseInt(pid, 10), {
+      cpu: parseFloat(cpu),
+      memory: parseFloat(memory),
+      rss: parseInt(rss, 10) * 1024,
+      cpuTime: parsePsTime(cpuTime),
+      threads: 0,
+      fds: 0,
+      readBytes: 0,
+      writeBytes: 0
+    });
+  });
+
+  return usage;
+};
+
+// Helper function to sample processes with ps where there is no /proc, without threads, descriptors or I/O; time=
+// is used rather than times=, which only the ps of Linux knows
+const readUsageWithPs = (pids) => new Promise((resolve) => {
+  execFile('ps', ['-p', pids.join(','), '-o', 'pid=,%cpu=,%mem=,rss=,time='], (error, stdout) => resolve(parsePsOutput(stdout)));
+});
+
+// Sample the trees of some processes, resolving to a map from PID to { cpu, memory, rss, cpuTime, threads, fds, readBytes, writeBytes }
+const readUsage = async (pids) => {
+  if (!hasProcFs()) {
+    return readUsageWithPs(pids);
+  }
+
+  const now = Date.now();
+  const uptime = parseFloat(fs.readFileSync('/proc/uptime', 'utf8'));
+  const children = readChildren();
+  const usage = new Map();
+
+  pids.forEach((pid) => {
+    const sample = sampleTree(pid, children, now, uptime);
+    if (sample) {
+      usage.set(pid, sample);
+    } else {
+      previousCpu.delete(pid);
+    }
+  });
+
+  return usage;
+};
+
+// Add a sample to the history of a process, dropping the oldest one once the history is full
+const recordSample = (id, sample) => {
+  if (!histories.has(id)) {
+    histories.set(id, []);
+  }
+
+  const history = histories.get(id);
+  history.push(sample);
+  if (history.length > HISTORY_SIZE) {
+    history.shift();
+  }
+};
+
+// Get the sample history of a process, oldest first
+const getHistory = (id) => histories.get(id) || [];
+
+// Count an exit of a process, by exit code or by the signal that ended it
+const recordExit = (id, code, signal) => {
+  if (!exitCounts.has(id)) {
+    exitCounts.set(id, {});
+  }
+
+  const counts = exitCounts.get(id);
+  const key = signal ? `signal:${signal}` : `code:${code}`;
+  counts[key] = (counts[key] || 0) + 1;
+};
+
+// Get the exit counts of a process since the daemon started
+const getExits = (id) => exitCounts.get(id) || {};
+
+// Keep the numeric metrics a process reported about itself, e.g. { eventLoopLag: 12.5 } in milliseconds
+const recordReport = (id, pid, metrics) => {
+  const report = { pid, timestamp: new Date().toISOString() };
+  Object.keys(metrics).forEach((key) => {
+    if (typeof metrics[key] === 'number' && isFinite(metrics[key])) {
+      report[key] = metrics[key];
+    }
+  });
+  reports.set(id, report);
+};
+
+// Get the last metrics reported by the current process of an ID, or null
+const getReport = (id, pid) => {
+  const report = reports.get(id);
+  return report && report.pid === pid ? report : null;
+};
+
+// Forget the history, exits and reports of a process that was deleted
+const clearHistory = (id) => {
+  histories.delete(id);
+  exitCounts.delete(id);
+  reports.delete(id);
+};
+
+// Summarize a metric over a history as { min, avg, max }, or null without samples
+const summarize = (samples, key) => {
+  if (samples.length === 0) {
+    return null;
+  }
+
+  const values = samples.map(sample => sample[key]);
+  return {
+    min: Math.min(...values),
+    avg: values.reduce((sum, value) => sum + value, 0) / values.length,
+    max: Math.max(...values)
+  };
+};
+
+module.exports = {
+  HISTORY_SIZE,
+  parseStat,
+  readField,
+  parsePsOutput,
+  readUsage,
+  recordSample,
+  getHistory,
+  recordExit,
+  getExits,
+  recordReport,
+  getReport,
+  clearHistory,
+  summarize
+};
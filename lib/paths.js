@@ -0,0 +1,47 @@
+/**
+ * GTR Manager - Filesystem locations shared by the CLI and the daemon
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+// Config directory
+const GTR_HOME = process.env.GTR_HOME || path.join(os.homedir(), '.gtr-manager');
+const PROCESS_FILE = path.join(GTR_HOME, 'processes.json');
+const SETTINGS_FILE = path.join(GTR_HOME, 'settings.json');
+const LOG_DIR = path.join(GTR_HOME, 'logs');
+
+// Saved process list read by resurrect, and the history of saved process lists
+const DUMP_FILE = path.join(GTR_HOME, 'ecosystem.json');
+const DUMP_DIR = path.join(GTR_HOME, 'dumps');
+
+// Lifecycle event journal of every application
+const JOURNAL_DIR = path.join(GTR_HOME, 'journal');
+
+// Daemon files
+const DAEMON_PID_FILE = path.join(GTR_HOME, 'daemon.pid');
+const DAEMON_LOG_FILE = path.join(GTR_HOME, 'daemon.log');
+const SOCKET_FILE = path.join(GTR_HOME, 'gtr.sock');
+
+// Ensure GTR_HOME and LOG_DIR directory exists
+if (!fs.existsSync(GTR_HOME)) {
+  fs.mkdirSync(GTR_HOME, { recursive: true });
+}
+
+if (!fs.existsSync(LOG_DIR)) {
+  fs.mkdirSync(LOG_DIR, { recursive: true });
+}
+
+module.exports = {
+  GTR_HOME,
+  PROCESS_FILE,
+  SETTINGS_FILE,
+  LOG_DIR,
+  DUMP_FILE,
+  DUMP_DIR,
+  JOURNAL_DIR,
+  DAEMON_PID_FILE,
+  DAEMON_LOG_FILE,
+  SOCKET_FILE
+};
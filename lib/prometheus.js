@@ -0,0 +1,81 @@
+/**
+ * GTR Manager - Prometheus exporter
+ * Formats the stats of the daemon and of every process in the Prometheus text exposition format
+ */
+
+const { RUNNING_STATUSES } = require('./format');
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Every status a process can be in, each exported as its own series
+const STATUSES = [...RUNNING_STATUSES, 'stopping', 'restarting', 'stopped', 'errored'];
+
+// Helper function to escape a label value
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+// Helper function to format a set of labels
+const formatLabels = (labels) => {
+  const pairs = Object.keys(labels).map(key => `${key}="${escapeLabel(labels[key])}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+};
+
+// Helper function to add a metric with its help, type and samples given as [labels, value]
+const addMetric = (lines, name, type, help, samples) => {
+  const values = samples.filter(([, value]) => value !== null && value !== undefined && !isNaN(value));
+  if (values.length === 0) {
+    return;
+  }
+
+  lines.push(`# HELP ${name} ${help}`);
+  lines.push(`# TYPE ${name} ${type}`);
+  values.forEach(([labels, value]) => lines.push(`${name}${formatLabels(labels)} ${Number(value)}`));
+};
+
+// Format the result of the stats method as the body of a /metrics response
+const formatMetrics = ({ daemon, processes }) => {
+  const lines = [];
+  const labelsOf = p => ({ id: p.id, app: p.name, instance: p.instance || 0 });
+  const perProcess = getValue => processes.map(p => [labelsOf(p), getValue(p)]);
+
+  addMetric(lines, 'gtr_process_up', 'gauge', 'Whether the process is running (1) or not (0).',
+    perProcess(p => (RUNNING_STATUSES.includes(p.status) ? 1 : 0)));
+  addMetric(lines, 'gtr_process_status', 'gauge', 'Current status of the process, 1 for the status it is in.',
+    processes.flatMap(p => STATUSES.map(status => [{ ...labelsOf(p), status }, p.status === status ? 1 : 0])));
+  addMetric(lines, 'gtr_process_restarts_total', 'counter', 'Restarts of the process.',
+    perProcess(p => p.restarts || 0));
+  addMetric(lines, 'gtr_process_uptime_seconds', 'gauge', 'Time since the current process started.',
+    perProcess(p => (p.uptime === null ? null : p.uptime / 1000)));
+  addMetric(lines, 'gtr_process_cpu_seconds_total', 'counter', 'CPU time used by the process tree.',
+    perProcess(p => p.cpuTime));
+  addMetric(lines, 'gtr_process_resident_memory_bytes', 'gauge', 'Resident memory of the process tree.',
+    perProcess(p => (RUNNING_STATUSES.includes(p.status) ? p.rss : null)));
+  addMetric(lines, 'gtr_process_threads', 'gauge', 'Threads of the process tree.',
+    perProcess(p => (RUNNING_STATUSES.includes(p.status) ? p.threads : null)));
+  addMetric(lines, 'gtr_process_open_fds', 'gauge', 'Open file descriptors of the process tree.',
+    perProcess(p => (RUNNING_STATUSES.includes(p.status) ? p.fds : null)));
+  addMetric(lines, 'gtr_process_event_loop_lag_seconds', 'gauge', 'Event loop lag reported by the process.',
+    perProcess(p => (p.eventLoopLag === null ? null : p.eventLoopLag / 1000)));
+  addMetric(lines, 'gtr_process_exits_total', 'counter', 'Exits of the process since the daemon started, by exit code or signal.',
+    processes.flatMap(p => Object.keys(p.exits || {}).map((key) => {
+      const [kind, value] = key.split(':');
+      return [{ ...labelsOf(p), code: kind === 'code' ? value : '', signal: kind === 'signal' ? value : '' }, p.exits[key]];
+    })));
+
+  addMetric(lines, 'gtr_processes', 'gauge', 'Processes managed by GTR, by status.',
+    STATUSES.map(status => [{ status }, processes.filter(p => p.status === status).length]));
+  addMetric(lines, 'gtr_daemon_info', 'gauge', 'Version and PID of the GTR daemon.',
+    [[{ version: daemon.version, pid: daemon.pid }, 1]]);
+  addMetric(lines, 'gtr_daemon_uptime_seconds', 'gauge', 'Time since the GTR daemon started.',
+    [[{}, daemon.uptime / 1000]]);
+  addMetric(lines, 'gtr_daemon_cpu_seconds_total', 'counter', 'CPU time used by the GTR daemon.',
+    [[{}, daemon.cpuTime]]);
+  addMetric(lines, 'gtr_daemon_resident_memory_bytes', 'gauge', 'Resident memory of the GTR daemon.',
+    [[{}, daemon.rss]]);
+
+  return `${lines.join('\n')}\n`;
+};
+
+module.exports = {
+  CONTENT_TYPE,
+  formatMetrics
+};
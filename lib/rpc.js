@@ -0,0 +1,243 @@
+/**
+ * GTR Manager - JSON-RPC 2.0 server of the daemon control socket
+ * The methods and notifications are documented in PROTOCOL.md
+ */
+
+const net = require('net');
+const supervisor = require('./supervisor');
+const { readProcesses } = require('./store');
+const { createError, toRpcError } = require('./errors');
+const { readSettings, updateSetting } = require('./settings');
+const { readDump, resolveDump, listDumps } = require('./dump');
+const { queryJournal } = require('./journal');
+const { filterProcesses } = require('./selector');
+const { version } = require('../package.json');
+
+const JSONRPC_VERSION = '2.0';
+
+// Active subscriptions, keyed by socket
+const subscriptions = new Map();
+
+// Helper function to write one message per line
+const send = (socket, message) => {
+  if (!socket.destroyed) {
+    socket.write(`${JSON.stringify(message)}\n`);
+  }
+};
+
+// Helper function to read a mandatory parameter
+const requireParam = (params, key) => {
+  if (params[key] === undefined || params[key] === null || params[key] === '') {
+    throw createError('INVALID_PARAMS', `Missing parameter ${key}`);
+  }
+  return params[key];
+};
+
+// Helper function to read the namespace and tag filters of a request
+const readFilters = params => ({ namespace: params.namespace, tags: params.tags });
+
+// Helper function to resolve the identifier of a request, which may be a list of selectors, within its filters
+const resolveTargets = params => supervisor.resolveProcesses(requireParam(params, 'identifier'), readFilters(params));
+
+// Remove the subscription of a socket
+const unsubscribe = (socket) => {
+  const subscription = subscriptions.get(socket);
+  if (!subscription) {
+    return false;
+  }
+
+  supervisor.bus.removeListener('event', subscription.onEvent);
+  supervisor.bus.removeListener('log', subscription.onLog);
+  subscriptions.delete(socket);
+  return true;
+};
+
+// Subscribe a socket to lifecycle events and/or log lines
+const subscribe = (params, socket) => {
+  unsubscribe(socket);
+
+  const names = Array.isArray(params.names) ? params.names : null;
+  const matches = (payload) => !names || names.includes(payload.process.name);
+
+  const subscription = {
+    events: params.events !== false,
+    logs: Boolean(params.logs),
+    onEvent: (payload) => {
+      if (matches(payload)) {
+        send(socket, { jsonrpc: JSONRPC_VERSION, method: 'event', params: payload });
+      }
+    },
+    onLog: (payload) => {
+      if (matches(payload)) {
+        send(socket, { jsonrpc: JSONRPC_VERSION, method: 'log', params: payload });
+      }
+    }
+  };
+
+  if (subscription.events) {
+    supervisor.bus.on('event', subscription.onEvent);
+  }
+
+  if (subscription.logs) {
+    supervisor.bus.on('log', subscription.onLog);
+  }
+
+  subscriptions.set(socket, subscription);
+  socket.once('close', () => unsubscribe(socket));
+
+  return { events: subscription.events, logs: subscription.logs, names };
+};
+
+// Methods understood by the daemon
+const createMethods = ({ shutdown }) => ({
+  ping: () => ({ pid: process.pid, version }),
+  start: (params) => supervisor.startGTR(requireParam(params, 'name'), requireParam(params, 'script'), params.options),
+  apply: (params) => supervisor.applyApps(requireParam(params, 'apps')),
+  stop: async (params) => {
+    const ids = resolveTargets(params).map(p => p.id);
+    await Promise.all(ids.map(id => supervisor.stopGTR(id)));
+    return readProcesses().filter(p => ids.includes(p.id));
+  },
+  restart: (params) => Promise.all(
+    resolveTargets(params).map(p => supervisor.restartGTR(p.id))
+  ),
+  reload: (params) => supervisor.reloadGTR(resolveTargets(params)),
+  delete: async (params) => {
+    const processes = resolveTargets(params);
+    const deleted = await Promise.all(processes.map(p => supervisor.deleteGTR(p.id, params.stop !== false)));
+    return deleted.filter(Boolean);
+  },
+  scale: (params) => supervisor.scaleGTR(requireParam(params, 'name'), requireParam(params, 'instances')),
+  list: (params) => supervisor.sampleUsage(filterProcesses(readProcesses(), readFilters(params))),
+  describe: (params) => supervisor.sampleUsage(resolveTargets(params)),
+  metrics: (params) => supervisor.getMetrics(
+    params.identifier !== undefined ? resolveTargets(params) : filterProcesses(readProcesses(), readFilters(params))
+  ),
+  stats: async () => {
+    const cpu = process.cpuUsage();
+    return {
+      daemon: {
+        pid: process.pid,
+        version,
+        uptime: Math.round(process.uptime() * 1000),
+        rss: process.memoryUsage().rss,
+        cpuTime: (cpu.user + cpu.system) / 1e6
+      },
+      processes: await supervisor.getStats(readProcesses())
+    };
+  },
+  history: (params) => {
+    const limit = params.limit === undefined ? 0 : Number(params.limit);
+    if (!Number.isInteger(limit) || limit < 0) {
+      throw createError('INVALID_PARAMS', `Invalid limit ${params.limit}`);
+    }
+    if (params.events !== undefined && params.events !== null && !Array.isArray(params.events)) {
+      throw createError('INVALID_PARAMS', 'Invalid events (expected an array of event types)');
+    }
+    return queryJournal(requireParam(params, 'identifier'), { limit, events: params.events || null, ...readFilters(params) });
+  },
+  prune: () => supervisor.pruneGTR(),
+  save: (params) => supervisor.saveGTR({ history: params.history !== false }),
+  dumps: () => listDumps(),
+  resurrect: async (params) => {
+    const file = resolveDump(params.from);
+    return { file, results: await supervisor.resurrectGTR(readDump(file).processes) };
+  },
+  watch: (params) => supervisor.setWatch(requireParam(params, 'identifier'), params.watch !== undefined ? params.watch : true),
+  rotateLogs: (params) => supervisor.rotateLogs(requireParam(params, 'identifier')),
+  getSettings: () => readSettings(),
+  setSetting: (params) => {
+    const settings = updateSetting(requireParam(params, 'key'), requireParam(params, 'value'));
+    supervisor.applyLogSettings();
+    return settings;
+  },
+  subscribe: (params, socket) => subscribe(params, socket),
+  unsubscribe: (params, socket) => ({ unsubscribed: unsubscribe(socket) }),
+  kill: async () => {
+    await supervisor.stopAll();
+    setImmediate(shutdown);
+    return { pid: process.pid };
+  }
+});
+
+// Handle one JSON-RPC request object, resolving to its response (null for notifications)
+const handleRequest = async (methods, socket, message) => {
+  const id = message && message.id !== undefined ? message.id : null;
+
+  if (!message || typeof message !== 'object' || message.jsonrpc !== JSONRPC_VERSION || typeof message.method !== 'string') {
+    return { jsonrpc: JSONRPC_VERSION, id, error: toRpcError(createError('INVALID_REQUEST', 'Invalid JSON-RPC request')) };
+  }
+
+  let response;
+  try {
+    if (!Object.prototype.hasOwnProperty.call(methods, message.method)) {
+      throw createError('METHOD_NOT_FOUND', `Unknown method ${message.method}`);
+    }
+    const result = await methods[message.method](message.params || {}, socket);
+    response = { jsonrpc: JSONRPC_VERSION, id, result: result === undefined ? null : result };
+  } catch (error) {
+    response = { jsonrpc: JSONRPC_VERSION, id, error: toRpcError(error) };
+  }
+
+  return message.id === undefined ? null : response;
+};
+
+// Handle one line received on the socket: a request or a batch of requests
+const handleLine = async (methods, socket, line) => {
+  let message;
+  try {
+    message = JSON.parse(line);
+  } catch (error) {
+    send(socket, { jsonrpc: JSONRPC_VERSION, id: null, error: toRpcError(createError('PARSE_ERROR', 'Invalid JSON')) });
+    return;
+  }
+
+  if (Array.isArray(message)) {
+    if (message.length === 0) {
+      send(socket, { jsonrpc: JSONRPC_VERSION, id: null, error: toRpcError(createError('INVALID_REQUEST', 'Empty batch')) });
+      return;
+    }
+
+    const responses = (await Promise.all(message.map(item => handleRequest(methods, socket, item)))).filter(Boolean);
+    if (responses.length > 0) {
+      send(socket, responses);
+    }
+    return;
+  }
+
+  const response = await handleRequest(methods, socket, message);
+  if (response) {
+    send(socket, response);
+  }
+};
+
+// Create the socket server, reading newline-delimited JSON-RPC messages
+const createServer = (options) => {
+  const methods = createMethods(options);
+
+  return net.createServer((socket) => {
+    let buffer = '';
+    socket.setEncoding('utf8');
+
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+
+      let index;
+      while ((index = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 1);
+        if (line.trim()) {
+          handleLine(methods, socket, line);
+        }
+      }
+    });
+
+    socket.on('error', () => {
+      // Client went away, its subscription is removed on close
+    });
+  });
+};
+
+module.exports = {
+  createServer
+};
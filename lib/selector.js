@@ -0,0 +1,141 @@
+/**
+ * GTR Manager - Process selectors
+ * Resolves what commands act on: IDs, PIDs, names, globs, regexes, all, lists of them, narrowed by namespace and tags
+ */
+
+const { createError } = require('./errors');
+
+const DEFAULT_NAMESPACE = 'default';
+
+// Selector of every process
+const ALL = 'all';
+
+// Characters allowed in namespaces and tags
+const LABEL_PATTERN = /^[\w.-]+$/;
+
+// Helper function to read a list given as an array or as a comma-separated string, possibly missing
+const parseList = (value) => (value === undefined || value === null ? [] : [].concat(value)).flatMap(item => String(item).split(',')).map(item => item.trim()).filter(Boolean);
+
+// Helper function to check a namespace or a tag
+const checkLabel = (kind, value) => {
+  if (!LABEL_PATTERN.test(value)) {
+    throw createError('INVALID_OPTION', `Invalid ${kind} ${value} (expected letters, digits, _, . or -)`);
+  }
+  return value;
+};
+
+// Read the namespace and tags of an application, checking them
+const parseLabels = (options) => ({
+  namespace: checkLabel('namespace', options.namespace ? String(options.namespace).trim() : DEFAULT_NAMESPACE),
+  tags: [...new Set(parseList(options.tags))].map(tag => checkLabel('tag', tag))
+});
+
+// Refuse application names that selectors would read as something else
+const checkName = (name) => {
+  const value = String(name);
+  if (!value || value === ALL || /[,*?]/.test(value) || value.startsWith('/') || /^(id|pid|name):/.test(value)) {
+    throw createError('INVALID_OPTION', `Invalid application name ${value} (names cannot be ${ALL}, contain , * or ?, or look like a selector)`);
+  }
+  return value;
+};
+
+// Helper function to turn a glob into a regex, * matching any characters and ? a single one
+const globToRegExp = (glob) => new RegExp(`^${glob.split('').map((char) => {
+  if (char === '*') {
+    return '.*';
+  }
+  return char === '?' ? '.' : char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+}).join('')}$`);
+
+// Helper function to split identifiers, given as a string or an array of strings, into selectors; a regex is
+// never split, as it may contain commas
+const splitSelectors = (identifiers) => [].concat(identifiers)
+  .flatMap(value => (/^\/.*\/[a-z]*$/.test(String(value).trim()) ? [String(value).trim()] : parseList(value)));
+
+// Helper function to find the processes matching one selector: all, id:N, pid:N, name:X, /regex/flags, a glob,
+// a number (an ID, then a PID, then a name) or a name
+const matchSelector = (processes, selector) => {
+  if (selector === ALL) {
+    return processes;
+  }
+
+  const prefixed = /^(id|pid|name):(.*)$/.exec(selector);
+  if (prefixed) {
+    const [, kind, value] = prefixed;
+    return processes.filter(p => (kind === 'name' ? p.name === value : String(p[kind]) === value));
+  }
+
+  const regex = /^\/(.*)\/([a-z]*)$/.exec(selector);
+  if (regex) {
+    let pattern;
+    try {
+      pattern = new RegExp(regex[1], regex[2]);
+    } catch (error) {
+      throw createError('INVALID_OPTION', `Invalid regex ${selector}: ${error.message}`);
+    }
+    return processes.filter(p => pattern.test(p.name));
+  }
+
+  if (/[*?]/.test(selector)) {
+    const pattern = globToRegExp(selector);
+    return processes.filter(p => pattern.test(p.name));
+  }
+
+  if (/^\d+$/.test(selector)) {
+    const num = parseInt(selector, 10);
+    const single = processes.find(p => p.id === num) || processes.find(p => p.pid === num);
+    if (single) {
+      return [single];
+    }
+  }
+
+  return processes.filter(p => p.name === selector);
+};
+
+// Keep the processes of a namespace and carrying every given tag
+const filterProcesses = (processes, filters = {}) => {
+  const tags = parseList(filters.tags);
+  return processes.filter(p =>
+    (!filters.namespace || (p.namespace || DEFAULT_NAMESPACE) === filters.namespace) &&
+    tags.every(tag => (p.tags || []).includes(tag))
+  );
+};
+
+// Helper function to describe the namespace and tag filters for an error message
+const describeFilters = (filters) => {
+  const tags = parseList(filters.tags);
+  return [filters.namespace ? `namespace ${filters.namespace}` : '', tags.length > 0 ? `tags ${tags.join(', ')}` : '']
+    .filter(Boolean)
+    .join(' with ');
+};
+
+// Select the processes matching identifiers, in list order, throwing when one of them matches nothing
+const selectProcesses = (processes, identifiers, filters = {}) => {
+  const candidates = filterProcesses(processes, filters);
+  const selectors = splitSelectors(identifiers);
+
+  if (selectors.length === 0) {
+    throw createError('INVALID_PARAMS', 'Missing identifier');
+  }
+
+  const ids = new Set();
+  selectors.forEach((selector) => {
+    const matches = matchSelector(candidates, selector);
+    if (matches.length === 0) {
+      const scope = describeFilters(filters);
+      throw createError('PROCESS_NOT_FOUND', `${selector === ALL ? 'No process found' : `Process ${selector} not found`}${scope ? ` in ${scope}` : ''}`);
+    }
+    matches.forEach(p => ids.add(p.id));
+  });
+
+  return candidates.filter(p => ids.has(p.id));
+};
+
+module.exports = {
+  DEFAULT_NAMESPACE,
+  ALL,
+  parseLabels,
+  checkName,
+  filterProcesses,
+  selectProcesses
+};
@@ -0,0 +1,77 @@
+/**
+ * GTR Manager - Global settings
+ * Defaults that apply to every application unless it sets its own value
+ */
+
+const fs = require('fs');
+const { SETTINGS_FILE } = require('./paths');
+const { DEFAULT_ROTATION, resolveRotation } = require('./log-files');
+const { DEFAULT_LOG_FORMAT, resolveLogFormat } = require('./log-format');
+const { DEFAULT_DUMP_SETTINGS, resolveDumpSettings } = require('./dump');
+const { DEFAULT_HOOK_SETTINGS, resolveHookSettings } = require('./hooks');
+const { createError } = require('./errors');
+
+// Every setting and its default value
+const DEFAULT_SETTINGS = {
+  ...DEFAULT_ROTATION,
+  ...DEFAULT_LOG_FORMAT,
+  ...DEFAULT_DUMP_SETTINGS,
+  ...DEFAULT_HOOK_SETTINGS
+};
+
+// Helper function to read the settings saved by gtr set
+const readSavedSettings = () => {
+  try {
+    return JSON.parse(fs.readFileSync(SETTINGS_FILE, 'utf8'));
+  } catch (error) {
+    return {};
+  }
+};
+
+// Read every setting, falling back on the defaults
+const readSettings = () => ({ ...DEFAULT_SETTINGS, ...readSavedSettings() });
+
+// Helper function to turn a value typed on the command line into JSON
+const parseValue = (value) => {
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  if (value === 'null') {
+    return null;
+  }
+  if (/^\s*\{/.test(String(value))) {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return value;
+    }
+  }
+  return /^\d+$/.test(String(value)) ? parseInt(value, 10) : value;
+};
+
+// Change one setting, resolving to every setting once saved
+const updateSetting = (key, value) => {
+  if (!Object.prototype.hasOwnProperty.call(DEFAULT_SETTINGS, key)) {
+    throw createError('INVALID_OPTION', `Unknown setting ${key} (expected ${Object.keys(DEFAULT_SETTINGS).join(', ')})`);
+  }
+
+  const saved = { ...readSavedSettings(), [key]: parseValue(value) };
+
+  // Refuse values the daemon could not use
+  resolveRotation(saved);
+  resolveLogFormat(saved);
+  resolveDumpSettings(saved);
+  resolveHookSettings(saved);
+
+  const tmpFile = `${SETTINGS_FILE}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify(saved, null, 2));
+  fs.renameSync(tmpFile, SETTINGS_FILE);
+
+  return readSettings();
+};
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  readSettings,
+  updateSetting
+};
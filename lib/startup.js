@@ -0,0 +1,149 @@
+/**
+ * GTR Manager - Boot integration
+ * Generates, installs and removes the init system unit that resurrects the saved applications at boot
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { createError } = require('./errors');
+
+const STARTUP_PLATFORMS = ['systemd'];
+
+const SYSTEM_UNIT_DIR = '/etc/systemd/system';
+
+// Helper function to check whether the CLI runs as root
+const isRoot = () => typeof process.getuid === 'function' && process.getuid() === 0;
+
+// Check that an init system is supported
+const resolvePlatform = (platform = 'systemd') => {
+  if (!STARTUP_PLATFORMS.includes(platform)) {
+    throw createError('INVALID_OPTION', `Unsupported init system ${platform} (expected ${STARTUP_PLATFORMS.join(', ')})`);
+  }
+  return platform;
+};
+
+// Resolve who the unit runs as and where: { scope, user, home, gtrHome, node, cli, unitName, unitPath }
+const resolveStartup = (options = {}) => {
+  const scope = options.user ? 'user' : 'system';
+  const current = os.userInfo().username;
+  // Under sudo, the unit is for the user who ran sudo
+  const user = options.runAs || (isRoot() && process.env.SUDO_USER) || current;
+  const home = path.resolve(options.home || (user === current ? os.homedir() : path.join(user === 'root' ? '/' : '/home', user)));
+  const gtrHome = path.resolve(options.gtrHome || (user === current && process.env.GTR_HOME) || path.join(home, '.gtr-manager'));
+
+  if (scope === 'user' && user !== current) {
+    throw createError('INVALID_OPTION', 'A user unit runs as the user who installs it, --run-as needs a system unit');
+  }
+
+  const unitName = scope === 'user' ? 'gtr-manager.service' : `gtr-manager-${user}.service`;
+  const unitDir = scope === 'user'
+    ? path.join(process.env.XDG_CONFIG_HOME || path.join(home, '.config'), 'systemd', 'user')
+    : SYSTEM_UNIT_DIR;
+
+  return {
+    scope,
+    user,
+    home,
+    gtrHome,
+    node: process.execPath,
+    cli: path.resolve(__dirname, '..', 'index.js'),
+    unitName,
+    unitPath: path.join(unitDir, unitName)
+  };
+};
+
+// Helper function to quote a value for a systemd unit line
+const quote = (value) => (/[\s"\\]/.test(value) ? `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"` : value);
+
+// Build the systemd unit: resurrect starts the daemon and exits, the daemon being the main process found through its PID file
+const buildSystemdUnit = (startup) => {
+  const exec = command => `${quote(startup.node)} ${quote(startup.cli)} ${command}`;
+  const searchPath = [path.dirname(startup.node), '/usr/local/sbin', '/usr/local/bin', '/usr/sbin', '/usr/bin', '/sbin', '/bin'];
+
+  return [
+    '[Unit]',
+    'Description=GTR Manager process manager',
+    'Documentation=https://github.com/gtr-1972/gtr-manager#readme',
+    'After=network.target',
+    '',
+    '[Service]',
+    'Type=forking',
+    ...(startup.scope === 'system' ? [`User=${startup.user}`] : []),
+    `Environment=${quote(`HOME=${startup.home}`)}`,
+    `Environment=${quote(`GTR_HOME=${startup.gtrHome}`)}`,
+    `Environment=${quote(`PATH=${[...new Set(searchPath)].join(':')}`)}`,
+    `PIDFile=${quote(path.join(startup.gtrHome, 'daemon.pid'))}`,
+    `ExecStart=${exec('resurrect')}`,
+    `ExecStop=${exec('kill')}`,
+    'Restart=on-failure',
+    'RestartSec=10',
+    // Applications are stopped by ExecStop, each with its own kill timeout
+    'KillMode=mixed',
+    'TimeoutStopSec=120',
+    '',
+    '[Install]',
+    `WantedBy=${startup.scope === 'user' ? 'default.target' : 'multi-user.target'}`,
+    ''
+  ].join('\n');
+};
+
+// Helper function to run systemctl for the scope of a unit
+const systemctl = (startup, ...args) => {
+  const scopeArgs = startup.scope === 'user' ? ['--user'] : [];
+  execFileSync('systemctl', [...scopeArgs, ...args], { stdio: 'inherit' });
+};
+
+// Helper function to refuse writing a system unit without root
+const requireRoot = (startup) => {
+  if (startup.scope === 'system' && !isRoot()) {
+    throw createError('PERMISSION_DENIED', `Writing ${startup.unitPath} requires root`);
+  }
+};
+
+// Write the unit and enable it at boot
+const installUnit = (startup) => {
+  requireRoot(startup);
+
+  fs.mkdirSync(path.dirname(startup.unitPath), { recursive: true });
+  fs.writeFileSync(startup.unitPath, buildSystemdUnit(startup), { mode: 0o644 });
+  systemctl(startup, 'daemon-reload');
+  systemctl(startup, 'enable', startup.unitName);
+};
+
+// Disable the unit and remove it, leaving the running applications alone; returns whether there was a unit
+const removeUnit = (startup) => {
+  if (!fs.existsSync(startup.unitPath)) {
+    return false;
+  }
+
+  requireRoot(startup);
+
+  systemctl(startup, 'disable', startup.unitName);
+  fs.unlinkSync(startup.unitPath);
+  systemctl(startup, 'daemon-reload');
+  return true;
+};
+
+// Build the command that installs a system unit with sudo, for a user who is not root
+const buildSudoCommand = (startup, command) => [
+  'sudo',
+  quote(startup.node),
+  quote(startup.cli),
+  command,
+  'systemd',
+  '--run-as', startup.user,
+  ...(command === 'startup' ? ['--home', quote(startup.home), '--gtr-home', quote(startup.gtrHome), '--install'] : [])
+].join(' ');
+
+module.exports = {
+  STARTUP_PLATFORMS,
+  isRoot,
+  resolvePlatform,
+  resolveStartup,
+  buildSystemdUnit,
+  installUnit,
+  removeUnit,
+  buildSudoCommand
+};
@@ -0,0 +1,388 @@
+/**
+ * GTR Manager - Process list persistence
+ * Every change is made under a lock file and written atomically, with a
+ * backup of the previous version to recover from a corrupt file
+ */
+
+const fs = require('fs');
+const chalk = require('chalk');
+const { PROCESS_FILE } = require('./paths');
+const { createError } = require('./errors');
+
+// Companion files of the process list
+const LOCK_FILE = `${PROCESS_FILE}.lock`;
+const BACKUP_FILE = `${PROCESS_FILE}.bak`;
+
+// How long to wait for the lock, and when a lock left behind is considered stale
+const LOCK_TIMEOUT = 5000;
+const LOCK_RETRY_INTERVAL = 20;
+const LOCK_STALE_AGE = 10000;
+
+// Version of the process list format written by this release
+const SCHEMA_VERSION = 13;
+
+// Migrations from each schema version to the next one, indexed by the version they upgrade from
+const MIGRATIONS = {
+  // Version 1 was a bare array with one entry per application
+  1: (store) => ({
+    schemaVersion: 2,
+    processes: store.processes.map(p => ({
+      args: [],
+      env: {},
+      execMode: 'fork',
+      instance: 0,
+      instances: 1,
+      restartPolicy: 'always',
+      ...p
+    }))
+  }),
+  // Version 3 added per-application log rotation, null meaning the global settings apply
+  2: (store) => ({
+    schemaVersion: 3,
+    processes: store.processes.map(p => ({
+      logMaxSize: null,
+      logRotate: null,
+      logCompress: null,
+      logRetain: null,
+      ...p
+    }))
+  }),
+  // Version 4 added per-application log formatting
+  3: (store) => ({
+    schemaVersion: 4,
+    processes: store.processes.map(p => ({
+      logTimestamp: null,
+      logPrefix: null,
+      logFormat: null,
+      mergeLogs: null,
+      ...p
+    }))
+  }),
+  // Version 5 added watch mode
+  4: (store) => ({
+    schemaVersion: 5,
+    processes: store.processes.map(p => ({
+      watch: false,
+      ignoreWatch: null,
+      watchDelay: null,
+      ...p
+    }))
+  }),
+  // Version 6 added memory and CPU limits, the resident memory and the reason of the last restart
+  5: (store) => ({
+    schemaVersion: 6,
+    processes: store.processes.map(p => ({
+      maxMemoryRestart: null,
+      maxCpuRestart: null,
+      maxCpuDuration: null,
+      rss: 0,
+      lastRestartReason: null,
+      ...p
+    }))
+  }),
+  // Version 7 added the stop sequence settings and how the last stop went
+  6: (store) => ({
+    schemaVersion: 7,
+    processes: store.processes.map(p => ({
+      killSignal: 'SIGTERM',
+      killTimeout: 30000,
+      shutdownWithMessage: false,
+      lastStop: null,
+      ...p
+    }))
+  }),
+  // Version 8 added the node args
+  7: (store) => ({
+    schemaVersion: 8,
+    processes: store.processes.map(p => ({
+      nodeArgs: [],
+      ...p
+    }))
+  }),
+  // Version 9 added readiness and health checks
+  8: (store) => ({
+    schemaVersion: 9,
+    processes: store.processes.map(p => ({
+      waitReady: false,
+      readyCheck: null,
+      healthCheck: null,
+      ...p
+    }))
+  }),
+  // Version 10 added thread, file descriptor and I/O metrics
+  9: (store) => ({
+    schemaVersion: 10,
+    processes: store.processes.map(p => ({
+      threads: 0,
+      fds: 0,
+      readBytes: 0,
+      writeBytes: 0,
+      ...p
+    }))
+  }),
+  // Version 11 added the start time of the current process and the last exit
+  10: (store) => ({
+    schemaVersion: 11,
+    processes: store.processes.map(p => ({
+      startedAt: null,
+      lastExit: null,
+      ...p
+    }))
+  }),
+  // Version 12 added lifecycle hooks
+  11: (store) => ({
+    schemaVersion: 12,
+    processes: store.processes.map(p => ({
+      hooks: null,
+      ...p
+    }))
+  }),
+  // Version 13 added namespaces and tags
+  12: (store) => ({
+    schemaVersion: 13,
+    processes: store.processes.map(p => ({
+      namespace: 'default',
+      tags: [],
+      ...p
+    }))
+  })
+};
+
+// Number of nested withLock calls of this process, so that a locked function can call another one
+let lockDepth = 0;
+
+const sleepSync = (ms) => Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+
+// Helper function to check whether the lock file was left behind by a process that is gone
+const isStaleLock = () => {
+  try {
+    const pid = parseInt(fs.readFileSync(LOCK_FILE, 'utf8'), 10);
+    if (pid && pid !== process.pid) {
+      try {
+        process.kill(pid, 0);
+      } catch (error) {
+        return error.code === 'ESRCH';
+      }
+    }
+    return Date.now() - fs.statSync(LOCK_FILE).mtimeMs > LOCK_STALE_AGE;
+  } catch (error) {
+    // The lock was released in the meantime
+    return false;
+  }
+};
+
+// Helper function to take the lock file, waiting for other processes to release it
+const acquireLock = () => {
+  const deadline = Date.now() + LOCK_TIMEOUT;
+
+  while (true) {
+    try {
+      const fd = fs.openSync(LOCK_FILE, 'wx');
+      fs.writeSync(fd, String(process.pid));
+      fs.closeSync(fd);
+      return;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+
+    if (isStaleLock()) {
+      fs.rmSync(LOCK_FILE, { force: true });
+      continue;
+    }
+
+    if (Date.now() > deadline) {
+      throw createError('STORE_LOCKED', `Process list is locked by another process (${LOCK_FILE})`);
+    }
+
+    sleepSync(LOCK_RETRY_INTERVAL);
+  }
+};
+
+// Run a function while holding the lock of the process list
+const withLock = (fn) => {
+  if (lockDepth === 0) {
+    acquireLock();
+  }
+  lockDepth++;
+
+  try {
+    return fn();
+  } finally {
+    lockDepth--;
+    if (lockDepth === 0) {
+      fs.rmSync(LOCK_FILE, { force: true });
+    }
+  }
+};
+
+// Parse a process list file into a store at the current schema version
+const parseStore = (content) => {
+  const data = JSON.parse(content);
+  let store = Array.isArray(data) ? { schemaVersion: 1, processes: data } : data;
+
+  if (!store || !Number.isInteger(store.schemaVersion) || !Array.isArray(store.processes)) {
+    throw new Error('Not a process list');
+  }
+
+  if (store.schemaVersion > SCHEMA_VERSION) {
+    throw createError('STORE_VERSION', `Process list was written by a newer GTR Manager (schema version ${store.schemaVersion})`);
+  }
+
+  while (store.schemaVersion < SCHEMA_VERSION) {
+    store = MIGRATIONS[store.schemaVersion](store);
+  }
+
+  return store;
+};
+
+// Helper function to write the process list to a temporary file and move it into place
+const writeStore = (processes) => {
+  const tmpFile = `${PROCESS_FILE}.${process.pid}.tmp`;
+  const fd = fs.openSync(tmpFile, 'w');
+
+  try {
+    fs.writeSync(fd, JSON.stringify({ schemaVersion: SCHEMA_VERSION, processes }, null, 2));
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  // Keep the previous version, as long as it can be read back
+  try {
+    parseStore(fs.readFileSync(PROCESS_FILE, 'utf8'));
+    fs.copyFileSync(PROCESS_FILE, BACKUP_FILE);
+  } catch (error) {
+    // No previous version, or a corrupt one that must not replace the last good backup
+  }
+
+  fs.renameSync(tmpFile, PROCESS_FILE);
+};
+
+// Helper function to set a corrupt process list aside and fall back on the backup
+const recoverStore = (reason) => {
+  return withLock(() => {
+    // Another process may have recovered it while we waited for the lock
+    try {
+      return parseStore(fs.readFileSync(PROCESS_FILE, 'utf8')).processes;
+    } catch (error) {
+      // Still corrupt
+    }
+
+    const corruptFile = `${PROCESS_FILE}.corrupt-${Date.now()}`;
+    fs.renameSync(PROCESS_FILE, corruptFile);
+
+    let processes = [];
+    try {
+      processes = parseStore(fs.readFileSync(BACKUP_FILE, 'utf8')).processes;
+      console.error(chalk.yellow(`GTR Manager: Process list was unreadable (${reason}), restored from ${BACKUP_FILE}; the corrupt file was kept as ${corruptFile}`));
+    } catch (error) {
+      console.error(chalk.red(`GTR Manager: Process list was unreadable (${reason}) and has no usable backup; starting from an empty list, the corrupt file was kept as ${corruptFile}`));
+    }
+
+    writeStore(processes);
+    return processes;
+  });
+};
+
+// Helper function to read processes
+const readProcesses = () => {
+  let content;
+  try {
+    content = fs.readFileSync(PROCESS_FILE, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  try {
+    return parseStore(content).processes;
+  } catch (error) {
+    if (error.code === 'STORE_VERSION') {
+      throw error;
+    }
+    return recoverStore(error.message);
+  }
+};
+
+// Helper function to write processes
+const writeProcesses = (processes) => withLock(() => writeStore(processes));
+
+// Read, change and write the process list as one step, so that concurrent changes are not lost
+const modifyProcesses = (fn) => withLock(() => {
+  const processes = readProcesses();
+  const result = fn(processes);
+  writeStore(processes);
+  return result;
+});
+
+// Helper function to generate a unique numeric ID
+const generateId = (processes = readProcesses()) => {
+  const existingIds = new Set(processes.map(p => p.id));
+
+  let id = 0;
+  while (existingIds.has(id)) {
+    id++;
+  }
+
+  return id;
+};
+
+// Helper function to find a process by ID, name, or PID
+const findProcess = (identifier) => {
+  const processes = readProcesses();
+
+  // Try to parse as integer in case it's a PID or ID
+  const num = parseInt(identifier, 10);
+
+  return processes.find(p =>
+    p.id === num ||
+    p.name === identifier ||
+    (!isNaN(num) && p.pid === num)
+  );
+};
+
+// Helper function to find every process matching an ID, PID, or application name
+const findProcesses = (identifier) => {
+  const processes = readProcesses();
+  const num = parseInt(identifier, 10);
+
+  const single = processes.find(p => p.id === num || (!isNaN(num) && p.pid === num));
+  if (single) {
+    return [single];
+  }
+
+  return processes.filter(p => p.name === identifier);
+};
+
+// Helper function to merge changes into a single process entry
+const updateProcess = (id, changes) => modifyProcesses((processes) => {
+  const processInfo = processes.find(p => p.id === id);
+
+  if (!processInfo) {
+    return null;
+  }
+
+  Object.assign(processInfo, changes, { updatedAt: new Date().toISOString() });
+  return processInfo;
+});
+
+// Initialize empty processes file if it doesn't exist
+if (!fs.existsSync(PROCESS_FILE)) {
+  writeProcesses([]);
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  parseStore,
+  readProcesses,
+  writeProcesses,
+  modifyProcesses,
+  generateId,
+  findProcess,
+  findProcesses,
+  updateProcess
+};
@@ -0,0 +1,1753 @@
+/**
+ * GTR Manager - Process supervisor
+ * Owns every managed child, watches their exits and restarts them
+ * according to each application's restart policy
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const cluster = require('cluster');
+const EventEmitter = require('events');
+const { spawn } = require('child_process');
+const { LOG_DIR } = require('./paths');
+const { readProcesses, modifyProcesses, generateId, updateProcess } = require('./store');
+const { createError } = require('./errors');
+const { resolveRotation, getLogWriter, configureLogWriter, rotateLogFile } = require('./log-files');
+const { resolveLogFormat, formatLine, createLineSplitter } = require('./log-format');
+const { readSettings } = require('./settings');
+const { DEFAULT_IGNORE_WATCH, DEFAULT_WATCH_DELAY, createWatcher } = require('./watcher');
+const { parseSize, formatMegabytes } = require('./units');
+const { isNodeInterpreter, resolveInterpreter, buildCommand } = require('./interpreter');
+const { DEFAULT_READY_CHECK, DEFAULT_HEALTH_CHECK, parseCheck, runProbe } = require('./health');
+const { writeDump } = require('./dump');
+const { recordEvent } = require('./journal');
+const { parseHooks, describeAction, runHook } = require('./hooks');
+const { parseLabels, checkName, selectProcesses } = require('./selector');
+const { readUsage, recordSample, getHistory, recordExit, getExits, recordReport, getReport, clearHistory } = require('./metrics');
+
+// Restart policy defaults
+const RESTART_POLICIES = ['always', 'on-failure', 'never'];
+const EXEC_MODES = ['fork', 'cluster'];
+const DEFAULT_RESTART_POLICY = 'always';
+const DEFAULT_MIN_UPTIME = 1000;
+const DEFAULT_MAX_RESTARTS = 15;
+const DEFAULT_RESTART_DELAY = 100;
+const MAX_RESTART_DELAY = 15000;
+
+// Time a reloaded process gets to listen or report 'ready' before it is considered up, and a process
+// started with waitReady gets to report 'ready' before it is considered unhealthy
+const DEFAULT_LISTEN_TIMEOUT = 3000;
+
+// Statuses of a process that is running, whether or not it passed its checks
+const RUNNING_STATUSES = ['launching', 'online', 'unhealthy'];
+
+// Signal asking a process to exit, and time to wait for its whole process group to exit before sending SIGKILL
+const DEFAULT_KILL_SIGNAL = 'SIGTERM';
+const DEFAULT_KILL_TIMEOUT = 30000;
+const GROUP_POLL_INTERVAL = 100;
+const KILL_GRACE = 1000;
+
+// Interval used to watch processes that were started by a previous daemon
+const ADOPT_POLL_INTERVAL = 1000;
+
+// Interval at which metrics are collected and memory and CPU limits checked, and how long the CPU must stay
+// above its limit by default
+const METRICS_INTERVAL = 5000;
+const DEFAULT_MAX_CPU_DURATION = 60000;
+
+// Type of the IPC messages in which an application reports its own metrics
+const METRICS_MESSAGE = 'gtr:metrics';
+
+// Metrics of a sample that are saved in the process list
+const METRIC_FIELDS = ['cpu', 'memory', 'rss', 'threads', 'fds', 'readBytes', 'writeBytes'];
+
+// Error output lines and memory samples (one minute at the default interval) kept in a crash report
+const CRASH_REPORT_LINES = 20;
+const CRASH_REPORT_SAMPLES = 12;
+
+// Fields of a process entry that come from its declaration rather than its runtime state
+const DEFINITION_FIELDS = [
+  'script',
+  'cwd',
+  'args',
+  'interpreter',
+  'nodeArgs',
+  'logFile',
+  'errorLogFile',
+  'execMode',
+  'instances',
+  'restartPolicy',
+  'minUptime',
+  'maxRestarts',
+  'restartDelay',
+  'listenTimeout',
+  'logMaxSize',
+  'logRotate',
+  'logCompress',
+  'logRetain',
+  'logTimestamp',
+  'logPrefix',
+  'logFormat',
+  'mergeLogs',
+  'watch',
+  'ignoreWatch',
+  'watchDelay',
+  'maxMemoryRestart',
+  'maxCpuRestart',
+  'maxCpuDuration',
+  'killSignal',
+  'killTimeout',
+  'shutdownWithMessage',
+  'waitReady',
+  'readyCheck',
+  'healthCheck',
+  'hooks',
+  'namespace',
+  'tags',
+  'env'
+];
+
+// Log options an application may set, falling back on the global settings
+const LOG_FIELDS = [
+  'logMaxSize',
+  'logRotate',
+  'logCompress',
+  'logRetain',
+  'logTimestamp',
+  'logPrefix',
+  'logFormat',
+  'mergeLogs'
+];
+
+// Runtime state of every supervised process, keyed by process ID
+const supervised = new Map();
+
+// Lifecycle events, forwarded to subscribed clients
+const bus = new EventEmitter();
+
+// Source watchers of the applications in watch mode, keyed by application name
+const watchers = new Map();
+
+// Last error output lines of every child, for its crash report
+const stderrTails = new WeakMap();
+
+// Helper function to write a timestamped line to the daemon log
+const log = (message) => {
+  console.log(`[${new Date().toISOString()}] GTR Manager: ${message}`);
+};
+
+// Helper function to publish a lifecycle event of a process
+const emitEvent = (event, processInfo, details = {}) => {
+  if (!processInfo) {
+    return;
+  }
+
+  bus.emit('event', {
+    event,
+    process: {
+      id: processInfo.id,
+      name: processInfo.name,
+      pid: processInfo.pid,
+      instance: processInfo.instance,
+      status: processInfo.status
+    },
+    ...details,
+    timestamp: new Date().toISOString()
+  });
+};
+
+// Helper function to run the global hooks and the hooks of an application at one point of its lifecycle; failures
+// are only logged. Resolves once every action finished, which only pre_start waits for
+const fireHook = (hook, processInfo, details = {}) => {
+  if (!processInfo) {
+    return Promise.resolve();
+  }
+
+  let globalHooks = null;
+  try {
+    globalHooks = parseHooks(readSettings().hooks);
+  } catch (error) {
+    log(`Ignoring the global hooks: ${error.message}`);
+  }
+
+  const actions = [...((globalHooks || {})[hook] || []), ...((processInfo.hooks || {})[hook] || [])];
+  if (actions.length === 0) {
+    return Promise.resolve();
+  }
+
+  const payload = {
+    event: hook,
+    app: processInfo.name,
+    process: {
+      id: processInfo.id,
+      name: processInfo.name,
+      pid: processInfo.pid,
+      instance: processInfo.instance,
+      status: processInfo.status
+    },
+    ...details,
+    timestamp: new Date().toISOString()
+  };
+
+  return runHook(actions, payload, { cwd: processInfo.cwd, env: processInfo.env }).then((results) => {
+    results.filter(result => result.error).forEach(({ action, attempts, error }) => {
+      log(`Hook ${hook} of process ${processInfo.name} (id: ${processInfo.id}) failed after ${attempts} attempt(s): ${describeAction(action)}: ${error}`);
+    });
+  });
+};
+
+// Check if a process is running by PID
+const isProcessRunning = (pid) => {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+};
+
+// Helper function to parse a numeric option with a fallback
+const parseNumber = (value, fallback) => {
+  const num = parseInt(value, 10);
+  return isNaN(num) ? fallback : num;
+};
+
+// Helper function to get (or create) the runtime entry of a process
+const getEntry = (id) => {
+  if (!supervised.has(id)) {
+    supervised.set(id, {
+      id,
+      pid: null,
+      child: null,
+      adopted: false,
+      startedAt: null,
+      unstableRestarts: 0,
+      stopping: false,
+      forced: false,
+      stopDeadline: null,
+      killTimer: null,
+      restartTimer: null,
+      healthTimer: null,
+      checkedPid: null,
+      unhealthy: null,
+      exitWaiters: []
+    });
+  }
+
+  return supervised.get(id);
+};
+
+// Helper function to read the restart settings of a process with defaults applied
+const getRestartSettings = (processInfo) => ({
+  policy: processInfo.restartPolicy || DEFAULT_RESTART_POLICY,
+  minUptime: processInfo.minUptime !== undefined ? processInfo.minUptime : DEFAULT_MIN_UPTIME,
+  maxRestarts: processInfo.maxRestarts !== undefined ? processInfo.maxRestarts : DEFAULT_MAX_RESTARTS,
+  restartDelay: processInfo.restartDelay !== undefined ? processInfo.restartDelay : DEFAULT_RESTART_DELAY
+});
+
+// Decide whether an exit should trigger an automatic restart
+const shouldRestart = (policy, code, signal) => {
+  switch (policy) {
+    case 'always':
+      return true;
+    case 'on-failure':
+      return code !== 0 || signal !== null;
+    default:
+      return false;
+  }
+};
+
+// Fork a cluster worker so that every instance of an application can share its listening port
+const forkWorker = (processInfo) => {
+  const setupPrimary = cluster.setupPrimary || cluster.setupMaster;
+  setupPrimary.call(cluster, {
+    exec: processInfo.script,
+    args: processInfo.args || [],
+    execArgv: processInfo.nodeArgs || [],
+    cwd: processInfo.cwd,
+    stdio: ['ignore', 'pipe', 'pipe', 'ipc']
+  });
+
+  return cluster.fork({ ...processInfo.env, NODE_APP_INSTANCE: String(processInfo.instance || 0) }).process;
+};
+
+// Helper function to get the log rotation of a process, its own options taking precedence over the global settings
+const getRotation = (processInfo) => resolveRotation(readSettings(), processInfo);
+
+// Helper function to write the output of a child, line by line, to the log files of its entry and to log subscribers
+const captureOutput = (processInfo, child) => {
+  const settings = readSettings();
+  const rotation = resolveRotation(settings, processInfo);
+  const format = resolveLogFormat(settings, processInfo);
+  const instance = processInfo.instance || 0;
+
+  const writers = {
+    out: getLogWriter(processInfo.logFile, rotation),
+    err: getLogWriter(format.merge ? processInfo.logFile : processInfo.errorLogFile, rotation)
+  };
+
+  const stderrTail = [];
+  stderrTails.set(child, stderrTail);
+
+  [['out', child.stdout], ['err', child.stderr]].forEach(([stream, source]) => {
+    const splitter = createLineSplitter((message) => {
+      const date = new Date();
+      if (stream === 'err') {
+        stderrTail.push(message);
+        if (stderrTail.length > CRASH_REPORT_LINES) {
+          stderrTail.shift();
+        }
+      }
+      writers[stream].write(`${formatLine(format, { app: processInfo.name, instance, stream, message, date })}\n`);
+      bus.emit('log', {
+        process: { id: processInfo.id, name: processInfo.name, instance },
+        stream,
+        line: message,
+        timestamp: date.toISOString()
+      });
+    });
+
+    source.on('data', chunk => splitter.push(chunk));
+    source.on('end', () => splitter.flush());
+  });
+};
+
+// Spawn the child process for a process entry
+const spawnChild = (processInfo) => {
+  let child;
+  if (processInfo.execMode === 'cluster') {
+    child = forkWorker(processInfo);
+  } else {
+    const { command, args } = buildCommand({ ...processInfo, interpreter: processInfo.interpreter || 'node' });
+    child = spawn(command, args, {
+      cwd: processInfo.cwd,
+      detached: true,
+      stdio: ['ignore', 'pipe', 'pipe', 'ipc'],
+      env: { ...process.env, ...processInfo.env, NODE_APP_INSTANCE: String(processInfo.instance || 0) }
+    });
+  }
+
+  if (!child.pid) {
+    throw new Error(`Unable to spawn process ${processInfo.name}`);
+  }
+
+  captureOutput(processInfo, child);
+
+  child.on('error', (error) => {
+    log(`Process ${processInfo.name} (id: ${processInfo.id}) error: ${error.message}`);
+  });
+
+  fireHook('post_start', { ...processInfo, pid: child.pid, status: launchStatus(processInfo) });
+  return child;
+};
+
+// Helper function to read the status of a process that was just launched
+const launchStatus = (processInfo) => (processInfo.waitReady || processInfo.readyCheck ? 'launching' : 'online');
+
+// Helper function to build the changes of an entry whose process is gone: its new status, no PID, so that the
+// PID is not matched once the system reuses it, and no metrics; the start time is kept for gtr show
+const exitedState = (status, changes = {}) => METRIC_FIELDS.reduce((fields, key) => ({ ...fields, [key]: 0 }), { status, pid: null, ...changes });
+
+// Helper function to stop the readiness and health checks of a process
+const clearHealthChecks = (entry) => {
+  clearTimeout(entry.healthTimer);
+  entry.healthTimer = null;
+  entry.checkedPid = null;
+};
+
+// Run a check after every interval for as long as onResult does not return false; results for a replaced process are dropped
+const scheduleCheck = (entry, pid, check, processInfo, onResult) => {
+  entry.healthTimer = setTimeout(() => {
+    runProbe(check, processInfo)
+      .then(() => null, error => error)
+      .then((error) => {
+        if (entry.checkedPid === pid && onResult(error) !== false) {
+          scheduleCheck(entry, pid, check, processInfo, onResult);
+        }
+      });
+  }, check.interval);
+};
+
+// Stop an unhealthy process the graceful way, so that handleExit restarts it
+const recycleUnhealthy = (entry, pid, processInfo, kind, message) => {
+  clearTimeout(entry.healthTimer);
+  if (entry.pid !== pid || entry.stopping) {
+    return;
+  }
+
+  log(`Process ${processInfo.name} (id: ${entry.id}, pid: ${pid}) ${message}, restarting`);
+  emitEvent('unhealthy', updateProcess(entry.id, { status: 'unhealthy' }), { message });
+
+  entry.unhealthy = kind;
+  const settings = getStopSettings(processInfo);
+  requestShutdown(pid, entry.child, settings);
+  entry.healthTimer = setTimeout(() => signalProcess(pid, 'SIGKILL', settings.group), settings.timeout);
+};
+
+// Check the health of a ready process: it is unhealthy after a failure, and restarted after `threshold` failures in a row
+const startHealthCheck = (entry, pid, processInfo) => {
+  const check = processInfo.healthCheck;
+  if (!check) {
+    return;
+  }
+
+  let failures = 0;
+  scheduleCheck(entry, pid, check, processInfo, (error) => {
+    const current = readProcesses().find(p => p.id === entry.id);
+
+    if (!error) {
+      if (failures > 0 && current && current.status === 'unhealthy') {
+        log(`Process ${processInfo.name} (id: ${entry.id}) is healthy again`);
+        emitEvent('healthy', updateProcess(entry.id, { status: 'online' }));
+      }
+      failures = 0;
+      return true;
+    }
+
+    failures++;
+    if (failures >= check.threshold) {
+      recycleUnhealthy(entry, pid, processInfo, 'health', `failed ${failures} health checks in a row (${error.message})`);
+      return false;
+    }
+
+    log(`Health check of process ${processInfo.name} (id: ${entry.id}) failed (${failures}/${check.threshold}): ${error.message}`);
+    if (current && current.status === 'online') {
+      emitEvent('unhealthy', updateProcess(entry.id, { status: 'unhealthy' }), { message: error.message });
+    }
+    return true;
+  });
+};
+
+// Mark a launching process as online and start checking its health
+const markReady = (entry, pid, processInfo) => {
+  clearTimeout(entry.healthTimer);
+
+  const current = readProcesses().find(p => p.id === entry.id);
+  if (current && current.status === 'launching') {
+    log(`Process ${processInfo.name} (id: ${entry.id}, pid: ${pid}) is ready`);
+    emitEvent('ready', updateProcess(entry.id, { status: 'online' }));
+  }
+
+  startHealthCheck(entry, pid, processInfo);
+};
+
+// Wait for a launched process to be ready, with its 'ready' message or its readiness check, then check its health
+const startChecks = (entry, processInfo, child, ready = false) => {
+  clearHealthChecks(entry);
+  const pid = child ? child.pid : entry.pid;
+  entry.checkedPid = pid;
+
+  if (ready || !child || (!processInfo.waitReady && !processInfo.readyCheck)) {
+    startHealthCheck(entry, pid, processInfo);
+    return;
+  }
+
+  if (processInfo.waitReady) {
+    const timeout = processInfo.listenTimeout !== undefined ? processInfo.listenTimeout : DEFAULT_LISTEN_TIMEOUT;
+    const onMessage = (message) => {
+      if (message === 'ready') {
+        child.removeListener('message', onMessage);
+        if (entry.checkedPid === pid) {
+          markReady(entry, pid, processInfo);
+        }
+      }
+    };
+
+    child.on('message', onMessage);
+    entry.healthTimer = setTimeout(() => {
+      child.removeListener('message', onMessage);
+      recycleUnhealthy(entry, pid, processInfo, 'readiness', `did not send 'ready' within ${timeout}ms`);
+    }, timeout);
+    return;
+  }
+
+  let failures = 0;
+  scheduleCheck(entry, pid, processInfo.readyCheck, processInfo, (error) => {
+    if (!error) {
+      markReady(entry, pid, processInfo);
+      return false;
+    }
+
+    failures++;
+    if (failures >= processInfo.readyCheck.threshold) {
+      recycleUnhealthy(entry, pid, processInfo, 'readiness', `was not ready after ${failures} checks (${error.message})`);
+      return false;
+    }
+    return true;
+  });
+};
+
+// Make a child the supervised process of its entry; a child known to be ready skips its readiness check
+const attachChild = (processInfo, child, ready = false) => {
+  const entry = getEntry(processInfo.id);
+  entry.child = child;
+  entry.pid = child.pid;
+  entry.adopted = false;
+  entry.startedAt = Date.now();
+  entry.cpuSamples = [];
+  startChecks(entry, processInfo, child, ready);
+
+  child.on('message', (message) => {
+    if (message && message.type === METRICS_MESSAGE) {
+      recordReport(processInfo.id, child.pid, message);
+    }
+  });
+
+  child.on('exit', (code, signal) => {
+    if (entry.child === child) {
+      handleExit(entry, code, signal);
+    }
+  });
+
+  return child.pid;
+};
+
+// Helper function to run the pre_start hooks of a process, then check that it was not stopped or deleted while
+// they ran, throwing LAUNCH_CANCELLED if it was
+const runPreStart = async (processInfo) => {
+  await fireHook('pre_start', { ...processInfo, pid: null });
+
+  const current = readProcesses().find(p => p.id === processInfo.id);
+  if (!current || current.status === 'stopping' || current.status === 'stopped') {
+    throw createError('LAUNCH_CANCELLED', `Process ${processInfo.name} (id: ${processInfo.id}) was stopped before it started`);
+  }
+};
+
+// Run the pre_start hooks, then spawn the child process for a process entry and start watching it; resolves to its PID
+const launch = async (processInfo) => {
+  await runPreStart(processInfo);
+  return attachChild(processInfo, spawnChild(processInfo));
+};
+
+// Wait until a child is ready: listening in cluster mode, or after sending 'ready'
+const waitForReady = (child, timeout) => new Promise((resolve, reject) => {
+  if (child.exitCode !== null || child.signalCode !== null) {
+    reject(new Error(`exited with code ${child.exitCode} and signal ${child.signalCode} before it was ready`));
+    return;
+  }
+
+  let timer = null;
+
+  const cleanup = () => {
+    clearTimeout(timer);
+    child.removeListener('message', onMessage);
+    child.removeListener('exit', onExit);
+    cluster.removeListener('listening', onListening);
+  };
+
+  const onMessage = (message) => {
+    if (message === 'ready') {
+      cleanup();
+      resolve();
+    }
+  };
+
+  const onListening = (worker) => {
+    if (worker.process === child) {
+      cleanup();
+      resolve();
+    }
+  };
+
+  const onExit = (code, signal) => {
+    cleanup();
+    reject(new Error(`exited with code ${code} and signal ${signal} before it was ready`));
+  };
+
+  // A process that neither listens nor reports is considered ready once it survived the timeout
+  timer = setTimeout(() => {
+    cleanup();
+    resolve();
+  }, timeout);
+
+  child.on('message', onMessage);
+  child.on('exit', onExit);
+  cluster.on('listening', onListening);
+});
+
+// Helper function to read the stop settings of a process with defaults applied
+const getStopSettings = (processInfo) => ({
+  signal: (processInfo && processInfo.killSignal) || DEFAULT_KILL_SIGNAL,
+  timeout: parseNumber(processInfo && processInfo.killTimeout, DEFAULT_KILL_TIMEOUT),
+  message: Boolean(processInfo && processInfo.shutdownWithMessage),
+  // Fork mode children lead their own process group; cluster workers share the group of the daemon
+  group: !processInfo || processInfo.execMode !== 'cluster'
+});
+
+// Helper function to send a signal to a process, and to the rest of its group when it leads one
+const signalProcess = (pid, signal, group) => {
+  if (group) {
+    try {
+      process.kill(-pid, signal);
+      return;
+    } catch (error) {
+      // Not the leader of a group, e.g. adopted from an older daemon
+    }
+  }
+
+  try {
+    process.kill(pid, signal);
+  } catch (error) {
+    log(`Error sending ${signal} to ${pid}: ${error.message}`);
+  }
+};
+
+// Check if any process of the group led by a PID is still running
+const isGroupRunning = (pid) => {
+  try {
+    process.kill(-pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+};
+
+// Ask a process to exit: with a 'shutdown' IPC message when configured and connected, with its kill signal otherwise
+const requestShutdown = (pid, child, settings) => {
+  if (settings.message && child && child.connected) {
+    child.send('shutdown');
+    return;
+  }
+
+  signalProcess(pid, settings.signal, settings.group);
+};
+
+// Wait for the processes left in the group of an exited process, killing them at the deadline; resolves to whether they were killed
+const waitForGroup = (pid, deadline) => new Promise((resolve) => {
+  let killed = false;
+
+  const check = () => {
+    // Killed processes may take a moment to be reaped, but are not waited for forever
+    if (!isGroupRunning(pid) || (killed && Date.now() >= deadline + KILL_GRACE)) {
+      resolve(killed);
+      return;
+    }
+
+    if (!killed && Date.now() >= deadline) {
+      signalProcess(pid, 'SIGKILL', true);
+      killed = true;
+    }
+    setTimeout(check, GROUP_POLL_INTERVAL);
+  };
+
+  check();
+});
+
+// Stop a child that is no longer supervised and wait for it to exit
+const terminateChild = (child, processInfo) => new Promise((resolve) => {
+  if (child.exitCode !== null || child.signalCode !== null) {
+    resolve();
+    return;
+  }
+
+  const settings = getStopSettings(processInfo);
+  const killTimer = setTimeout(() => signalProcess(child.pid, 'SIGKILL', settings.group), settings.timeout);
+
+  child.once('exit', () => {
+    clearTimeout(killTimer);
+    resolve();
+  });
+
+  requestShutdown(child.pid, child, settings);
+});
+
+// Finish stopping a process once it exited, waiting for the rest of its group
+const finishStop = async (entry, pid, processInfo) => {
+  const settings = getStopSettings(processInfo);
+  const groupKilled = settings.group ? await waitForGroup(pid, entry.stopDeadline) : false;
+  const forced = entry.forced || groupKilled;
+
+  entry.stopping = false;
+  entry.forced = false;
+  log(`Process ${processInfo ? processInfo.name : entry.id} (id: ${entry.id}) ${forced ? 'was killed after its kill timeout' : 'exited cleanly'}`);
+
+  // Events and hooks still name the process that stopped
+  const saved = updateProcess(entry.id, exitedState('stopped', { lastStop: forced ? 'forced' : 'clean' }));
+  const stopped = saved && { ...saved, pid };
+  emitEvent('stop', stopped, { forced });
+  fireHook('post_stop', stopped, { forced });
+  entry.exitWaiters.splice(0).forEach(resolve => resolve({ forced }));
+};
+
+// Helper function to mark a process that restarted too often in a row as errored, its events naming the process that ended
+const giveUpRestarting = (entry, pid, details) => {
+  const saved = updateProcess(entry.id, exitedState('errored'));
+  const errored = saved && { ...saved, pid };
+  emitEvent('errored', errored);
+  fireHook('on_restart_limit', errored, details);
+  supervised.delete(entry.id);
+};
+
+// Helper function to launch an exited process again once its restart delay, doubled for each unstable restart, has passed
+const scheduleRestart = (entry, name, settings, reason, details = {}) => {
+  const delay = Math.min(settings.restartDelay * 2 ** entry.unstableRestarts, MAX_RESTART_DELAY);
+  log(`Restarting process ${name} (id: ${entry.id}) in ${delay}ms`);
+  updateProcess(entry.id, exitedState('restarting'));
+
+  entry.restartTimer = setTimeout(async () => {
+    entry.restartTimer = null;
+    const current = readProcesses().find(p => p.id === entry.id);
+
+    if (!current || current.status !== 'restarting') {
+      return;
+    }
+
+    try {
+      const pid = await launch(current);
+      const restarted = updateProcess(entry.id, { pid, startedAt: new Date().toISOString(), status: launchStatus(current), restarts: (current.restarts || 0) + 1, lastRestartReason: reason });
+      emitEvent('restart', restarted, { reason, ...details });
+    } catch (error) {
+      if (error.code === 'LAUNCH_CANCELLED') {
+        log(error.message);
+        return;
+      }
+      log(`Error restarting process ${name}: ${error.message}`);
+      emitEvent('errored', updateProcess(entry.id, exitedState('errored')));
+      supervised.delete(entry.id);
+    }
+  }, delay);
+};
+
+// Handle the exit of a supervised process
+const handleExit = (entry, code, signal) => {
+  const uptime = Date.now() - entry.startedAt;
+  const processInfo = readProcesses().find(p => p.id === entry.id);
+  const name = processInfo ? processInfo.name : entry.id;
+
+  log(`Process ${name} (id: ${entry.id}, pid: ${entry.pid}) exited with code ${code} and signal ${signal} after ${uptime}ms`);
+
+  emitEvent('exit', processInfo, { code, signal, uptime });
+  recordExit(entry.id, code, signal);
+
+  // An exit GTR did not ask for, with an error code or a signal, is a crash; adopted processes cannot tell
+  const crashed = !entry.stopping && !entry.unhealthy && (signal !== null || (code !== null && code !== 0));
+  const stderr = entry.child ? stderrTails.get(entry.child) || [] : [];
+  if (processInfo) {
+    updateProcess(entry.id, { lastExit: { code, signal, uptime, crashed, at: new Date().toISOString() } });
+  }
+  if (crashed) {
+    emitEvent('crash', processInfo, {
+      code,
+      signal,
+      uptime,
+      stderr,
+      memory: getHistory(entry.id).slice(-CRASH_REPORT_SAMPLES).map(sample => ({ timestamp: sample.timestamp, rss: sample.rss }))
+    });
+    fireHook('on_crash', processInfo, { code, signal, uptime, stderr });
+  }
+
+  const { pid, unhealthy } = entry;
+  clearHealthChecks(entry);
+  entry.unhealthy = null;
+  entry.child = null;
+  entry.adopted = false;
+  entry.pid = null;
+
+  if (entry.stopping) {
+    clearTimeout(entry.killTimer);
+    entry.killTimer = null;
+    finishStop(entry, pid, processInfo);
+    return;
+  }
+
+  // The process was deleted from the list while it was running
+  if (!processInfo) {
+    supervised.delete(entry.id);
+    return;
+  }
+
+  const settings = getRestartSettings(processInfo);
+
+  // Unhealthy processes were stopped by GTR, and come back unless restarts are disabled altogether
+  const restart = unhealthy ? settings.policy !== 'never' : shouldRestart(settings.policy, code, signal);
+  if (!restart) {
+    log(`Process ${name} (id: ${entry.id}) will not be restarted (policy: ${settings.policy})`);
+    const stopped = updateProcess(entry.id, exitedState('stopped'));
+    emitEvent('stop', stopped && { ...stopped, pid });
+    supervised.delete(entry.id);
+    return;
+  }
+
+  // A process that never became ready did not run stably, however long it tried
+  entry.unstableRestarts = uptime < settings.minUptime || unhealthy === 'readiness' ? entry.unstableRestarts + 1 : 0;
+  const reason = unhealthy ? 'health-check' : 'exit';
+
+  if (entry.unstableRestarts > settings.maxRestarts) {
+    log(`Process ${name} (id: ${entry.id}) crashed ${entry.unstableRestarts} times in a row, giving up`);
+    giveUpRestarting(entry, pid, { code, signal, uptime, restarts: entry.unstableRestarts, stderr });
+    return;
+  }
+
+  scheduleRestart(entry, name, settings, reason);
+};
+
+// Watch processes started by a previous daemon, which cannot report their exit code
+const pollAdopted = () => {
+  for (const entry of supervised.values()) {
+    if (entry.adopted && !isProcessRunning(entry.pid)) {
+      handleExit(entry, null, null);
+    }
+  }
+};
+
+// Take over processes that are still marked as running in the process list
+const adoptProcesses = () => modifyProcesses((processes) => {
+  for (const processInfo of processes) {
+    if (processInfo.status === 'stopped' || processInfo.status === 'errored') {
+      continue;
+    }
+
+    if (processInfo.pid && isProcessRunning(processInfo.pid)) {
+      const entry = getEntry(processInfo.id);
+      entry.pid = processInfo.pid;
+      entry.adopted = true;
+      entry.startedAt = processInfo.startedAt ? Date.parse(processInfo.startedAt) : Date.now();
+      // Its 'ready' message went to the previous daemon, so only its health is checked
+      startChecks(entry, processInfo, null, true);
+
+      processInfo.status = 'online';
+      // Its output went through the previous daemon and is lost until it is restarted
+      log(`Adopted process ${processInfo.name} (id: ${processInfo.id}, pid: ${processInfo.pid}), restart it to capture its output again`);
+    } else {
+      Object.assign(processInfo, exitedState('stopped'), { updatedAt: new Date().toISOString() });
+    }
+  }
+});
+
+// Helper function to resolve the instance count, 'max' meaning one per CPU core
+const resolveInstances = (instances) => {
+  if (instances === 'max') {
+    return os.cpus().length;
+  }
+
+  const count = parseInt(instances, 10);
+  if (instances !== undefined && (isNaN(count) || count < 1)) {
+    throw createError('INVALID_OPTION', `Invalid instance count ${instances} (expected a positive number or 'max')`);
+  }
+
+  return count || 1;
+};
+
+// Helper function to read a list given as an array or as a comma-separated string
+const parseList = (value) => (Array.isArray(value) ? value : String(value).split(',')).map(item => String(item).trim()).filter(Boolean);
+
+// Helper function to read command line arguments given as an array or as a space-separated string
+const parseArgs = (value) => (Array.isArray(value) ? value.map(String) : String(value).split(' ').filter(Boolean));
+
+// Helper function to read the watch option: false, true to watch the working directory, or the paths to watch
+const parseWatch = (watch) => {
+  if (watch === undefined || watch === null || watch === false || watch === 'false') {
+    return false;
+  }
+  if (watch === true || watch === 'true') {
+    return true;
+  }
+
+  const paths = parseList(watch);
+  return paths.length > 0 ? paths : true;
+};
+
+// Helper function to check whether an optional option was given
+const isSet = (value) => value !== undefined && value !== null && value !== '';
+
+// Helper function to read the resource limits of an application, stored as null when unset
+const parseLimits = (options) => {
+  const maxCpuRestart = isSet(options.maxCpuRestart) ? Number(options.maxCpuRestart) : null;
+  if (maxCpuRestart !== null && !(maxCpuRestart > 0)) {
+    throw createError('INVALID_OPTION', `Invalid CPU limit ${options.maxCpuRestart} (expected a percentage above 0)`);
+  }
+
+  const maxCpuDuration = isSet(options.maxCpuDuration) ? Number(options.maxCpuDuration) : null;
+  if (maxCpuDuration !== null && !(maxCpuDuration >= METRICS_INTERVAL)) {
+    throw createError('INVALID_OPTION', `Invalid CPU limit duration ${options.maxCpuDuration} (expected at least ${METRICS_INTERVAL}ms)`);
+  }
+
+  return {
+    maxMemoryRestart: isSet(options.maxMemoryRestart) ? parseSize(options.maxMemoryRestart) || null : null,
+    maxCpuRestart,
+    maxCpuDuration
+  };
+};
+
+// Helper function to read the readiness and health checks of an application, given as probes or as check objects
+const parseChecks = (options) => ({
+  waitReady: options.waitReady === true || options.waitReady === 'true',
+  readyCheck: parseCheck(options.readyCheck, {
+    status: options.checkStatus,
+    interval: options.readyCheckInterval,
+    timeout: options.readyCheckTimeout,
+    threshold: options.readyCheckThreshold
+  }, DEFAULT_READY_CHECK),
+  healthCheck: parseCheck(options.healthCheck, {
+    status: options.checkStatus,
+    interval: options.healthCheckInterval,
+    timeout: options.healthCheckTimeout,
+    threshold: options.healthCheckThreshold
+  }, DEFAULT_HEALTH_CHECK)
+});
+
+// Helper function to read a signal name, with or without its SIG prefix
+const parseSignal = (signal) => {
+  const name = String(signal).trim().toUpperCase();
+  const normalized = name.startsWith('SIG') ? name : `SIG${name}`;
+  if (!os.constants.signals[normalized]) {
+    throw createError('INVALID_OPTION', `Unknown kill signal ${signal}`);
+  }
+  return normalized;
+};
+
+// Build the part of a process entry that comes from its declaration rather than its runtime state
+const buildDefinition = (name, script, options = {}) => {
+  // Check if script exists
+  if (!fs.existsSync(script)) {
+    throw createError('SCRIPT_NOT_FOUND', `Script ${script} does not exist`);
+  }
+
+  const policy = options.restartPolicy || DEFAULT_RESTART_POLICY;
+  if (!RESTART_POLICIES.includes(policy)) {
+    throw createError('INVALID_OPTION', `Unknown restart policy ${policy} (expected ${RESTART_POLICIES.join(', ')})`);
+  }
+
+  const execMode = options.execMode || 'fork';
+  if (!EXEC_MODES.includes(execMode)) {
+    throw createError('INVALID_OPTION', `Unknown exec mode ${execMode} (expected ${EXEC_MODES.join(', ')})`);
+  }
+
+  const interpreter = resolveInterpreter(script, options.interpreter);
+  if (execMode === 'cluster' && !isNodeInterpreter(interpreter)) {
+    throw createError('INVALID_OPTION', 'Cluster mode only supports Node.js scripts');
+  }
+
+  const args = isSet(options.args) ? parseArgs(options.args) : [];
+  const nodeArgs = isSet(options.nodeArgs) ? parseArgs(options.nodeArgs) : [];
+
+  // Fails early for a binary that cannot be executed
+  buildCommand({ script: path.resolve(script), interpreter, nodeArgs, args });
+
+  const watch = parseWatch(options.watch);
+  const limits = parseLimits(options);
+  const checks = parseChecks(options);
+
+  // Unset log options are stored as null so that the global settings keep applying
+  const logOptions = LOG_FIELDS.reduce((fields, key) => {
+    fields[key] = options[key] !== undefined && options[key] !== '' ? options[key] : null;
+    return fields;
+  }, {});
+  resolveRotation(readSettings(), logOptions);
+  resolveLogFormat(readSettings(), logOptions);
+
+  return {
+    script: path.resolve(script),
+    cwd: options.cwd || path.dirname(path.resolve(script)),
+    args,
+    interpreter,
+    nodeArgs,
+    logFile: options.logFile || path.join(LOG_DIR, `${name}.log`),
+    errorLogFile: options.errorLogFile || path.join(LOG_DIR, `${name}-error.log`),
+    execMode,
+    instances: resolveInstances(options.instances),
+    restartPolicy: policy,
+    minUptime: parseNumber(options.minUptime, DEFAULT_MIN_UPTIME),
+    maxRestarts: parseNumber(options.maxRestarts, DEFAULT_MAX_RESTARTS),
+    restartDelay: parseNumber(options.restartDelay, DEFAULT_RESTART_DELAY),
+    listenTimeout: parseNumber(options.listenTimeout, DEFAULT_LISTEN_TIMEOUT),
+    ...logOptions,
+    watch,
+    ignoreWatch: options.ignoreWatch ? parseList(options.ignoreWatch) : null,
+    watchDelay: options.watchDelay !== undefined && options.watchDelay !== null ? parseNumber(options.watchDelay, DEFAULT_WATCH_DELAY) : null,
+    ...limits,
+    killSignal: isSet(options.killSignal) ? parseSignal(options.killSignal) : DEFAULT_KILL_SIGNAL,
+    killTimeout: parseNumber(options.killTimeout, DEFAULT_KILL_TIMEOUT),
+    shutdownWithMessage: options.shutdownWithMessage === true || options.shutdownWithMessage === 'true',
+    ...checks,
+    hooks: parseHooks(options.hooks, { timeout: options.hookTimeout, retries: options.hookRetries }, options.cwd || path.dirname(path.resolve(script))),
+    ...parseLabels(options),
+    env: options.env || {}
+  };
+};
+
+// Create and launch the process entry of one instance
+const createInstance = async (name, definition, instance) => {
+  const processInfo = {
+    id: generateId(),
+    name,
+    pid: null,
+    ...definition,
+    status: launchStatus(definition),
+    instance,
+    restarts: 0,
+    memory: 0,
+    rss: 0,
+    threads: 0,
+    fds: 0,
+    readBytes: 0,
+    writeBytes: 0,
+    cpu: 0,
+    lastRestartReason: null,
+    lastStop: null,
+    lastExit: null,
+    startedAt: null,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+
+  // Saved first, keeping its ID while the pre_start hooks run; listeners of the start event, such as the watchers,
+  // read the process list
+  modifyProcesses(processes => processes.push(processInfo));
+
+  try {
+    const pid = await launch(processInfo);
+    const started = updateProcess(processInfo.id, { pid, startedAt: new Date().toISOString() });
+    log(`Process ${name} (id: ${processInfo.id}, instance: ${instance}, pid: ${pid}) started`);
+    emitEvent('start', started);
+    return started;
+  } catch (error) {
+    if (error.code === 'LAUNCH_CANCELLED') {
+      log(error.message);
+      return readProcesses().find(p => p.id === processInfo.id) || { ...processInfo, status: 'stopped' };
+    }
+    log(`Error starting process ${name} (instance: ${instance}): ${error.message}`);
+    return updateProcess(processInfo.id, exitedState('errored'));
+  }
+};
+
+// Start a GTR application, one process entry per instance
+const startGTR = async (name, script, options = {}) => {
+  checkName(name);
+  const definition = buildDefinition(name, script, options);
+
+  // Check if there's already a process with the same name
+  if (readProcesses().some(p => p.name === name && RUNNING_STATUSES.includes(p.status))) {
+    throw createError('ALREADY_RUNNING', `Process ${name} is already running. Use restart instead.`);
+  }
+
+  // Every entry is saved as soon as its instance is created, so the instances get distinct IDs while their hooks run
+  const started = [];
+
+  for (let instance = 0; instance < definition.instances; instance++) {
+    started.push(createInstance(name, definition, instance));
+  }
+
+  return Promise.all(started);
+};
+
+// Stop a GTR application and wait for its process group to exit, resolving to whether it had to be killed
+// (null when it was not running)
+const stopGTR = (id) => new Promise((resolve) => {
+  const entry = supervised.get(id);
+
+  // Cancel a pending automatic restart
+  if (entry && entry.restartTimer) {
+    clearTimeout(entry.restartTimer);
+    supervised.delete(id);
+  }
+
+  // Already stopping, possibly waiting for the rest of its group
+  if (entry && entry.stopping) {
+    entry.exitWaiters.push(resolve);
+    return;
+  }
+
+  if (!entry || !entry.pid || !isProcessRunning(entry.pid)) {
+    const processInfo = readProcesses().find(p => p.id === id);
+    if (processInfo && (processInfo.status !== 'stopped' || processInfo.lastStop)) {
+      const stopped = updateProcess(id, exitedState('stopped', { lastStop: null }));
+      if (processInfo.status !== 'stopped') {
+        emitEvent('stop', stopped);
+      }
+    }
+    resolve(null);
+    return;
+  }
+
+  entry.exitWaiters.push(resolve);
+
+  // Checks must not restart a process that is being stopped
+  clearHealthChecks(entry);
+  entry.unhealthy = null;
+
+  const stopping = updateProcess(id, { status: 'stopping' });
+  fireHook('pre_stop', stopping);
+
+  const settings = getStopSettings(stopping);
+  entry.stopping = true;
+  entry.forced = false;
+  entry.stopDeadline = Date.now() + settings.timeout;
+
+  requestShutdown(entry.pid, entry.child, settings);
+
+  entry.killTimer = setTimeout(() => {
+    log(`Process ${id} did not exit after ${settings.timeout}ms, sending SIGKILL`);
+    entry.forced = true;
+    signalProcess(entry.pid, 'SIGKILL', settings.group);
+  }, settings.timeout);
+});
+
+// Restart a GTR application, keeping its ID and metadata; the reason and its details are reported with the event
+const restartGTR = async (id, reason = 'manual', details = {}) => {
+  await stopGTR(id);
+
+  const processInfo = readProcesses().find(p => p.id === id);
+  if (!processInfo) {
+    throw new Error(`Process info for ${id} was lost during restart`);
+  }
+
+  if (!fs.existsSync(processInfo.script)) {
+    throw createError('SCRIPT_NOT_FOUND', `Script ${processInfo.script} does not exist`);
+  }
+
+  getEntry(id).unstableRestarts = 0;
+
+  // Marked as restarting while the pre_start hooks run, a stop in the meantime cancelling the restart
+  updateProcess(id, { status: 'restarting' });
+  let pid;
+  try {
+    pid = await launch(processInfo);
+  } catch (error) {
+    if (error.code !== 'LAUNCH_CANCELLED') {
+      updateProcess(id, exitedState('stopped'));
+    }
+    throw error;
+  }
+  log(`Process ${processInfo.name} (id: ${id}, pid: ${pid}) restarted`);
+  const restarted = updateProcess(id, { pid, startedAt: new Date().toISOString(), status: launchStatus(processInfo), restarts: (processInfo.restarts || 0) + 1, lastRestartReason: reason });
+  emitEvent('restart', restarted, { reason, ...details });
+  return restarted;
+};
+
+// Replace the process of one instance, starting the new process before stopping the old one
+const reloadInstance = async (processInfo) => {
+  const entry = getEntry(processInfo.id);
+  const listenTimeout = processInfo.listenTimeout !== undefined ? processInfo.listenTimeout : DEFAULT_LISTEN_TIMEOUT;
+
+  // Fork mode instances cannot share a port with their replacement, so they are restarted in turn
+  if (processInfo.execMode !== 'cluster' || processInfo.status !== 'online' || !entry.child) {
+    const restarted = await restartGTR(processInfo.id);
+    const child = getEntry(processInfo.id).child;
+
+    try {
+      if (!child) {
+        throw new Error('exited before it was ready');
+      }
+      await waitForReady(child, listenTimeout);
+    } catch (error) {
+      throw new Error(`Restarted process ${restarted.pid} ${error.message}`);
+    }
+
+    return restarted;
+  }
+
+  await runPreStart(processInfo);
+  const child = spawnChild(processInfo);
+
+  try {
+    await waitForReady(child, listenTimeout);
+  } catch (error) {
+    throw new Error(`New process ${child.pid} ${error.message}, keeping pid ${entry.pid}`);
+  }
+
+  const previous = entry.child;
+  clearTimeout(entry.restartTimer);
+  entry.restartTimer = null;
+  entry.unstableRestarts = 0;
+  const pid = attachChild(processInfo, child, true);
+  const updated = updateProcess(processInfo.id, { pid, startedAt: new Date().toISOString(), status: 'online', restarts: (processInfo.restarts || 0) + 1, lastRestartReason: 'reload' });
+
+  if (previous) {
+    await terminateChild(previous, processInfo);
+  }
+
+  log(`Process ${processInfo.name} (id: ${processInfo.id}, pid: ${pid}) reloaded`);
+  emitEvent('reload', updated);
+  return updated;
+};
+
+// Reload the instances of an application one at a time, stopping at the first failure
+const reloadGTR = async (processes) => {
+  const results = [];
+
+  for (const processInfo of processes) {
+    try {
+      results.push({ ...(await reloadInstance(processInfo)), reloaded: true });
+    } catch (error) {
+      log(`Reload of process ${processInfo.name} (id: ${processInfo.id}) failed: ${error.message}`);
+      results.push({ ...readProcesses().find(p => p.id === processInfo.id), reloaded: false, error: error.message });
+      break;
+    }
+  }
+
+  return results;
+};
+
+// Remove a GTR application from the process list
+const deleteGTR = async (id, stop = true) => {
+  if (stop) {
+    await stopGTR(id);
+  }
+
+  supervised.delete(id);
+  const deleted = modifyProcesses((processes) => {
+    const index = processes.findIndex(p => p.id === id);
+    return index === -1 ? null : processes.splice(index, 1)[0];
+  });
+  clearHistory(id);
+  emitEvent('delete', deleted);
+  return deleted;
+};
+
+// Bring one declared application in line with its declaration
+const applyApp = async ({ name, script, options }) => {
+  const definition = buildDefinition(name, script, options);
+  const existing = readProcesses().filter(p => p.name === name);
+
+  if (existing.length === 0) {
+    return { name, action: 'created', processes: await startGTR(name, script, options) };
+  }
+
+  const changed = existing.some(p =>
+    DEFINITION_FIELDS.some(key => JSON.stringify(p[key]) !== JSON.stringify(definition[key]))
+  );
+
+  if (changed) {
+    // A different exec mode needs a fresh set of instances
+    if (existing.some(p => p.execMode !== definition.execMode)) {
+      await Promise.all(existing.map(p => deleteGTR(p.id)));
+      return { name, action: 'updated', processes: await startGTR(name, script, options) };
+    }
+
+    const reconfigured = existing.some(p =>
+      DEFINITION_FIELDS.some(key => key !== 'instances' && JSON.stringify(p[key]) !== JSON.stringify(definition[key]))
+    );
+
+    // Instances added by scaling copy the updated definition
+    if (reconfigured) {
+      existing.forEach(p => updateProcess(p.id, { ...definition, instances: existing.length }));
+    }
+
+    // A different instance count only adds or removes instances, the others keep running
+    if (existing.length !== definition.instances) {
+      await scaleGTR(name, definition.instances);
+    }
+
+    if (reconfigured) {
+      const kept = readProcesses().filter(p => existing.some(e => e.id === p.id));
+      await Promise.all(kept.map(p => restartGTR(p.id)));
+    }
+
+    return { name, action: 'updated', processes: readProcesses().filter(p => p.name === name) };
+  }
+
+  const stopped = existing.filter(p => !RUNNING_STATUSES.includes(p.status));
+  if (stopped.length === 0) {
+    return { name, action: 'unchanged', processes: existing };
+  }
+
+  await Promise.all(stopped.map(p => restartGTR(p.id)));
+  return { name, action: 'started', processes: readProcesses().filter(p => p.name === name) };
+};
+
+// Bring every application declared in a config file in line with its declaration
+const applyApps = async (apps) => {
+  const results = [];
+
+  for (const app of apps) {
+    try {
+      results.push(await applyApp(app));
+    } catch (error) {
+      log(`Error applying config of ${app.name}: ${error.message}`);
+      results.push({ name: app.name, action: 'failed', error: error.message, processes: [] });
+    }
+  }
+
+  return results;
+};
+
+// Helper function to resolve the identifiers sent by a client to every matching process, within a namespace and tags
+const resolveProcesses = (identifier, filters = {}) => selectProcesses(readProcesses(), identifier, filters);
+
+// Scale an application to a number of instances, '+N' and '-N' being relative to the current count
+const scaleGTR = async (name, count) => {
+  const processes = readProcesses()
+    .filter(p => p.name === name)
+    .sort((a, b) => (a.instance || 0) - (b.instance || 0));
+
+  if (processes.length === 0) {
+    throw createError('PROCESS_NOT_FOUND', `Process ${name} not found`);
+  }
+
+  const current = processes.length;
+  const target = /^[+-]/.test(String(count)) ? current + parseInt(count, 10) : resolveInstances(count);
+
+  if (isNaN(target) || target < 1) {
+    throw createError('INVALID_OPTION', `Invalid instance count ${count} (an application needs at least one instance)`);
+  }
+
+  if (target > current) {
+    const definition = DEFINITION_FIELDS.reduce((fields, key) => {
+      fields[key] = processes[0][key];
+      return fields;
+    }, {});
+    definition.instances = target;
+
+    let instance = Math.max(...processes.map(p => p.instance || 0));
+    const added = [];
+    for (let count = current; count < target; count++) {
+      added.push(createInstance(name, definition, ++instance));
+    }
+    await Promise.all(added);
+  } else if (target < current) {
+    await Promise.all(processes.slice(target).map(p => deleteGTR(p.id)));
+  }
+
+  const scaled = readProcesses().filter(p => p.name === name);
+  scaled.forEach(p => updateProcess(p.id, { instances: target }));
+  log(`Process ${name} scaled from ${current} to ${target} instances`);
+
+  return readProcesses().filter(p => p.name === name);
+};
+
+// Remove every stopped or errored process from the list
+const pruneGTR = () => {
+  const pruned = modifyProcesses((processes) => {
+    const stopped = processes.filter(p => p.status === 'stopped' || p.status === 'errored');
+    processes.splice(0, processes.length, ...processes.filter(p => !stopped.includes(p)));
+    return stopped;
+  });
+
+  pruned.forEach(p => supervised.delete(p.id));
+  syncWatchers();
+  return pruned;
+};
+
+// Keep the watchers in line with the process list as applications come and go
+bus.on('event', (payload) => {
+  if (['start', 'restart', 'delete'].includes(payload.event)) {
+    // A watcher that cannot be set up must not fail the start or restart that triggered it
+    try {
+      syncWatchers();
+    } catch (error) {
+      log(`Error updating watchers: ${error.message}`);
+    }
+  }
+});
+
+// Statuses of a saved process meaning that it was meant to be running
+const RESURRECT_STATUSES = [...RUNNING_STATUSES, 'restarting'];
+
+// Delay letting a burst of changes, e.g. every instance of an application starting, make a single automatic save
+const AUTO_SAVE_DELAY = 1000;
+let autoSaveTimer = null;
+
+// Set while every process is stopped for the daemon to exit, which must not be saved as the intended state
+let shuttingDown = false;
+
+// Helper function to clear the runtime state of a process entry: its PID, start time and metrics
+const clearRuntime = processInfo => METRIC_FIELDS.reduce((fields, key) => ({ ...fields, [key]: 0 }), { ...processInfo, pid: null, startedAt: null });
+
+// Save the process list for resurrect, in the dump history too unless history is false
+const saveGTR = ({ history = true } = {}) => writeDump(readProcesses().map(clearRuntime), { history });
+
+// Keep every lifecycle event in the journal of its application
+bus.on('event', (payload) => {
+  try {
+    recordEvent(payload);
+  } catch (error) {
+    log(`Error writing the event journal of ${payload.process.name}: ${error.message}`);
+  }
+});
+
+// Save the process list shortly after its processes changed, when autoSave is set
+bus.on('event', () => {
+  if (autoSaveTimer || shuttingDown || !readSettings().autoSave) {
+    return;
+  }
+
+  autoSaveTimer = setTimeout(() => {
+    autoSaveTimer = null;
+    if (shuttingDown) {
+      return;
+    }
+    try {
+      saveGTR({ history: false });
+    } catch (error) {
+      log(`Error saving the process list: ${error.message}`);
+    }
+  }, AUTO_SAVE_DELAY);
+});
+
+// Helper function to restore one saved process, keeping its ID and metadata unless another process took its ID
+const resurrectProcess = async (saved) => {
+  const result = { id: saved.id, name: saved.name, instance: saved.instance || 0 };
+
+  if (!RESURRECT_STATUSES.includes(saved.status)) {
+    return { ...result, action: 'skipped', message: `was ${saved.status} when saved` };
+  }
+
+  // The saved process, or the same instance of the application under another ID
+  const processes = readProcesses();
+  const sameId = processes.find(p => p.id === saved.id);
+  const current = sameId && sameId.name === saved.name
+    ? sameId
+    : processes.find(p => p.name === saved.name && (p.instance || 0) === result.instance);
+
+  if (current && (RESURRECT_STATUSES.includes(current.status) || current.status === 'stopping')) {
+    return { ...result, id: current.id, pid: current.pid, action: 'running', message: 'already running' };
+  }
+
+  if (!fs.existsSync(saved.script)) {
+    return { ...result, action: 'failed', message: `script ${saved.script} not found` };
+  }
+
+  let id = saved.id;
+  let message = null;
+  if (current) {
+    id = current.id;
+  } else if (sameId) {
+    id = generateId(processes);
+    message = `ID ${saved.id} belongs to ${sameId.name}, restored as ${id}`;
+  }
+
+  const processInfo = {
+    ...clearRuntime(saved),
+    id,
+    status: launchStatus(saved),
+    lastStop: null,
+    updatedAt: new Date().toISOString()
+  };
+
+  // Saved first, keeping its ID while the pre_start hooks run
+  modifyProcesses((all) => {
+    const index = all.findIndex(p => p.id === id);
+    if (index === -1) {
+      all.push(processInfo);
+    } else {
+      all[index] = processInfo;
+    }
+  });
+
+  let restored;
+  try {
+    const pid = await launch(processInfo);
+    restored = updateProcess(id, { pid, startedAt: new Date().toISOString() });
+  } catch (error) {
+    if (error.code === 'LAUNCH_CANCELLED') {
+      return { ...result, id, action: 'skipped', message: 'stopped before it started' };
+    }
+    updateProcess(id, exitedState('errored'));
+    log(`Error resurrecting process ${saved.name} (id: ${id}): ${error.message}`);
+    return { ...result, id, action: 'failed', message: error.message };
+  }
+
+  log(`Process ${saved.name} (id: ${id}, instance: ${result.instance}, pid: ${restored.pid}) resurrected`);
+  emitEvent('start', restored);
+  return { ...result, id, pid: restored.pid, action: 'restored', message };
+};
+
+// Restore the saved processes that were running, resolving to the result of each: restored, running, skipped or
+// failed. Each entry is saved before the next one is looked at, so IDs are given out in order
+const resurrectGTR = (saved) => Promise.all([...saved]
+  .sort((a, b) => a.id - b.id)
+  .map(processInfo => resurrectProcess(processInfo)));
+
+// Refresh the metrics of the running processes, resolving to the updated entries and their samples
+const sampleProcesses = async (processes) => {
+  const pids = processes.filter(p => p.status !== 'stopped' && p.status !== 'errored' && p.pid).map(p => p.pid);
+
+  if (pids.length === 0) {
+    return { processes, usage: new Map() };
+  }
+
+  const usage = await readUsage(pids);
+  const ids = processes.map(p => p.id);
+
+  const updated = modifyProcesses(all => all.filter(p => ids.includes(p.id)).map((processInfo) => {
+    const sample = usage.get(processInfo.pid);
+    if (sample) {
+      METRIC_FIELDS.forEach((key) => {
+        processInfo[key] = sample[key];
+      });
+    }
+    return processInfo;
+  }));
+
+  return { processes: updated, usage };
+};
+
+// Refresh the metrics of the running processes, resolving to the updated entries
+const sampleUsage = async (processes) => (await sampleProcesses(processes)).processes;
+
+// Helper function to tell which limit of a process was crossed, if any
+const findExceededLimit = (processInfo, entry, sample) => {
+  if (processInfo.maxMemoryRestart && sample.rss > processInfo.maxMemoryRestart) {
+    return {
+      reason: 'max-memory',
+      message: `memory ${formatMegabytes(sample.rss)} above the ${formatMegabytes(processInfo.maxMemoryRestart)} limit`
+    };
+  }
+
+  if (!processInfo.maxCpuRestart || isNaN(sample.cpuTime)) {
+    return null;
+  }
+
+  // The CPU usage over the window is the CPU time used during it
+  const duration = parseNumber(processInfo.maxCpuDuration, DEFAULT_MAX_CPU_DURATION);
+  const now = Date.now();
+  entry.cpuSamples = (entry.cpuSamples || []).concat({ time: now, cpuTime: sample.cpuTime });
+
+  while (entry.cpuSamples.length > 1 && now - entry.cpuSamples[1].time >= duration) {
+    entry.cpuSamples.shift();
+  }
+
+  const [oldest] = entry.cpuSamples;
+  const elapsed = now - oldest.time;
+  if (elapsed < duration) {
+    return null;
+  }
+
+  const cpu = ((sample.cpuTime - oldest.cpuTime) * 1000 / elapsed) * 100;
+  if (cpu <= processInfo.maxCpuRestart) {
+    return null;
+  }
+
+  return {
+    reason: 'max-cpu',
+    message: `CPU ${cpu.toFixed(0)}% above the ${processInfo.maxCpuRestart}% limit for ${Math.round(elapsed / 1000)}s`
+  };
+};
+
+// Gracefully restart the sampled processes that crossed their memory or CPU limit
+const checkLimits = (processes, usage) => {
+  processes.forEach((processInfo) => {
+    const entry = supervised.get(processInfo.id);
+    const sample = usage.get(processInfo.pid);
+
+    if (!processInfo.maxMemoryRestart && !processInfo.maxCpuRestart) {
+      return;
+    }
+    if (!entry || !sample || entry.stopping || entry.limitRestart || entry.pid !== processInfo.pid) {
+      return;
+    }
+
+    const exceeded = findExceededLimit(processInfo, entry, sample);
+    if (!exceeded) {
+      return;
+    }
+
+    log(`Process ${processInfo.name} (id: ${processInfo.id}, pid: ${processInfo.pid}) ${exceeded.message}, restarting`);
+
+    // Limit restarts count with crashes: a process over its limit as soon as it could be checked did not run stably
+    const settings = getRestartSettings(processInfo);
+    const uptime = Date.now() - entry.startedAt;
+    const detection = exceeded.reason === 'max-cpu' ? parseNumber(processInfo.maxCpuDuration, DEFAULT_MAX_CPU_DURATION) : 0;
+    entry.unstableRestarts = uptime < Math.max(settings.minUptime, detection + 2 * METRICS_INTERVAL) ? entry.unstableRestarts + 1 : 0;
+
+    const { pid } = entry;
+    entry.limitRestart = true;
+    stopGTR(processInfo.id)
+      .then(() => {
+        // Deleted while it was stopping
+        if (!readProcesses().some(p => p.id === processInfo.id)) {
+          return;
+        }
+
+        if (entry.unstableRestarts > settings.maxRestarts) {
+          log(`Process ${processInfo.name} (id: ${processInfo.id}) went over its limits ${entry.unstableRestarts} times in a row, giving up`);
+          giveUpRestarting(entry, pid, { reason: exceeded.reason, message: exceeded.message, uptime, restarts: entry.unstableRestarts });
+          return;
+        }
+
+        scheduleRestart(entry, processInfo.name, settings, exceeded.reason, { message: exceeded.message });
+      })
+      .catch(error => log(`Error restarting process ${processInfo.name}: ${error.message}`))
+      .then(() => {
+        entry.limitRestart = false;
+      });
+  });
+};
+
+// Sample every running process, add the samples to their history, then check their limits
+const collectMetrics = async () => {
+  const running = readProcesses().filter(p => RUNNING_STATUSES.includes(p.status));
+  if (running.length === 0) {
+    return;
+  }
+
+  const { processes, usage } = await sampleProcesses(running);
+  const timestamp = new Date().toISOString();
+
+  processes.forEach((processInfo) => {
+    const sample = usage.get(processInfo.pid);
+    if (sample) {
+      recordSample(processInfo.id, METRIC_FIELDS.reduce((fields, key) => ({ ...fields, [key]: sample[key] }), { timestamp }));
+    }
+  });
+
+  checkLimits(processes, usage);
+};
+
+// Get the metric history of some processes, oldest samples first
+const getMetrics = (processes) => processes.map(processInfo => ({
+  id: processInfo.id,
+  name: processInfo.name,
+  instance: processInfo.instance,
+  samples: getHistory(processInfo.id)
+}));
+
+// Sample some processes, resolving to their entries with their CPU time, uptime, reported metrics and exit counts
+const getStats = async (processes) => {
+  const { processes: sampled, usage } = await sampleProcesses(processes);
+
+  return sampled.map((processInfo) => {
+    const entry = supervised.get(processInfo.id);
+    const running = RUNNING_STATUSES.includes(processInfo.status) && entry && entry.startedAt;
+    const sample = usage.get(processInfo.pid);
+    const report = running ? getReport(processInfo.id, processInfo.pid) : null;
+
+    return {
+      ...processInfo,
+      uptime: running ? Date.now() - entry.startedAt : null,
+      cpuTime: sample && !isNaN(sample.cpuTime) ? sample.cpuTime : null,
+      eventLoopLag: report && report.eventLoopLag !== undefined ? report.eventLoopLag : null,
+      exits: getExits(processInfo.id)
+    };
+  });
+};
+
+// Apply the current global settings to the log files being written
+const applyLogSettings = () => {
+  readProcesses().forEach((processInfo) => {
+    const rotation = getRotation(processInfo);
+    configureLogWriter(processInfo.logFile, rotation);
+    configureLogWriter(processInfo.errorLogFile, rotation);
+  });
+};
+
+// Rotate the log files of every process matching an identifier now
+const rotateLogs = async (identifier) => {
+  const files = new Set();
+  resolveProcesses(identifier).forEach(p => files.add(p.logFile).add(p.errorLogFile));
+
+  const rotated = await Promise.all([...files].map(file => rotateLogFile(file)));
+  return rotated.filter(Boolean);
+};
+
+// Helper function to get the watch settings of an application with defaults applied
+const getWatchSettings = (processInfo) => ({
+  cwd: processInfo.cwd,
+  paths: Array.isArray(processInfo.watch) ? processInfo.watch : ['.'],
+  // The daemon writes the log files, which must not trigger restarts of their own
+  ignore: [...(processInfo.ignoreWatch || DEFAULT_IGNORE_WATCH), LOG_DIR, processInfo.logFile, processInfo.errorLogFile],
+  delay: parseNumber(processInfo.watchDelay, DEFAULT_WATCH_DELAY)
+});
+
+// Restart the instances of a watched application after its files changed, except the ones stopped on purpose
+const restartWatched = async (name, files) => {
+  const state = watchers.get(name);
+
+  // Changes made during a restart cause one more restart once it is done
+  if (state.busy) {
+    state.pending = files;
+    return;
+  }
+
+  state.busy = true;
+  const shown = files.slice(0, 3).join(', ') + (files.length > 3 ? ` and ${files.length - 3} more` : '');
+  log(`Change detected in ${name} (${shown}), restarting`);
+
+  const processes = readProcesses().filter(p => p.name === name && p.status !== 'stopped' && p.status !== 'stopping');
+  await Promise.all(processes.map(p => restartGTR(p.id, 'watch').catch((error) => {
+    log(`Error restarting process ${name} (id: ${p.id}) after a change: ${error.message}`);
+  })));
+
+  state.busy = false;
+  if (state.pending && watchers.get(name) === state) {
+    const pending = state.pending;
+    state.pending = null;
+    restartWatched(name, pending);
+  }
+};
+
+// Start, stop or update the watchers so that they match the applications in watch mode
+const syncWatchers = () => {
+  const wanted = new Map();
+  readProcesses().filter(p => p.watch).forEach((processInfo) => {
+    if (!wanted.has(processInfo.name)) {
+      wanted.set(processInfo.name, getWatchSettings(processInfo));
+    }
+  });
+
+  watchers.forEach((state, name) => {
+    const settings = wanted.get(name);
+    if (!settings || JSON.stringify(settings) !== state.key) {
+      state.watcher.close();
+      watchers.delete(name);
+    }
+  });
+
+  wanted.forEach((settings, name) => {
+    if (watchers.has(name)) {
+      return;
+    }
+
+    const state = { key: JSON.stringify(settings), busy: false, pending: null };
+    state.watcher = createWatcher(
+      settings,
+      files => restartWatched(name, files),
+      error => log(`Watch error for ${name}: ${error.message}`)
+    );
+    watchers.set(name, state);
+    log(`Watching ${settings.paths.join(', ')} for ${name}`);
+  });
+};
+
+// Turn watch mode on (true or the paths to watch) or off for the applications matching an identifier
+const setWatch = (identifier, watch) => {
+  const names = new Set(resolveProcesses(identifier).map(p => p.name));
+  const value = parseWatch(watch);
+
+  modifyProcesses((processes) => {
+    processes.filter(p => names.has(p.name)).forEach((processInfo) => {
+      processInfo.watch = value;
+      processInfo.updatedAt = new Date().toISOString();
+    });
+  });
+
+  syncWatchers();
+  return readProcesses().filter(p => names.has(p.name));
+};
+
+// Stop every supervised process for the daemon to exit
+const stopAll = () => {
+  shuttingDown = true;
+  return Promise.all([...supervised.keys()].map(id => stopGTR(id)));
+};
+
+module.exports = {
+  bus,
+  log,
+  adoptProcesses,
+  pollAdopted,
+  startGTR,
+  stopGTR,
+  restartGTR,
+  reloadGTR,
+  deleteGTR,
+  applyApps,
+  scaleGTR,
+  pruneGTR,
+  saveGTR,
+  resurrectGTR,
+  sampleUsage,
+  collectMetrics,
+  getMetrics,
+  getStats,
+  applyLogSettings,
+  rotateLogs,
+  syncWatchers,
+  setWatch,
+  stopAll,
+  resolveProcesses,
+  ADOPT_POLL_INTERVAL,
+  METRICS_INTERVAL
+};
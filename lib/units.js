@@ -0,0 +1,24 @@
+/**
+ * GTR Manager - Sizes shared by the log and memory options
+ */
+
+const { createError } = require('./errors');
+
+const SIZE_UNITS = { K: 1024, M: 1024 ** 2, G: 1024 ** 3 };
+
+// Parse a size such as 10485760, '500K', '10M' or '1G' into bytes
+const parseSize = (value) => {
+  const match = /^(\d+(?:\.\d+)?)\s*([KMG])?B?$/i.exec(String(value).trim());
+  if (!match) {
+    throw createError('INVALID_OPTION', `Invalid size ${value} (expected bytes or a number followed by K, M or G)`);
+  }
+  return Math.floor(parseFloat(match[1]) * (match[2] ? SIZE_UNITS[match[2].toUpperCase()] : 1));
+};
+
+// Format a number of bytes in megabytes, the unit memory is shown in
+const formatMegabytes = (bytes) => `${((bytes || 0) / SIZE_UNITS.M).toFixed(1)} MB`;
+
+module.exports = {
+  parseSize,
+  formatMegabytes
+};
@@ -0,0 +1,157 @@
+/**
+ * GTR Manager - Source file watcher
+ * Reports changes under the watched paths of an application, once per burst of changes
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Ignored unless the application says otherwise
+const DEFAULT_IGNORE_WATCH = ['node_modules', '.git'];
+
+// Time without changes to wait for before reporting a burst of changes
+const DEFAULT_WATCH_DELAY = 1000;
+
+// Helper function to compile a glob ('*', '**' and '?') into a regular expression
+const globToRegExp = (glob) => {
+  const source = glob
+    .split(/(\*\*\/?|\*|\?)/)
+    .map((part) => {
+      if (part === '**' || part === '**/') {
+        return '(?:.*/)?' + (part === '**' ? '.*' : '');
+      }
+      if (part === '*') {
+        return '[^/]*';
+      }
+      if (part === '?') {
+        return '[^/]';
+      }
+      return part.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+
+  return new RegExp(`^${source}$`);
+};
+
+// Create a matcher telling whether a path is ignored: absolute paths ignore everything below them,
+// patterns without a slash match any path segment, and other patterns match the path relative to cwd
+const createIgnoreMatcher = (cwd, ignore) => {
+  const absolute = ignore.filter(pattern => path.isAbsolute(pattern)).map(pattern => path.resolve(pattern));
+  const segments = ignore.filter(pattern => !path.isAbsolute(pattern) && !pattern.includes('/')).map(globToRegExp);
+  const relative = ignore.filter(pattern => !path.isAbsolute(pattern) && pattern.includes('/')).map(globToRegExp);
+
+  return (file) => {
+    if (absolute.some(dir => file === dir || file.startsWith(`${dir}${path.sep}`))) {
+      return true;
+    }
+
+    const parts = path.relative(cwd, file).split(path.sep);
+    if (parts.some(part => segments.some(regex => regex.test(part)))) {
+      return true;
+    }
+
+    // A directory matching a pattern ignores everything below it
+    return parts.some((part, index) => {
+      const prefix = parts.slice(0, index + 1).join('/');
+      return relative.some(regex => regex.test(prefix) || regex.test(`${prefix}/`));
+    });
+  };
+};
+
+// Watch paths and call onChange with the changed files once no change happened for `delay` milliseconds
+const createWatcher = ({ cwd, paths, ignore, delay }, onChange, onError = () => {}) => {
+  const isIgnored = createIgnoreMatcher(cwd, ignore);
+  const changed = new Set();
+  const watchers = [];
+  const watchedDirs = new Set();
+  let timer = null;
+
+  // Helper function to report a changed file once the burst of changes is over
+  const record = (file) => {
+    changed.add(file);
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      const files = [...changed];
+      changed.clear();
+      onChange(files);
+    }, delay);
+  };
+
+  // Helper function to watch a file or a directory, whose changes are reported relative to base
+  const watchTarget = (target, { recursive, base, onEntry = () => {} }) => {
+    const watcher = fs.watch(target, { recursive, persistent: false }, (eventType, filename) => {
+      const file = filename ? path.resolve(base, filename.toString()) : target;
+      if (isIgnored(file)) {
+        return;
+      }
+
+      onEntry(file);
+      record(file);
+    });
+
+    watcher.on('error', onError);
+    watchers.push(watcher);
+  };
+
+  // Helper function to watch a directory and every directory below it one by one, where fs.watch cannot watch a
+  // tree (Linux before Node.js 19.1); directories created later are watched as they appear
+  const watchTree = (dir) => {
+    if (watchedDirs.has(dir)) {
+      return;
+    }
+    watchedDirs.add(dir);
+
+    watchTarget(dir, {
+      recursive: false,
+      base: dir,
+      onEntry: (file) => {
+        try {
+          if (fs.statSync(file).isDirectory()) {
+            watchTree(file);
+          }
+        } catch (error) {
+          // Removed since
+        }
+      }
+    });
+
+    fs.readdirSync(dir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .map(entry => path.join(dir, entry.name))
+      .filter(subdir => !isIgnored(subdir))
+      .forEach(watchTree);
+  };
+
+  paths.map(watchPath => path.resolve(cwd, watchPath)).forEach((target) => {
+    try {
+      if (!fs.statSync(target).isDirectory()) {
+        watchTarget(target, { recursive: false, base: path.dirname(target) });
+        return;
+      }
+
+      try {
+        watchTarget(target, { recursive: true, base: target });
+      } catch (error) {
+        if (error.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') {
+          throw error;
+        }
+        watchTree(target);
+      }
+    } catch (error) {
+      onError(new Error(`Cannot watch ${target}: ${error.message}`));
+    }
+  });
+
+  return {
+    close: () => {
+      clearTimeout(timer);
+      watchers.forEach(watcher => watcher.close());
+    }
+  };
+};
+
+module.exports = {
+  DEFAULT_IGNORE_WATCH,
+  DEFAULT_WATCH_DELAY,
+  createWatcher
+};
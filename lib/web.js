@@ -0,0 +1,257 @@
+/**
+ * GTR Manager - HTTP server
+ * JSON REST API over the daemon, live logs through Server-Sent Events, and the web dashboard
+ */
+
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const api = require('./api');
+const { createError } = require('./errors');
+const { getLogSources, queryLogs, toJSONEntry } = require('./log-query');
+const { CONTENT_TYPE, formatMetrics } = require('./prometheus');
+
+const DEFAULT_WEB_PORT = 9615;
+const DEFAULT_WEB_HOST = '127.0.0.1';
+
+// Largest request body accepted, start options being small
+const MAX_BODY_SIZE = 1024 * 1024;
+
+// Comment sent to idle log streams so that proxies keep them open
+const HEARTBEAT_INTERVAL = 15000;
+
+const DASHBOARD_FILE = path.join(__dirname, 'web-dashboard.html');
+
+// HTTP status of every error code, anything else being a server error
+const HTTP_STATUSES = {
+  PROCESS_NOT_FOUND: 404,
+  SCRIPT_NOT_FOUND: 400,
+  INVALID_OPTION: 400,
+  INVALID_PARAMS: 400,
+  PARSE_ERROR: 400,
+  ALREADY_RUNNING: 409,
+  UNAUTHORIZED: 401,
+  FORBIDDEN: 403,
+  NOT_FOUND: 404,
+  PAYLOAD_TOO_LARGE: 413,
+  UNSUPPORTED_MEDIA_TYPE: 415
+};
+
+// Check whether a host only accepts connections from this machine
+const isLoopbackHost = (host) => ['127.0.0.1', '::1', 'localhost'].includes(host) || /^127\./.test(host);
+
+// Helper function to send a JSON response
+const sendJSON = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+};
+
+// Helper function to send an error as { error: { code, message } }
+const sendError = (res, error) => {
+  const code = HTTP_STATUSES[error.code] ? error.code : 'INTERNAL_ERROR';
+  sendJSON(res, HTTP_STATUSES[code] || 500, { error: { code, message: error.message } });
+};
+
+// Helper function to read a JSON request body, an empty body being {}
+const readBody = (req) => new Promise((resolve, reject) => {
+  let body = '';
+  req.setEncoding('utf8');
+
+  req.on('data', (chunk) => {
+    body += chunk;
+    if (body.length > MAX_BODY_SIZE) {
+      reject(createError('PAYLOAD_TOO_LARGE', 'Request body too large'));
+      req.destroy();
+    }
+  });
+
+  req.on('end', () => {
+    if (!body.trim()) {
+      resolve({});
+      return;
+    }
+    try {
+      const parsed = JSON.parse(body);
+      if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new Error('not an object');
+      }
+      resolve(parsed);
+    } catch (error) {
+      reject(createError('PARSE_ERROR', 'Request body must be a JSON object'));
+    }
+  });
+
+  req.on('error', reject);
+});
+
+// Helper function to check that a request is addressed to this server by name: an IP address, localhost, the
+// address it listens on or the name of this machine, so that a page of another site cannot reach it through a
+// domain resolving to this machine (DNS rebinding)
+const isHostAllowed = (req, listenHost) => {
+  let hostname;
+  try {
+    hostname = new URL(`http://${req.headers.host}`).hostname.replace(/^\[(.*)\]$/, '$1');
+  } catch (error) {
+    return false;
+  }
+  return Boolean(req.headers.host) &&
+    (net.isIP(hostname) !== 0 || hostname === 'localhost' || hostname === listenHost || hostname === os.hostname());
+};
+
+// Helper function to check that a request sent by a browser comes from a page of this server
+const isOriginAllowed = (req) => {
+  if (req.headers.origin === undefined) {
+    return true;
+  }
+  try {
+    return new URL(req.headers.origin).host === req.headers.host;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Helper function to refuse request bodies that are not JSON; browsers cannot send JSON to another site without
+// asking it first, so other sites cannot forge these requests
+const requireJSON = (req) => {
+  const type = String(req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  if (type !== 'application/json') {
+    throw createError('UNSUPPORTED_MEDIA_TYPE', 'Request Content-Type must be application/json');
+  }
+};
+
+// Helper function to compare a token without leaking its length or content through timing
+const isTokenValid = (expected, given) => {
+  const hash = value => crypto.createHash('sha256').update(String(value)).digest();
+  return typeof given === 'string' && crypto.timingSafeEqual(hash(expected), hash(given));
+};
+
+// Helper function to read the token of a request: the Authorization header, or ?token= for EventSource clients
+const readToken = (req, url) => {
+  const header = req.headers.authorization || '';
+  const bearer = /^Bearer\s+(.+)$/i.exec(header);
+  return bearer ? bearer[1].trim() : url.searchParams.get('token');
+};
+
+// Stream the log lines of the processes matching an identifier, or of every process, as Server-Sent Events
+const streamLogs = async (req, res, identifier, url) => {
+  const processes = identifier ? await api.describe(identifier) : await api.list();
+  const ids = new Set(processes.map(p => p.id));
+  const lines = parseInt(url.searchParams.get('lines') || '0', 10);
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-store',
+    Connection: 'keep-alive'
+  });
+
+  const send = (entry) => res.write(`event: log\ndata: ${JSON.stringify(entry)}\n\n`);
+
+  // Past lines come from the log files, then the live ones from the daemon
+  if (lines > 0 && processes.length > 0) {
+    const settings = await api.getSettings();
+    queryLogs(getLogSources(processes, settings, 'all'), { stream: 'all', lines }).forEach(entry => send(toJSONEntry(entry)));
+  }
+
+  const stream = await api.streamLogs(({ process: processInfo, stream: source, line, timestamp }) => {
+    if (!identifier || ids.has(processInfo.id)) {
+      send({ ts: new Date(timestamp).toISOString(), app: processInfo.name, instance: processInfo.instance, stream: source, message: line });
+    }
+  }, { names: identifier ? [...new Set(processes.map(p => p.name))] : undefined });
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    stream.close();
+  });
+};
+
+// Routes of the REST API: method, path pattern and handler receiving the path parameters and the request body.
+// Every route is guarded alike: the token when there is one, and the Host, Origin and Content-Type checks, which keep
+// other sites out of a server without a token; starting an application runs any command, like restarting one whose
+// script was changed, so it is not treated apart
+const ROUTES = [
+  ['GET', /^\/api\/processes$/, () => api.list()],
+  ['POST', /^\/api\/processes$/, (params, body) => {
+    if (!body.script) {
+      throw createError('INVALID_PARAMS', 'Missing parameter script');
+    }
+    const { script, ...options } = body;
+    return api.start(script, options);
+  }],
+  ['GET', /^\/api\/processes\/([^/]+)$/, ([identifier]) => api.describe(identifier)],
+  ['DELETE', /^\/api\/processes\/([^/]+)$/, ([identifier]) => api.delete(identifier)],
+  ['POST', /^\/api\/processes\/([^/]+)\/stop$/, ([identifier]) => api.stop(identifier)],
+  ['POST', /^\/api\/processes\/([^/]+)\/restart$/, ([identifier]) => api.restart(identifier)],
+  ['POST', /^\/api\/processes\/([^/]+)\/reload$/, ([identifier]) => api.reload(identifier)],
+  ['POST', /^\/api\/processes\/([^/]+)\/scale$/, ([name], body) => {
+    if (body.instances === undefined || body.instances === null || body.instances === '') {
+      throw createError('INVALID_PARAMS', 'Missing parameter instances');
+    }
+    return api.scale(name, body.instances);
+  }],
+  ['GET', /^\/api\/processes\/([^/]+)\/metrics$/, ([identifier]) => api.metrics(identifier)]
+];
+
+// Create the HTTP server; with a token, every API request must carry it, and with metrics it serves /metrics to Prometheus.
+// host is the address it listens on, accepted in the Host header of requests
+const createWebServer = ({ token, metrics = false, host = DEFAULT_WEB_HOST } = {}) => http.createServer(async (req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+
+  try {
+    if (!isHostAllowed(req, host) || !isOriginAllowed(req)) {
+      throw createError('FORBIDDEN', 'Requests must be addressed to this server by its own pages');
+    }
+
+    if (req.method === 'GET' && (url.pathname === '/' || url.pathname === '/index.html')) {
+      // The page holds no data, it asks for the token when the API refuses it
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' });
+      res.end(fs.readFileSync(DASHBOARD_FILE));
+      return;
+    }
+
+    if (token && !isTokenValid(token, readToken(req, url))) {
+      throw createError('UNAUTHORIZED', 'Missing or invalid token');
+    }
+
+    if (metrics && req.method === 'GET' && url.pathname === '/metrics') {
+      const body = formatMetrics(await api.stats());
+      res.writeHead(200, { 'Content-Type': CONTENT_TYPE, 'Cache-Control': 'no-store' });
+      res.end(body);
+      return;
+    }
+
+    const logs = /^\/api\/(?:processes\/([^/]+)\/)?logs$/.exec(url.pathname);
+    if (req.method === 'GET' && logs) {
+      await streamLogs(req, res, logs[1] && decodeURIComponent(logs[1]), url);
+      return;
+    }
+
+    const route = ROUTES.find(([method, pattern]) => method === req.method && pattern.test(url.pathname));
+    if (!route) {
+      throw createError('NOT_FOUND', `No route for ${req.method} ${url.pathname}`);
+    }
+
+    const params = route[1].exec(url.pathname).slice(1).map(decodeURIComponent);
+    if (req.method === 'POST' || req.method === 'DELETE') {
+      requireJSON(req);
+    }
+    const body = req.method === 'POST' ? await readBody(req) : {};
+    sendJSON(res, 200, await route[2](params, body));
+  } catch (error) {
+    if (res.headersSent) {
+      res.end();
+    } else {
+      sendError(res, error);
+    }
+  }
+});
+
+module.exports = {
+  DEFAULT_WEB_PORT,
+  DEFAULT_WEB_HOST,
+  isLoopbackHost,
+  createWebServer
+};
@@ -0,0 +1,71 @@
+/**
+ * GTR Manager - Daemon client tests
+ * Answers requests from a fake daemon listening on the socket of a temporary GTR_HOME
+ */
+
+const { test, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'gtr-client-'));
+process.env.GTR_HOME = home;
+
+const { SOCKET_FILE } = require('../lib/paths');
+const { request } = require('../lib/client');
+const { getExitCode } = require('../lib/errors');
+
+after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+// Helper function to run a fake daemon writing a fixed reply to every request, resolving to its server
+const serve = (reply) => new Promise((resolve) => {
+  const server = net.createServer((socket) => {
+    socket.once('data', () => socket.end(reply));
+  });
+  server.listen(SOCKET_FILE, () => resolve(server));
+});
+
+// Helper function to stop a fake daemon
+const close = server => new Promise(resolve => server.close(resolve));
+
+test('a reply resolves to its result', async () => {
+  const server = await serve('{"jsonrpc":"2.0","id":1,"result":{"pid":42}}\n');
+  try {
+    assert.deepStrictEqual(await request('ping'), { pid: 42 });
+  } finally {
+    await close(server);
+  }
+});
+
+test('an error reply rejects with its code', async () => {
+  const server = await serve('{"jsonrpc":"2.0","id":1,"error":{"code":-32001,"message":"Process api not found","data":{"code":"PROCESS_NOT_FOUND"}}}\n');
+  try {
+    await assert.rejects(request('describe', { identifier: 'api' }), { code: 'PROCESS_NOT_FOUND', message: 'Process api not found' });
+  } finally {
+    await close(server);
+  }
+});
+
+test('a garbled reply rejects with DAEMON_UNAVAILABLE', async () => {
+  const server = await serve('{"jsonrpc":"2.0","id":1,"res\n');
+  try {
+    await assert.rejects(request('ping'), (error) => {
+      assert.strictEqual(error.code, 'DAEMON_UNAVAILABLE');
+      assert.strictEqual(getExitCode(error), 6);
+      return true;
+    });
+  } finally {
+    await close(server);
+  }
+});
+
+test('a connection closed without a reply rejects with DAEMON_UNAVAILABLE', async () => {
+  const server = await serve('{"jsonrpc":"2.0"');
+  try {
+    await assert.rejects(request('ping'), { code: 'DAEMON_UNAVAILABLE' });
+  } finally {
+    await close(server);
+  }
+});
@@ -0,0 +1,86 @@
+/**
+ * GTR Manager - Ecosystem config file tests
+ * Loads JSON, YAML and JS config files written to a temporary directory
+ */
+
+const { test, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { isConfigFile, loadConfig } = require('../lib/config');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gtr-config-'));
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Helper function to write a config file into the temporary directory, returning its path
+const writeConfig = (name, content) => {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+  return file;
+};
+
+test('config files are told apart from scripts', () => {
+  ['gtr.json', 'apps.yaml', 'apps.yml', 'gtr.config.js', 'gtr.config.cjs'].forEach(file => assert.strictEqual(isConfigFile(file), true, file));
+  ['server.js', 'run.sh', 'config.js'].forEach(file => assert.strictEqual(isConfigFile(file), false, file));
+});
+
+test('apps are normalized into start requests relative to the config file', () => {
+  const file = writeConfig('gtr.json', {
+    apps: [
+      {
+        script: 'server.js',
+        cwd: 'api',
+        instances: 2,
+        args: '--port 3000',
+        env: { PORT: 3000, DEBUG: true },
+        logFile: 'logs/api.log',
+        namespace: 'shop',
+        tags: ['web'],
+        unknown: 'ignored'
+      },
+      { name: 'worker', script: '/srv/worker.js', nodeArgs: ['--max-old-space-size=256'] }
+    ]
+  });
+
+  assert.deepStrictEqual(loadConfig(file), [
+    {
+      name: 'server',
+      script: path.join(dir, 'api', 'server.js'),
+      options: {
+        cwd: path.join(dir, 'api'),
+        args: ['--port', '3000'],
+        instances: 2,
+        env: { PORT: '3000', DEBUG: 'true' },
+        namespace: 'shop',
+        tags: ['web'],
+        logFile: path.join(dir, 'logs', 'api.log')
+      }
+    },
+    {
+      name: 'worker',
+      script: '/srv/worker.js',
+      options: { cwd: dir, nodeArgs: ['--max-old-space-size=256'] }
+    }
+  ]);
+});
+
+test('YAML files and JS modules exporting a bare array are read', () => {
+  const yamlFile = writeConfig('apps.yaml', 'apps:\n  - name: api\n    script: ./api.js\n    execMode: cluster\n');
+  assert.deepStrictEqual(loadConfig(yamlFile), [{ name: 'api', script: path.join(dir, 'api.js'), options: { cwd: dir, execMode: 'cluster' } }]);
+
+  const jsFile = writeConfig('gtr.config.js', "module.exports = [{ name: 'api', script: 'api.js', instances: 1 }];\n");
+  assert.strictEqual(loadConfig(jsFile)[0].options.instances, 1);
+
+  // A JS config is read again after it changed
+  writeConfig('gtr.config.js', "module.exports = [{ name: 'api', script: 'api.js', instances: 3 }];\n");
+  assert.strictEqual(loadConfig(jsFile)[0].options.instances, 3);
+});
+
+test('invalid config files are refused', () => {
+  assert.throws(() => loadConfig(path.join(dir, 'missing.json')), /does not exist/);
+  assert.throws(() => loadConfig(writeConfig('empty.json', {})), /must export an apps array/);
+  assert.throws(() => loadConfig(writeConfig('noscript.json', [{ name: 'api' }])), /App #0 has no script/);
+  assert.throws(() => loadConfig(writeConfig('twice.json', [{ script: 'api.js' }, { name: 'api', script: 'other.js' }])), /declares api more than once/);
+});
@@ -0,0 +1,157 @@
+/**
+ * GTR Manager - Lifecycle hook tests
+ * Runs actions against a local HTTP listener and temporary files
+ */
+
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { parseHooks, runHook } = require('../lib/hooks');
+
+const payload = {
+  event: 'on_crash',
+  app: 'api',
+  process: { id: 3, name: 'api', pid: 4242, instance: 1, status: 'online' },
+  code: 1,
+  signal: null,
+  stderr: ['Error: boom'],
+  timestamp: new Date().toISOString()
+};
+
+// Helper function to start a listener answering each request with the next status, resolving to { url, requests, close }
+const listen = (statuses) => new Promise((resolve) => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      requests.push({ method: req.method, headers: req.headers, body: JSON.parse(body) });
+      const status = statuses[Math.min(requests.length - 1, statuses.length - 1)];
+      if (status === null) {
+        return;
+      }
+      res.writeHead(status);
+      res.end();
+    });
+  });
+
+  server.listen(0, '127.0.0.1', () => resolve({
+    url: `http://127.0.0.1:${server.address().port}/hook`,
+    requests,
+    close: () => {
+      server.closeAllConnections && server.closeAllConnections();
+      server.close();
+    }
+  }));
+});
+
+test('parseHooks reads command, webhook and module actions', () => {
+  const hooks = parseHooks({
+    pre_start: './prepare.sh',
+    on_crash: ['https://hooks.example.com/gtr', { module: 'hooks/page.js', retries: 2 }]
+  }, {}, '/srv/app');
+
+  assert.deepStrictEqual(hooks.pre_start, [{ type: 'command', target: './prepare.sh', timeout: 10000, retries: 0 }]);
+  assert.strictEqual(hooks.on_crash[0].type, 'webhook');
+  assert.deepStrictEqual(hooks.on_crash[1], { type: 'module', target: '/srv/app/hooks/page.js', timeout: 10000, retries: 2 });
+  assert.strictEqual(parseHooks(null), null);
+});
+
+test('parseHooks refuses unknown hooks and invalid settings', () => {
+  assert.throws(() => parseHooks({ on_launch: 'true' }), { code: 'INVALID_OPTION' });
+  assert.throws(() => parseHooks({ on_crash: { url: 'ftp://example.com' } }), { code: 'INVALID_OPTION' });
+  assert.throws(() => parseHooks({ on_crash: 'true' }, { timeout: 0 }), { code: 'INVALID_OPTION' });
+});
+
+test('a webhook receives the payload as JSON with its headers', async () => {
+  const listener = await listen([200]);
+  try {
+    const [action] = parseHooks({ on_crash: { url: listener.url, headers: { Authorization: 'Bearer s3cret' } } }).on_crash;
+    const [result] = await runHook([action], payload);
+
+    assert.strictEqual(result.error, null);
+    assert.strictEqual(result.attempts, 1);
+    assert.strictEqual(listener.requests.length, 1);
+    assert.strictEqual(listener.requests[0].method, 'POST');
+    assert.strictEqual(listener.requests[0].headers['content-type'], 'application/json');
+    assert.strictEqual(listener.requests[0].headers.authorization, 'Bearer s3cret');
+    assert.deepStrictEqual(listener.requests[0].body, payload);
+  } finally {
+    listener.close();
+  }
+});
+
+test('a failed webhook is retried', async () => {
+  const listener = await listen([500, 200]);
+  try {
+    const [action] = parseHooks({ on_crash: { url: listener.url, retries: 2 } }).on_crash;
+    const [result] = await runHook([action], payload);
+
+    assert.strictEqual(result.error, null);
+    assert.strictEqual(result.attempts, 2);
+    assert.strictEqual(listener.requests.length, 2);
+  } finally {
+    listener.close();
+  }
+});
+
+test('a webhook failing every attempt reports its last error', async () => {
+  const listener = await listen([503]);
+  try {
+    const [action] = parseHooks({ on_crash: { url: listener.url, retries: 1 } }).on_crash;
+    const [result] = await runHook([action], payload);
+
+    assert.strictEqual(result.error, 'HTTP 503');
+    assert.strictEqual(result.attempts, 2);
+  } finally {
+    listener.close();
+  }
+});
+
+test('a webhook not answering within its timeout fails', async () => {
+  const listener = await listen([null]);
+  try {
+    const [action] = parseHooks({ on_crash: { url: listener.url, timeout: 200 } }).on_crash;
+    const [result] = await runHook([action], payload);
+
+    assert.strictEqual(result.error, 'no response within 200ms');
+  } finally {
+    listener.close();
+  }
+});
+
+test('commands and modules receive the payload', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gtr-hooks-'));
+  try {
+    fs.writeFileSync(path.join(dir, 'hook.js'), `module.exports = async (payload) => {
+      require('fs').writeFileSync(${JSON.stringify(path.join(dir, 'module.json'))}, JSON.stringify(payload));
+    };`);
+    const hooks = parseHooks({
+      on_crash: [
+        'echo "$GTR_EVENT $GTR_APP $GTR_PROCESS_ID $GTR_INSTANCE $GTR_PID $GTR_EXIT_CODE" > command.txt',
+        { module: 'hook.js' }
+      ]
+    }, {}, dir);
+
+    const results = await runHook(hooks.on_crash, payload, { cwd: dir, env: {} });
+
+    assert.deepStrictEqual(results.map(result => result.error), [null, null]);
+    assert.strictEqual(fs.readFileSync(path.join(dir, 'command.txt'), 'utf8'), 'on_crash api 3 1 4242 1\n');
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(dir, 'module.json'), 'utf8')), payload);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('a command exceeding its timeout fails', async () => {
+  const [action] = parseHooks({ pre_start: { command: 'sleep 5', timeout: 200 } }).pre_start;
+  const [result] = await runHook([action], payload, { cwd: os.tmpdir(), env: {} });
+
+  assert.strictEqual(result.error, 'did not finish within 200ms');
+});
@@ -0,0 +1,118 @@
+/**
+ * GTR Manager - Event journal tests
+ * Records and queries the lifecycle events of applications in a temporary GTR_HOME
+ */
+
+const { test, after, beforeEach } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'gtr-journal-'));
+process.env.GTR_HOME = home;
+
+const { JOURNAL_DIR } = require('../lib/paths');
+const { writeProcesses } = require('../lib/store');
+const { JOURNAL_SIZE, recordEvent, queryJournal } = require('../lib/journal');
+
+let clock = Date.parse('2024-05-01T12:00:00.000Z');
+
+// Helper function to journal an event of a process, a second after the previous one
+const record = (event, processInfo, details = {}) => {
+  clock += 1000;
+  recordEvent({
+    event,
+    process: { id: processInfo.id, name: processInfo.name, pid: 4000 + processInfo.id, instance: processInfo.instance || 0, status: 'online' },
+    ...details,
+    timestamp: new Date(clock).toISOString()
+  });
+};
+
+// Helper function to summarize journaled events as 'event name#id'
+const summary = entries => entries.map(entry => `${entry.event} ${entry.process.name}#${entry.process.id}`);
+
+const api0 = { id: 0, name: 'api', instance: 0, namespace: 'shop', tags: ['web'] };
+const api1 = { id: 1, name: 'api', instance: 1, namespace: 'shop', tags: ['web'] };
+const worker = { id: 2, name: 'worker', instance: 0, namespace: 'jobs', tags: [] };
+
+after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+// The journal creates its directory on the first write to each file only, so the directory is kept
+beforeEach(() => {
+  fs.mkdirSync(JOURNAL_DIR, { recursive: true });
+  fs.readdirSync(JOURNAL_DIR).forEach(file => fs.rmSync(path.join(JOURNAL_DIR, file)));
+  writeProcesses([api0, api1, worker]);
+});
+
+test('events are selected like the other commands select processes', () => {
+  record('start', api0);
+  record('start', api1);
+  record('start', worker);
+  record('crash', api1, { code: 1 });
+  record('restart', api1);
+
+  assert.deepStrictEqual(summary(queryJournal('api')), ['start api#0', 'start api#1', 'crash api#1', 'restart api#1']);
+  assert.deepStrictEqual(summary(queryJournal('1')), ['start api#1', 'crash api#1', 'restart api#1']);
+  assert.deepStrictEqual(summary(queryJournal(['id:0', 'worker'])), ['start api#0', 'start worker#2']);
+  assert.deepStrictEqual(summary(queryJournal('w*')), ['start worker#2']);
+  assert.deepStrictEqual(summary(queryJournal('/^(api|worker)$/', { limit: 2 })), ['crash api#1', 'restart api#1']);
+  assert.deepStrictEqual(summary(queryJournal('all', { events: ['crash', 'restart'] })), ['crash api#1', 'restart api#1']);
+});
+
+test('namespace and tag filters narrow the selection', () => {
+  record('start', api0);
+  record('start', worker);
+
+  assert.deepStrictEqual(summary(queryJournal('all', { namespace: 'jobs' })), ['start worker#2']);
+  assert.deepStrictEqual(summary(queryJournal('all', { tags: ['web'] })), ['start api#0']);
+  assert.throws(() => queryJournal('worker', { namespace: 'shop' }), { code: 'PROCESS_NOT_FOUND' });
+});
+
+test('an application keeps the events of its removed instances, and a deleted one is found by name', () => {
+  const removed = { id: 5, name: 'api', instance: 2 };
+  record('start', removed);
+  record('delete', removed);
+  record('start', api0);
+  record('start', { id: 9, name: 'gone' });
+  record('delete', { id: 9, name: 'gone' });
+
+  assert.deepStrictEqual(summary(queryJournal('api')), ['start api#5', 'delete api#5', 'start api#0']);
+  assert.deepStrictEqual(summary(queryJournal('gone')), ['start gone#9', 'delete gone#9']);
+  assert.deepStrictEqual(queryJournal('never-existed'), []);
+  assert.throws(() => queryJournal('gone', { namespace: 'shop' }), { code: 'PROCESS_NOT_FOUND' });
+});
+
+test('names that only differ by special characters have journals of their own', () => {
+  const names = ['a b', 'a_b', 'a%20b', 'a/b', 'café'];
+  names.forEach((name, index) => record('start', { id: 10 + index, name }));
+
+  names.forEach((name, index) => assert.deepStrictEqual(summary(queryJournal(name)), [`start ${name}#${10 + index}`]));
+  assert.deepStrictEqual(fs.readdirSync(JOURNAL_DIR).sort(), ['a%20b.jsonl', 'a%2520b.jsonl', 'a%2Fb.jsonl', 'a_b.jsonl', 'caf%C3%A9.jsonl']);
+});
+
+test('events journaled by older releases under a shared file name are still found', () => {
+  const legacy = [
+    { event: 'start', process: { id: 20, name: 'a b' }, timestamp: '2024-01-01T00:00:00.000Z' },
+    { event: 'start', process: { id: 21, name: 'a+b' }, timestamp: '2024-01-01T00:00:01.000Z' },
+    { event: 'start', process: { id: 22, name: 'a:b' }, timestamp: '2024-01-01T00:00:02.000Z' }
+  ];
+  fs.writeFileSync(path.join(JOURNAL_DIR, 'a_b.jsonl'), legacy.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+  record('stop', { id: 20, name: 'a b' });
+
+  assert.deepStrictEqual(summary(queryJournal('a b')), ['start a b#20', 'stop a b#20']);
+  assert.deepStrictEqual(summary(queryJournal('a:b')), ['start a:b#22']);
+  assert.deepStrictEqual(summary(queryJournal('a_b')), []);
+});
+
+test('a journal is trimmed to its last events once it grew past its slack', () => {
+  const busy = { id: 30, name: 'busy' };
+  for (let index = 0; index <= JOURNAL_SIZE + 100; index++) {
+    record('restart', busy, { index });
+  }
+
+  const entries = queryJournal('busy');
+  assert.strictEqual(entries.length, JOURNAL_SIZE);
+  assert.strictEqual(entries[entries.length - 1].index, JOURNAL_SIZE + 100);
+  assert.strictEqual(fs.readFileSync(path.join(JOURNAL_DIR, 'busy.jsonl'), 'utf8').split('\n').filter(Boolean).length, JOURNAL_SIZE);
+});
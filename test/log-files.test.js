@@ -0,0 +1,116 @@
+/**
+ * GTR Manager - Application log file tests
+ * Rotates, prunes and lists log files in a temporary directory
+ */
+
+const { test, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { resolveRotation, listLogFiles, readLogFile, getLogWriter, closeLogWriters } = require('../lib/log-files');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gtr-log-files-'));
+
+after(() => {
+  closeLogWriters();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Helper function to list the names of a log file and its rotated files, oldest first
+const names = file => listLogFiles(file).map(entry => path.basename(entry));
+
+test('rotation settings are merged over the defaults and checked', () => {
+  assert.deepStrictEqual(resolveRotation(), { maxSize: 10 * 1024 * 1024, interval: null, compress: false, retain: { files: 30 } });
+  assert.deepStrictEqual(
+    resolveRotation({ logMaxSize: '1K', logRetain: '7d' }, { logRotate: 'daily', logCompress: 'true', logMaxSize: null }),
+    { maxSize: 1024, interval: 'daily', compress: true, retain: { days: 7 } }
+  );
+  assert.strictEqual(resolveRotation({ logMaxSize: '0' }).maxSize, 0);
+  assert.throws(() => resolveRotation({ logRotate: 'weekly' }), { code: 'INVALID_OPTION' });
+  assert.throws(() => resolveRotation({ logRetain: 0 }), { code: 'INVALID_OPTION' });
+});
+
+test('a write that would pass the size limit rotates the file first', () => {
+  const file = path.join(dir, 'size.log');
+  const writer = getLogWriter(file, resolveRotation({ logMaxSize: 10 }));
+
+  writer.write('12345\n');
+  writer.write('678\n');
+  assert.deepStrictEqual(names(file), ['size.log']);
+
+  writer.write('abcdef\n');
+  const files = listLogFiles(file);
+  assert.strictEqual(files.length, 2);
+  assert.match(path.basename(files[0]), /^size\.log\.\d{8}-\d{6}$/);
+  assert.strictEqual(readLogFile(files[0]), '12345\n678\n');
+  assert.strictEqual(readLogFile(file), 'abcdef\n');
+});
+
+test('a single write larger than the limit still goes to an empty file', () => {
+  const file = path.join(dir, 'large.log');
+  const writer = getLogWriter(file, resolveRotation({ logMaxSize: 4 }));
+
+  writer.write('larger than the limit\n');
+  assert.deepStrictEqual(names(file), ['large.log']);
+});
+
+test('rotation keeps the configured number of rotated files', async () => {
+  const file = path.join(dir, 'retain.log');
+  const writer = getLogWriter(file, resolveRotation({ logRetain: 2 }));
+
+  for (let index = 1; index <= 4; index++) {
+    writer.write(`line ${index}\n`);
+    await writer.rotate();
+  }
+  writer.write('line 5\n');
+
+  const files = listLogFiles(file);
+  assert.strictEqual(files.length, 3);
+  assert.deepStrictEqual(files.map(readLogFile), ['line 3\n', 'line 4\n', 'line 5\n']);
+});
+
+test('an empty file is not rotated', () => {
+  const file = path.join(dir, 'empty.log');
+  const writer = getLogWriter(file, resolveRotation());
+
+  assert.strictEqual(writer.rotate(), null);
+  assert.deepStrictEqual(names(file), ['empty.log']);
+});
+
+test('rotated files are compressed when asked', async () => {
+  const file = path.join(dir, 'compress.log');
+  const writer = getLogWriter(file, resolveRotation({ logCompress: true }));
+
+  writer.write('compressed\n');
+  const rotatedFile = await writer.rotate();
+
+  assert.match(rotatedFile, /\.gz$/);
+  assert.strictEqual(zlib.gunzipSync(fs.readFileSync(rotatedFile)).toString('utf8'), 'compressed\n');
+  assert.strictEqual(readLogFile(rotatedFile), 'compressed\n');
+});
+
+test('log files are listed oldest first with the current file last', () => {
+  const file = path.join(dir, 'order.log');
+  [
+    'order.log',
+    'order.log.20240102-000000',
+    'order.log.20240101-120000-10.gz',
+    'order.log.20240101-120000-2',
+    'order.log.20240101-120000',
+    'order.log.20231231-235959.gz',
+    'order.log.old',
+    'order.logger.log'
+  ].forEach(name => fs.writeFileSync(path.join(dir, name), ''));
+
+  assert.deepStrictEqual(names(file), [
+    'order.log.20231231-235959.gz',
+    'order.log.20240101-120000',
+    'order.log.20240101-120000-2',
+    'order.log.20240101-120000-10.gz',
+    'order.log.20240102-000000',
+    'order.log'
+  ]);
+  assert.deepStrictEqual(listLogFiles(path.join(dir, 'missing.log')), []);
+});
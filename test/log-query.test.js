@@ -0,0 +1,115 @@
+/**
+ * GTR Manager - Log querying tests
+ * Parses times and log lines, and queries log files written to a temporary directory
+ */
+
+const { test, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { resolveLogFormat, formatLine } = require('../lib/log-format');
+const { parseTime, parsePattern, createLineParser, matchesQuery, getLogSources, queryLogs, toJSONEntry } = require('../lib/log-query');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gtr-log-query-'));
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const NOW = Date.parse('2024-05-01T12:00:00.000Z');
+
+test('times are read as durations before now or as dates', () => {
+  assert.strictEqual(parseTime('30s', NOW).toISOString(), '2024-05-01T11:59:30.000Z');
+  assert.strictEqual(parseTime('10m', NOW).toISOString(), '2024-05-01T11:50:00.000Z');
+  assert.strictEqual(parseTime(' 2h ', NOW).toISOString(), '2024-05-01T10:00:00.000Z');
+  assert.strictEqual(parseTime('1d', NOW).toISOString(), '2024-04-30T12:00:00.000Z');
+  assert.strictEqual(parseTime('2024-04-01T08:30:00Z', NOW).toISOString(), '2024-04-01T08:30:00.000Z');
+  assert.strictEqual(parseTime('2024-04-01 08:30', NOW).getTime(), new Date(2024, 3, 1, 8, 30).getTime());
+
+  ['yesterday', '10 minutes', '5w', ''].forEach(value => assert.throws(() => parseTime(value, NOW), { code: 'INVALID_OPTION' }));
+});
+
+test('grep patterns are compiled, invalid ones refused', () => {
+  assert.ok(parsePattern('^Error').test('Error: boom'));
+  assert.throws(() => parsePattern('(unclosed'), { code: 'INVALID_OPTION' });
+});
+
+test('lines written with every format are parsed back', () => {
+  const date = new Date(2024, 4, 1, 9, 5, 7, 42);
+  const written = { app: 'api', instance: 2, stream: 'err', message: 'Error: boom [1:2] ok', date };
+  const defaults = { app: 'api', instance: null, stream: 'out' };
+
+  const iso = resolveLogFormat({ logTimestamp: true, logPrefix: true });
+  const isoEntry = createLineParser(iso, defaults)(formatLine(iso, written));
+  assert.strictEqual(isoEntry.ts.getTime(), date.getTime());
+  assert.strictEqual(isoEntry.app, 'api');
+  assert.strictEqual(isoEntry.instance, 2);
+  assert.strictEqual(isoEntry.message, 'Error: boom [1:2] ok');
+
+  const pattern = resolveLogFormat({ logTimestamp: 'DD/MM/YYYY HH:mm:ss.SSS' });
+  const patternEntry = createLineParser(pattern, defaults)(formatLine(pattern, written));
+  assert.strictEqual(patternEntry.ts.getTime(), date.getTime());
+  assert.strictEqual(patternEntry.instance, null);
+  assert.strictEqual(patternEntry.message, 'Error: boom [1:2] ok');
+
+  const json = resolveLogFormat({ logFormat: 'json' });
+  const line = formatLine(json, written);
+  const jsonEntry = createLineParser(json, defaults)(line);
+  assert.deepStrictEqual(toJSONEntry(jsonEntry), { ts: date.toISOString(), app: 'api', instance: 2, stream: 'err', message: 'Error: boom [1:2] ok' });
+});
+
+test('lines that do not match the format are kept whole', () => {
+  const parse = createLineParser(resolveLogFormat({ logTimestamp: true, logPrefix: true, logFormat: 'text' }), { app: 'api', instance: null, stream: 'out' });
+  assert.deepStrictEqual(parse('plain line'), { ts: null, app: 'api', instance: null, stream: 'out', message: 'plain line', line: 'plain line' });
+
+  const parseJSON = createLineParser(resolveLogFormat({ logFormat: 'json' }), { app: 'api', instance: null, stream: 'out' });
+  assert.strictEqual(parseJSON('not json').message, 'not json');
+  assert.strictEqual(parseJSON('not json').ts, null);
+});
+
+test('entries are filtered by stream, pattern and time', () => {
+  const entry = { ts: new Date(NOW), stream: 'err', message: 'Error: boom' };
+
+  assert.strictEqual(matchesQuery(entry, { stream: 'all' }), true);
+  assert.strictEqual(matchesQuery(entry, { stream: 'out' }), false);
+  assert.strictEqual(matchesQuery({ ...entry, stream: null }, { stream: 'out' }), true);
+  assert.strictEqual(matchesQuery(entry, { grep: /boom/ }), true);
+  assert.strictEqual(matchesQuery(entry, { grep: /^Warn/ }), false);
+  assert.strictEqual(matchesQuery(entry, { since: new Date(NOW - 1), until: new Date(NOW + 1) }), true);
+  assert.strictEqual(matchesQuery(entry, { since: new Date(NOW + 1) }), false);
+  assert.strictEqual(matchesQuery(entry, { until: new Date(NOW - 1) }), false);
+  assert.strictEqual(matchesQuery({ ...entry, ts: null }, { since: new Date(NOW + 1) }), true);
+});
+
+test('log files are queried across rotated files and streams, in time order', () => {
+  const settings = { logTimestamp: true };
+  const format = resolveLogFormat(settings);
+  const outFile = path.join(dir, 'api.log');
+  const errFile = path.join(dir, 'api-error.log');
+  const line = (minute, message) => `${formatLine(format, { message, date: new Date(NOW + minute * 60000) })}\n`;
+
+  fs.writeFileSync(`${outFile}.20240501-120200`, line(0, 'out 0') + line(2, 'out 2'));
+  fs.writeFileSync(outFile, line(4, 'out 4') + 'continued\n');
+  fs.writeFileSync(errFile, line(1, 'err 1') + line(3, 'err 3'));
+
+  // Each file was last written when its last line was
+  const touch = (file, minute) => fs.utimesSync(file, new Date(NOW + minute * 60000), new Date(NOW + minute * 60000));
+  touch(`${outFile}.20240501-120200`, 2);
+  touch(outFile, 4);
+  touch(errFile, 3);
+
+  const processInfo = { name: 'api', logFile: outFile, errorLogFile: errFile };
+  const all = getLogSources([processInfo, { ...processInfo }], settings, 'all');
+  assert.deepStrictEqual(all.map(source => [source.stream, path.basename(source.file)]), [['out', 'api.log'], ['err', 'api-error.log']]);
+  assert.deepStrictEqual(getLogSources([processInfo], settings, 'err').map(source => source.stream), ['err']);
+
+  const messages = query => queryLogs(all, query).map(entry => entry.message);
+  assert.deepStrictEqual(messages({ stream: 'all' }), ['out 0', 'err 1', 'out 2', 'err 3', 'out 4', 'continued']);
+  assert.deepStrictEqual(messages({ stream: 'all', lines: 3 }), ['err 3', 'out 4', 'continued']);
+  assert.deepStrictEqual(messages({ stream: 'all', grep: /^out/ }), ['out 0', 'out 2', 'out 4']);
+  assert.deepStrictEqual(messages({ stream: 'all', since: new Date(NOW + 90000), until: new Date(NOW + 200000) }), ['out 2', 'err 3', 'continued']);
+
+  // Lines without a timestamp follow the files they are in: the current file is left out once it starts after the window
+  assert.deepStrictEqual(messages({ stream: 'all', until: new Date(NOW + 60000) }), ['out 0', 'err 1']);
+  assert.deepStrictEqual(messages({ stream: 'all', since: new Date(NOW + 150000) }), ['err 3', 'out 4', 'continued']);
+  assert.deepStrictEqual(queryLogs(all, { stream: 'all' }).map(entry => entry.stream).slice(0, 2), ['out', 'err']);
+});
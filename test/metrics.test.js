@@ -0,0 +1,118 @@
+/**
+ * GTR Manager - Process metrics tests
+ * Parses /proc and ps output from fixtures, samples the test process itself where /proc exists, and fills histories
+ */
+
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  HISTORY_SIZE,
+  parseStat,
+  readField,
+  parsePsOutput,
+  readUsage,
+  recordSample,
+  getHistory,
+  recordExit,
+  getExits,
+  clearHistory,
+  summarize
+} = require('../lib/metrics');
+
+const STAT = '4242 (node (worker) 2) S 4200 4242 4242 0 -1 4194560 2571 0 0 0 150 30 5 2 20 0 11 0 98765 1130000384 12034 18446744073709551615\n';
+
+const STATUS = [
+  'Name:\tnode',
+  'State:\tS (sleeping)',
+  'Pid:\t4242',
+  'VmPeak:\t 1103556 kB',
+  'VmRSS:\t   48136 kB',
+  'Threads:\t11',
+  ''
+].join('\n');
+
+const IO = [
+  'rchar: 90210',
+  'wchar: 1234',
+  'syscr: 42',
+  'syscw: 7',
+  'read_bytes: 4096',
+  'write_bytes: 8192',
+  'cancelled_write_bytes: 0',
+  ''
+].join('\n');
+
+test('stat fields are read after the command name, whatever it contains', () => {
+  assert.deepStrictEqual(parseStat(STAT), { ppid: 4200, cpuTicks: 187, threads: 11, startTicks: 98765 });
+});
+
+test('status and io fields are read as numbers', () => {
+  assert.strictEqual(readField(STATUS, 'VmRSS'), 48136);
+  assert.strictEqual(readField(STATUS, 'Threads'), 11);
+  assert.strictEqual(readField(IO, 'read_bytes'), 4096);
+  assert.strictEqual(readField(IO, 'write_bytes'), 8192);
+  assert.strictEqual(readField(IO, 'syscr'), 42);
+  assert.strictEqual(readField('', 'VmRSS'), 0);
+});
+
+test('ps output is read with CPU times in every format ps prints', () => {
+  const usage = parsePsOutput([
+    '  101  12.5  1.2  20480 00:01:05',
+    '  102   0.0  0.1   1024 1-02:03:04',
+    '  103   3.0  0.4   4096 0:02.50',
+    '  104   0.5  0.2   2048 1:02:03.25',
+    ''
+  ].join('\n'));
+
+  assert.deepStrictEqual(usage.get(101), { cpu: 12.5, memory: 1.2, rss: 20480 * 1024, cpuTime: 65, threads: 0, fds: 0, readBytes: 0, writeBytes: 0 });
+  assert.strictEqual(usage.get(102).cpuTime, 93784);
+  assert.strictEqual(usage.get(103).cpuTime, 2.5);
+  assert.strictEqual(usage.get(104).cpuTime, 3723.25);
+  assert.strictEqual(parsePsOutput('').size, 0);
+});
+
+test('the test process is sampled from /proc', { skip: !fs.existsSync('/proc/self/stat') }, async () => {
+  const before = (await readUsage([process.pid])).get(process.pid);
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gtr-metrics-'));
+  const fds = [1, 2, 3].map(index => fs.openSync(path.join(dir, `${index}.txt`), 'w'));
+  try {
+    const after = (await readUsage([process.pid])).get(process.pid);
+
+    assert.ok(before.rss > 0);
+    assert.ok(before.threads > 0);
+    assert.ok(before.cpuTime > 0);
+    assert.strictEqual(after.fds - before.fds, 3);
+    assert.strictEqual(typeof after.readBytes, 'number');
+  } finally {
+    fds.forEach(fd => fs.closeSync(fd));
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  assert.strictEqual((await readUsage([999999999])).size, 0);
+});
+
+test('histories keep the latest samples, oldest first', () => {
+  for (let index = 0; index < HISTORY_SIZE + 5; index++) {
+    recordSample(7, { cpu: index });
+  }
+
+  const history = getHistory(7);
+  assert.strictEqual(history.length, HISTORY_SIZE);
+  assert.strictEqual(history[0].cpu, 5);
+  assert.strictEqual(history[HISTORY_SIZE - 1].cpu, HISTORY_SIZE + 4);
+  assert.deepStrictEqual(summarize(history.slice(0, 3), 'cpu'), { min: 5, avg: 6, max: 7 });
+  assert.strictEqual(summarize([], 'cpu'), null);
+
+  recordExit(7, 1, null);
+  recordExit(7, 1, null);
+  recordExit(7, null, 'SIGKILL');
+  assert.deepStrictEqual(getExits(7), { 'code:1': 2, 'signal:SIGKILL': 1 });
+
+  clearHistory(7);
+  assert.deepStrictEqual(getHistory(7), []);
+  assert.deepStrictEqual(getExits(7), {});
+});
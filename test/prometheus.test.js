@@ -0,0 +1,78 @@
+/**
+ * GTR Manager - Prometheus exporter tests
+ * Formats fixed stats and checks the exposition text
+ */
+
+const test = require('node:test');
+const assert = require('assert');
+const { formatMetrics } = require('../lib/prometheus');
+
+const daemon = { version: '2.0.0', pid: 100, uptime: 60000, cpuTime: 1.5, rss: 52428800 };
+
+const processes = [
+  { id: 0, name: 'api', instance: 0, status: 'online', restarts: 2, uptime: 30000, cpuTime: 4.25, rss: 1048576, threads: 11, fds: 24, eventLoopLag: 12.5, exits: { 'code:1': 2 } },
+  { id: 1, name: 'api', instance: 1, status: 'online', restarts: 0, uptime: 29000, cpuTime: 3, rss: 2097152, threads: 11, fds: 22, eventLoopLag: null, exits: {} },
+  { id: 2, name: 'say "hi" \\ bye', status: 'errored', restarts: 15, uptime: null, cpuTime: 0, rss: 0, threads: 0, fds: 0, eventLoopLag: null, exits: { 'signal:SIGKILL': 1 } }
+];
+
+// Helper function to format the fixed stats as lines
+const format = () => formatMetrics({ daemon, processes }).split('\n');
+
+// Helper function to list the sample lines of a metric
+const samplesOf = (lines, name) => lines.filter(line => line.startsWith(`${name}{`) || line.startsWith(`${name} `));
+
+test('every metric has one HELP and one TYPE line before its samples', () => {
+  const lines = format();
+  const names = [...new Set(lines.filter(line => line && !line.startsWith('#')).map(line => /^[a-z_]+/.exec(line)[0]))];
+
+  names.forEach((name) => {
+    const help = lines.indexOf(lines.find(line => line.startsWith(`# HELP ${name} `)));
+    const type = lines.indexOf(`# TYPE ${name} ${/_total$/.test(name) ? 'counter' : 'gauge'}`);
+    assert.ok(help >= 0, `HELP of ${name}`);
+    assert.strictEqual(type, help + 1, `TYPE of ${name}`);
+    assert.strictEqual(lines.filter(line => line.startsWith(`# HELP ${name} `)).length, 1);
+    assert.ok(lines.indexOf(samplesOf(lines, name)[0]) > type);
+  });
+  assert.strictEqual(formatMetrics({ daemon, processes }).endsWith('\n'), true);
+});
+
+test('each instance gets its own sample', () => {
+  const lines = format();
+
+  assert.deepStrictEqual(samplesOf(lines, 'gtr_process_up'), [
+    'gtr_process_up{id="0",app="api",instance="0"} 1',
+    'gtr_process_up{id="1",app="api",instance="1"} 1',
+    'gtr_process_up{id="2",app="say \\"hi\\" \\\\ bye",instance="0"} 0'
+  ]);
+  assert.deepStrictEqual(samplesOf(lines, 'gtr_process_restarts_total').map(line => line.split(' ').pop()), ['2', '0', '15']);
+  assert.strictEqual(samplesOf(lines, 'gtr_process_status').length, processes.length * 7);
+});
+
+test('label values escape quotes, backslashes and newlines', () => {
+  const [line] = formatMetrics({ daemon: { ...daemon, version: 'a\\b"c\nd' }, processes: [] }).split('\n')
+    .filter(entry => entry.startsWith('gtr_daemon_info'));
+
+  assert.strictEqual(line, 'gtr_daemon_info{version="a\\\\b\\"c\\nd",pid="100"} 1');
+});
+
+test('stopped processes and missing values are left out', () => {
+  const lines = format();
+
+  assert.deepStrictEqual(samplesOf(lines, 'gtr_process_resident_memory_bytes').map(line => line.split(' ').pop()), ['1048576', '2097152']);
+  assert.deepStrictEqual(samplesOf(lines, 'gtr_process_uptime_seconds').map(line => line.split(' ').pop()), ['30', '29']);
+  assert.deepStrictEqual(samplesOf(lines, 'gtr_process_event_loop_lag_seconds'), ['gtr_process_event_loop_lag_seconds{id="0",app="api",instance="0"} 0.0125']);
+  assert.deepStrictEqual(samplesOf(lines, 'gtr_process_exits_total'), [
+    'gtr_process_exits_total{id="0",app="api",instance="0",code="1",signal=""} 2',
+    'gtr_process_exits_total{id="2",app="say \\"hi\\" \\\\ bye",instance="0",code="",signal="SIGKILL"} 1'
+  ]);
+});
+
+test('the daemon and the status counts are exported without processes', () => {
+  const lines = formatMetrics({ daemon, processes: [] }).split('\n');
+
+  assert.deepStrictEqual(samplesOf(lines, 'gtr_process_up'), []);
+  assert.ok(!lines.includes('# HELP gtr_process_up Whether the process is running (1) or not (0).'));
+  assert.ok(lines.includes('gtr_processes{status="online"} 0'));
+  assert.ok(lines.includes('gtr_daemon_uptime_seconds 60'));
+  assert.ok(lines.includes('gtr_daemon_resident_memory_bytes 52428800'));
+});
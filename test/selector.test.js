@@ -0,0 +1,78 @@
+/**
+ * GTR Manager - Process selector tests
+ * Matches identifiers, namespaces and tags against a fixed process list
+ */
+
+const test = require('node:test');
+const assert = require('assert');
+const { parseLabels, checkName, filterProcesses, selectProcesses } = require('../lib/selector');
+const { getExitCode } = require('../lib/errors');
+
+const processes = [
+  { id: 0, pid: 4100, name: 'api', namespace: 'shop', tags: ['web', 'critical'] },
+  { id: 1, pid: 4101, name: 'api', namespace: 'shop', tags: ['web', 'critical'] },
+  { id: 2, pid: 4102, name: 'worker', namespace: 'shop', tags: ['jobs'] },
+  { id: 3, pid: 4103, name: 'api', namespace: 'blog', tags: ['web'] },
+  { id: 4, pid: null, name: 'cron' }
+];
+
+// Helper function to list the IDs of selected processes
+const ids = selected => selected.map(p => p.id);
+
+test('identifiers match IDs, PIDs, names, globs, regexes and lists', () => {
+  assert.deepStrictEqual(ids(selectProcesses(processes, '2')), [2]);
+  assert.deepStrictEqual(ids(selectProcesses(processes, '4103')), [3]);
+  assert.deepStrictEqual(ids(selectProcesses(processes, 'api')), [0, 1, 3]);
+  assert.deepStrictEqual(ids(selectProcesses(processes, 'w*')), [2]);
+  assert.deepStrictEqual(ids(selectProcesses(processes, '/^(api|cron)$/')), [0, 1, 3, 4]);
+  assert.deepStrictEqual(ids(selectProcesses(processes, 'cron,id:2')), [2, 4]);
+  assert.deepStrictEqual(ids(selectProcesses(processes, 'all')), [0, 1, 2, 3, 4]);
+});
+
+test('a namespace alone narrows every identifier', () => {
+  assert.deepStrictEqual(ids(selectProcesses(processes, 'all', { namespace: 'shop' })), [0, 1, 2]);
+  assert.deepStrictEqual(ids(selectProcesses(processes, 'api', { namespace: 'blog' })), [3]);
+  assert.deepStrictEqual(ids(selectProcesses(processes, 'all', { namespace: 'default' })), [4]);
+});
+
+test('tags alone keep the processes carrying every one of them', () => {
+  assert.deepStrictEqual(ids(selectProcesses(processes, 'all', { tags: 'web' })), [0, 1, 3]);
+  assert.deepStrictEqual(ids(selectProcesses(processes, 'all', { tags: 'web,critical' })), [0, 1]);
+  assert.deepStrictEqual(ids(selectProcesses(processes, 'all', { tags: ['jobs'] })), [2]);
+});
+
+test('a namespace and tags combine', () => {
+  assert.deepStrictEqual(ids(selectProcesses(processes, 'api', { namespace: 'shop', tags: 'critical' })), [0, 1]);
+  assert.deepStrictEqual(ids(filterProcesses(processes, { namespace: 'blog', tags: 'web' })), [3]);
+  assert.deepStrictEqual(ids(filterProcesses(processes, { namespace: 'blog', tags: 'critical' })), []);
+});
+
+test('a selector matching nothing fails with PROCESS_NOT_FOUND and exit code 3', () => {
+  const notFound = (message) => (error) => {
+    assert.strictEqual(error.code, 'PROCESS_NOT_FOUND');
+    assert.strictEqual(error.message, message);
+    assert.strictEqual(getExitCode(error), 3);
+    return true;
+  };
+
+  assert.throws(() => selectProcesses(processes, 'web'), notFound('Process web not found'));
+  assert.throws(() => selectProcesses(processes, 'api,nope'), notFound('Process nope not found'));
+  assert.throws(() => selectProcesses(processes, 'worker', { namespace: 'blog' }), notFound('Process worker not found in namespace blog'));
+  assert.throws(() => selectProcesses(processes, 'all', { tags: 'jobs,web' }), notFound('No process found in tags jobs, web'));
+  assert.throws(() => selectProcesses(processes, 'all', { namespace: 'blog', tags: 'jobs' }), notFound('No process found in namespace blog with tags jobs'));
+});
+
+test('selectors are required and checked', () => {
+  assert.throws(() => selectProcesses(processes, ''), { code: 'INVALID_PARAMS' });
+  assert.throws(() => selectProcesses(processes, '/(/'), { code: 'INVALID_OPTION' });
+});
+
+test('labels and names that selectors would misread are refused', () => {
+  assert.deepStrictEqual(parseLabels({}), { namespace: 'default', tags: [] });
+  assert.deepStrictEqual(parseLabels({ namespace: 'shop', tags: 'web, critical,web' }), { namespace: 'shop', tags: ['web', 'critical'] });
+  assert.throws(() => parseLabels({ namespace: 'my shop' }), { code: 'INVALID_OPTION' });
+  assert.throws(() => parseLabels({ tags: ['a/b'] }), { code: 'INVALID_OPTION' });
+
+  assert.strictEqual(checkName('api'), 'api');
+  ['all', 'a,b', 'api-*', '/api/', 'id:3'].forEach(name => assert.throws(() => checkName(name), { code: 'INVALID_OPTION' }));
+});
@@ -0,0 +1,103 @@
+/**
+ * GTR Manager - Process list persistence tests
+ * Upgrades, recovery and locking of the process list of a temporary GTR_HOME
+ */
+
+const { test, after, beforeEach } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'gtr-store-'));
+process.env.GTR_HOME = home;
+
+const { PROCESS_FILE } = require('../lib/paths');
+const { SCHEMA_VERSION, parseStore, readProcesses, writeProcesses, modifyProcesses } = require('../lib/store');
+
+const LOCK_FILE = `${PROCESS_FILE}.lock`;
+const BACKUP_FILE = `${PROCESS_FILE}.bak`;
+
+after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+beforeEach(() => {
+  fs.readdirSync(home).filter(file => file.startsWith('processes.json')).forEach(file => fs.rmSync(path.join(home, file)));
+});
+
+test('a bare array of version 1 is upgraded to the current version with defaults', () => {
+  const store = parseStore(JSON.stringify([{ id: 0, name: 'api', script: '/srv/api.js', status: 'online', restarts: 2 }]));
+
+  assert.strictEqual(store.schemaVersion, SCHEMA_VERSION);
+  assert.strictEqual(store.processes.length, 1);
+
+  const [processInfo] = store.processes;
+  assert.strictEqual(processInfo.name, 'api');
+  assert.strictEqual(processInfo.restarts, 2);
+  assert.deepStrictEqual(processInfo.args, []);
+  assert.strictEqual(processInfo.execMode, 'fork');
+  assert.strictEqual(processInfo.instances, 1);
+  assert.strictEqual(processInfo.restartPolicy, 'always');
+  assert.strictEqual(processInfo.logMaxSize, null);
+  assert.strictEqual(processInfo.watch, false);
+  assert.strictEqual(processInfo.killTimeout, 30000);
+  assert.strictEqual(processInfo.startedAt, null);
+  assert.strictEqual(processInfo.hooks, null);
+  assert.strictEqual(processInfo.namespace, 'default');
+  assert.deepStrictEqual(processInfo.tags, []);
+});
+
+test('upgrades keep the values already set', () => {
+  const store = parseStore(JSON.stringify({ schemaVersion: 12, processes: [{ id: 1, name: 'worker', hooks: { on_crash: [] }, namespace: 'jobs' }] }));
+
+  assert.deepStrictEqual(store.processes[0].hooks, { on_crash: [] });
+  assert.strictEqual(store.processes[0].namespace, 'jobs');
+  assert.deepStrictEqual(store.processes[0].tags, []);
+});
+
+test('a process list of a newer release is refused with STORE_VERSION', () => {
+  const content = JSON.stringify({ schemaVersion: SCHEMA_VERSION + 1, processes: [] });
+
+  assert.throws(() => parseStore(content), { code: 'STORE_VERSION' });
+
+  fs.writeFileSync(PROCESS_FILE, content);
+  assert.throws(() => readProcesses(), { code: 'STORE_VERSION' });
+  assert.strictEqual(fs.readFileSync(PROCESS_FILE, 'utf8'), content);
+});
+
+test('a corrupt process list is set aside and restored from the backup', () => {
+  writeProcesses([{ id: 0, name: 'api' }]);
+  writeProcesses([{ id: 0, name: 'api' }, { id: 1, name: 'worker' }]);
+  assert.deepStrictEqual(parseStore(fs.readFileSync(BACKUP_FILE, 'utf8')).processes, [{ id: 0, name: 'api' }]);
+
+  fs.writeFileSync(PROCESS_FILE, '{"schemaVersion":13,"proc');
+
+  const originalError = console.error;
+  console.error = () => {};
+  let processes;
+  try {
+    processes = readProcesses();
+  } finally {
+    console.error = originalError;
+  }
+
+  assert.deepStrictEqual(processes, [{ id: 0, name: 'api' }]);
+  assert.deepStrictEqual(parseStore(fs.readFileSync(PROCESS_FILE, 'utf8')).processes, [{ id: 0, name: 'api' }]);
+
+  const corrupt = fs.readdirSync(home).filter(file => file.startsWith('processes.json.corrupt-'));
+  assert.strictEqual(corrupt.length, 1);
+  assert.strictEqual(fs.readFileSync(path.join(home, corrupt[0]), 'utf8'), '{"schemaVersion":13,"proc');
+});
+
+test('a lock left by a process that is gone is taken over', () => {
+  writeProcesses([]);
+  const deadPid = spawnSync(process.execPath, ['-e', '']).pid;
+  fs.writeFileSync(LOCK_FILE, String(deadPid));
+
+  const started = Date.now();
+  modifyProcesses(processes => processes.push({ id: 0, name: 'api' }));
+
+  assert.ok(Date.now() - started < 1000);
+  assert.deepStrictEqual(readProcesses(), [{ id: 0, name: 'api' }]);
+  assert.strictEqual(fs.existsSync(LOCK_FILE), false);
+});
@@ -0,0 +1,234 @@
+/**
+ * GTR Manager - Supervisor tests
+ * Runs short-lived scripts under the supervisor with a temporary GTR_HOME and follows their lifecycle events
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'gtr-supervisor-'));
+process.env.GTR_HOME = home;
+
+const { bus, adoptProcesses, startGTR, stopGTR, applyApps, scaleGTR, stopAll, collectMetrics } = require('../lib/supervisor');
+const { readProcesses, modifyProcesses, generateId, updateProcess } = require('../lib/store');
+const { loadConfig } = require('../lib/config');
+
+const scripts = path.join(home, 'scripts');
+const originalLog = console.log;
+
+// Runtime fields of an entry that only make sense while its process runs
+const RUNTIME = { cpu: 7, memory: 1.5, rss: 52428800, threads: 11, fds: 24, readBytes: 4096, writeBytes: 8192 };
+const CLEARED = { pid: null, cpu: 0, memory: 0, rss: 0, threads: 0, fds: 0, readBytes: 0, writeBytes: 0 };
+
+// Helper function to pick the runtime fields of an entry
+const runtimeOf = processInfo => Object.keys(CLEARED).reduce((fields, key) => ({ ...fields, [key]: processInfo[key] }), {});
+
+// Helper function to write a script into the temporary home, returning its path
+const writeScript = (name, source) => {
+  fs.mkdirSync(scripts, { recursive: true });
+  const file = path.join(scripts, name);
+  fs.writeFileSync(file, source);
+  return file;
+};
+
+// Helper function to collect the events of a process, with the time they arrived, until one of the given events
+const collectEvents = (name, until, timeout = 10000) => new Promise((resolve, reject) => {
+  const events = [];
+  const timer = setTimeout(() => {
+    bus.removeListener('event', listener);
+    reject(new Error(`No ${until.join(' or ')} event for ${name} within ${timeout}ms (got ${events.map(e => e.event).join(', ')})`));
+  }, timeout);
+
+  const listener = (event) => {
+    if (event.process.name !== name) {
+      return;
+    }
+    events.push({ ...event, at: Date.now() });
+    if (until.includes(event.event)) {
+      clearTimeout(timer);
+      bus.removeListener('event', listener);
+      resolve(events);
+    }
+  };
+
+  bus.on('event', listener);
+});
+
+// Helper function to read the saved entry of a process by name
+const findEntry = name => readProcesses().find(p => p.name === name);
+
+// Helper function to list the saved entries of an application as { instance: pid }
+const pidsOf = name => readProcesses()
+  .filter(p => p.name === name)
+  .reduce((pids, p) => ({ ...pids, [p.instance]: p.pid }), {});
+
+// Helper function to declare applications in a config file and apply it, resolving to { name: action }
+const applyConfig = async (apps) => {
+  const file = path.join(home, 'gtr.json');
+  fs.writeFileSync(file, JSON.stringify({ apps }));
+  const results = await applyApps(loadConfig(file));
+  return results.reduce((actions, result) => ({ ...actions, [result.name]: result.action }), {});
+};
+
+before(() => {
+  console.log = () => {};
+});
+
+after(async () => {
+  await stopAll();
+  console.log = originalLog;
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+test('a clean exit is not restarted under the on-failure policy', async () => {
+  const script = writeScript('clean.js', 'process.exit(0);\n');
+  const events = collectEvents('clean', ['stop', 'restart']);
+
+  await startGTR('clean', script, { restartPolicy: 'on-failure' });
+
+  assert.deepStrictEqual((await events).map(e => e.event), ['start', 'exit', 'stop']);
+  assert.strictEqual(findEntry('clean').status, 'stopped');
+  assert.strictEqual(findEntry('clean').restarts, 0);
+});
+
+test('a crash is not restarted under the never policy', async () => {
+  const script = writeScript('never.js', 'process.exit(3);\n');
+  const events = collectEvents('never', ['stop', 'restart']);
+
+  await startGTR('never', script, { restartPolicy: 'never' });
+
+  assert.deepStrictEqual((await events).map(e => e.event), ['start', 'exit', 'crash', 'stop']);
+  assert.deepStrictEqual(findEntry('never').lastExit.code, 3);
+});
+
+test('crashes are restarted with a doubling delay until maxRestarts, then the process is errored', async () => {
+  const script = writeScript('crash.js', 'process.exit(1);\n');
+  const events = collectEvents('crash', ['errored']);
+
+  await startGTR('crash', script, { restartPolicy: 'on-failure', minUptime: 10000, maxRestarts: 2, restartDelay: 50 });
+
+  const received = await events;
+  assert.deepStrictEqual(received.map(e => e.event).filter(event => event !== 'crash'), ['start', 'exit', 'restart', 'exit', 'restart', 'exit', 'errored']);
+
+  // Each restart waits restartDelay * 2 ** (crashes in a row) after the exit it follows
+  const delays = received
+    .map((event, index) => (event.event === 'restart' ? event.at - received.slice(0, index).filter(e => e.event === 'exit').pop().at : null))
+    .filter(delay => delay !== null);
+  assert.strictEqual(delays.length, 2);
+  assert.ok(delays[0] >= 100, `first delay ${delays[0]}ms`);
+  assert.ok(delays[1] >= 200, `second delay ${delays[1]}ms`);
+
+  const entry = findEntry('crash');
+  assert.strictEqual(entry.status, 'errored');
+  assert.strictEqual(entry.restarts, 2);
+  assert.strictEqual(entry.lastRestartReason, 'exit');
+});
+
+test('limit restarts back off like crashes, and a process over its limit from the start is errored at maxRestarts', async () => {
+  const script = writeScript('greedy.js', 'setInterval(() => {}, 1000);\n');
+  const [started] = await startGTR('greedy', script, { maxMemoryRestart: '1K', maxRestarts: 1, restartDelay: 50 });
+
+  const restarted = collectEvents('greedy', ['restart']);
+  await collectMetrics();
+  const [stop, restart] = (await restarted).slice(-2);
+  assert.strictEqual(stop.event, 'stop');
+  assert.strictEqual(restart.reason, 'max-memory');
+  assert.match(restart.message, /above the 0\.0 MB limit/);
+  assert.ok(restart.at - stop.at >= 100, `delay ${restart.at - stop.at}ms`);
+
+  const errored = collectEvents('greedy', ['errored', 'restart']);
+  await collectMetrics();
+  const [gaveUp] = (await errored).slice(-1);
+  assert.strictEqual(gaveUp.event, 'errored');
+  assert.strictEqual(gaveUp.process.pid, restart.process.pid);
+
+  const entry = findEntry('greedy');
+  assert.strictEqual(entry.status, 'errored');
+  assert.strictEqual(entry.restarts, 1);
+  assert.notStrictEqual(restart.process.pid, started.pid);
+  assert.deepStrictEqual(runtimeOf(entry), CLEARED);
+});
+
+test('applying a config creates, keeps, scales and restarts applications as declared', async () => {
+  const script = writeScript('server.js', 'setInterval(() => {}, 1000);\n');
+  const app = { name: 'server', script, instances: 1, env: { MODE: 'a' } };
+
+  assert.deepStrictEqual(await applyConfig([app]), { server: 'created' });
+  const [first] = Object.values(pidsOf('server'));
+  assert.ok(first);
+
+  assert.deepStrictEqual(await applyConfig([app]), { server: 'unchanged' });
+  assert.deepStrictEqual(pidsOf('server'), { 0: first });
+
+  // A different instance count adds instances and leaves the running one alone
+  assert.deepStrictEqual(await applyConfig([{ ...app, instances: 3 }]), { server: 'updated' });
+  const scaled = pidsOf('server');
+  assert.deepStrictEqual(Object.keys(scaled), ['0', '1', '2']);
+  assert.strictEqual(scaled[0], first);
+  assert.ok(readProcesses().filter(p => p.name === 'server').every(p => p.instances === 3 && p.status === 'online'));
+
+  assert.deepStrictEqual(await applyConfig([{ ...app, instances: 2 }]), { server: 'updated' });
+  assert.deepStrictEqual(pidsOf('server'), { 0: first, 1: scaled[1] });
+
+  // A changed definition restarts every instance with it
+  assert.deepStrictEqual(await applyConfig([{ ...app, instances: 2, env: { MODE: 'b' } }]), { server: 'updated' });
+  const restarted = readProcesses().filter(p => p.name === 'server');
+  assert.ok(restarted.every(p => p.env.MODE === 'b' && p.status === 'online' && p.pid !== first && p.pid !== scaled[1]));
+
+  // A stopped application is started again
+  await stopGTR(restarted[0].id);
+  assert.deepStrictEqual(await applyConfig([{ ...app, instances: 2, env: { MODE: 'b' } }]), { server: 'started' });
+  assert.ok(readProcesses().filter(p => p.name === 'server').every(p => p.status === 'online'));
+});
+
+test('scaling takes absolute and relative counts and keeps at least one instance', async () => {
+  const script = writeScript('scaled.js', 'setInterval(() => {}, 1000);\n');
+  await startGTR('scaled', script, {});
+  const [first] = Object.values(pidsOf('scaled'));
+
+  assert.strictEqual((await scaleGTR('scaled', '+2')).length, 3);
+  assert.strictEqual((await scaleGTR('scaled', '-1')).length, 2);
+  assert.strictEqual((await scaleGTR('scaled', 1)).length, 1);
+  assert.deepStrictEqual(pidsOf('scaled'), { 0: first });
+
+  await assert.rejects(scaleGTR('scaled', '-1'), { code: 'INVALID_OPTION' });
+  await assert.rejects(scaleGTR('missing', 2), { code: 'PROCESS_NOT_FOUND' });
+});
+
+test('a stopped process keeps no PID or metrics, but its events name the process that stopped', async () => {
+  const script = writeScript('stopped.js', 'setInterval(() => {}, 1000);\n');
+  const [started] = await startGTR('stopped', script, {});
+  updateProcess(started.id, RUNTIME);
+
+  const events = collectEvents('stopped', ['stop']);
+  await stopGTR(started.id);
+
+  const [stop] = (await events).slice(-1);
+  assert.strictEqual(stop.process.pid, started.pid);
+
+  const entry = findEntry('stopped');
+  assert.strictEqual(entry.status, 'stopped');
+  assert.deepStrictEqual(runtimeOf(entry), CLEARED);
+  assert.strictEqual(entry.startedAt, started.startedAt);
+});
+
+test('a process that gave up restarting or is gone when the daemon starts keeps no PID or metrics', async () => {
+  const script = writeScript('limit.js', 'process.exit(1);\n');
+  const events = collectEvents('limit', ['errored']);
+  await startGTR('limit', script, { minUptime: 10000, maxRestarts: 0, restartDelay: 10 });
+  await events;
+  assert.deepStrictEqual(runtimeOf(findEntry('limit')), CLEARED);
+
+  const deadPid = spawnSync(process.execPath, ['-e', '']).pid;
+  const id = generateId();
+  modifyProcesses(processes => processes.push({ id, name: 'dead', script, status: 'online', pid: deadPid, ...RUNTIME }));
+  adoptProcesses();
+
+  const entry = findEntry('dead');
+  assert.strictEqual(entry.status, 'stopped');
+  assert.deepStrictEqual(runtimeOf(entry), CLEARED);
+});
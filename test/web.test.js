@@ -0,0 +1,190 @@
+/**
+ * GTR Manager - HTTP server tests
+ * Sends requests to the web server, backed by a fake daemon listening on the socket of a temporary GTR_HOME
+ */
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const http = require('http');
+
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'gtr-web-'));
+process.env.GTR_HOME = home;
+
+const { SOCKET_FILE } = require('../lib/paths');
+const { createWebServer } = require('../lib/web');
+
+const processes = [{ id: 0, name: 'api', pid: 4100, status: 'online', instance: 0 }];
+
+// Replies of the fake daemon by method, and the requests it received other than pings
+const replies = {
+  ping: () => ({ pid: process.pid, version: 'test' }),
+  list: () => processes,
+  describe: ({ identifier }) => {
+    if (identifier !== 'api') {
+      return { error: { code: -32001, message: `Process ${identifier} not found`, data: { code: 'PROCESS_NOT_FOUND' } } };
+    }
+    return processes;
+  },
+  start: params => [{ id: 1, name: params.name, status: 'online' }],
+  stop: () => processes.map(p => ({ ...p, status: 'stopped' })),
+  restart: () => processes,
+  scale: () => processes,
+  stats: () => ({ daemon: { version: 'test', pid: process.pid, uptime: 1000, cpuTime: 0.5, rss: 1024 }, processes: [] })
+};
+let calls = [];
+
+let daemon;
+const servers = [];
+
+// Helper function to start a web server on a free port, resolving to its port
+const serve = (options) => new Promise((resolve) => {
+  const server = createWebServer(options);
+  servers.push(server);
+  server.listen(0, '127.0.0.1', () => resolve(server.address().port));
+});
+
+// Helper function to send a request, resolving to { status, type, body }, with a JSON body parsed
+const send = (port, method, pathname, { headers = {}, body } = {}) => new Promise((resolve, reject) => {
+  const req = http.request({ host: '127.0.0.1', port, method, path: pathname, headers: { Host: `127.0.0.1:${port}`, ...headers } }, (res) => {
+    let data = '';
+    res.setEncoding('utf8');
+    res.on('data', (chunk) => {
+      data += chunk;
+    });
+    res.on('end', () => {
+      const type = res.headers['content-type'] || '';
+      resolve({ status: res.statusCode, type, body: type.startsWith('application/json') ? JSON.parse(data) : data });
+    });
+  });
+  req.on('error', reject);
+  req.end(body === undefined ? undefined : JSON.stringify(body));
+});
+
+// Helper function to send a JSON request
+const sendJSON = (port, method, pathname, body = {}, headers = {}) =>
+  send(port, method, pathname, { headers: { 'Content-Type': 'application/json', ...headers }, body });
+
+before(() => new Promise((resolve) => {
+  daemon = net.createServer((socket) => {
+    socket.setEncoding('utf8');
+    socket.once('data', (line) => {
+      const { method, params } = JSON.parse(line);
+      if (method !== 'ping') {
+        calls.push({ method, params });
+      }
+      const reply = replies[method](params);
+      socket.end(`${JSON.stringify(reply && reply.error ? { jsonrpc: '2.0', id: 1, error: reply.error } : { jsonrpc: '2.0', id: 1, result: reply })}\n`);
+    });
+  });
+  daemon.listen(SOCKET_FILE, resolve);
+}));
+
+beforeEach(() => {
+  calls = [];
+});
+
+after(async () => {
+  servers.forEach(server => server.close());
+  await new Promise(resolve => daemon.close(resolve));
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+test('routes reach the daemon and map its errors to HTTP statuses', async () => {
+  const port = await serve({});
+
+  const page = await send(port, 'GET', '/');
+  assert.strictEqual(page.status, 200);
+  assert.match(page.type, /^text\/html/);
+
+  assert.deepStrictEqual((await send(port, 'GET', '/api/processes')).body, processes);
+  assert.deepStrictEqual((await send(port, 'GET', '/api/processes/api')).body, processes);
+
+  const missing = await send(port, 'GET', '/api/processes/web');
+  assert.strictEqual(missing.status, 404);
+  assert.deepStrictEqual(missing.body, { error: { code: 'PROCESS_NOT_FOUND', message: 'Process web not found' } });
+
+  assert.strictEqual((await send(port, 'GET', '/api/nothing')).status, 404);
+  assert.strictEqual((await send(port, 'PUT', '/api/processes')).status, 404);
+  assert.strictEqual((await send(port, 'GET', '/metrics')).status, 404);
+});
+
+test('actions decode their parameters and check their body', async () => {
+  const port = await serve({});
+
+  assert.strictEqual((await sendJSON(port, 'POST', '/api/processes/%2Fap.%2F/stop')).status, 200);
+  assert.deepStrictEqual(calls.pop(), { method: 'stop', params: { identifier: ['/ap./'] } });
+
+  const scale = await sendJSON(port, 'POST', '/api/processes/api/scale', {});
+  assert.strictEqual(scale.status, 400);
+  assert.strictEqual(scale.body.error.code, 'INVALID_PARAMS');
+  assert.strictEqual((await sendJSON(port, 'POST', '/api/processes/api/scale', { instances: '+1' })).status, 200);
+  assert.deepStrictEqual(calls.pop().params, { name: 'api', instances: '+1' });
+
+  // An empty body is read as {}
+  assert.strictEqual((await send(port, 'POST', '/api/processes/api/restart', { headers: { 'Content-Type': 'application/json' } })).status, 200);
+  assert.deepStrictEqual(calls.pop(), { method: 'restart', params: { identifier: ['api'] } });
+});
+
+test('applications are started like any other action when there is no token', async () => {
+  const port = await serve({});
+
+  const started = await sendJSON(port, 'POST', '/api/processes', { script: 'app.js', cwd: '/srv' });
+  assert.strictEqual(started.status, 200);
+  assert.deepStrictEqual(started.body, [{ id: 1, name: 'app', status: 'online' }]);
+  assert.deepStrictEqual(calls.pop(), { method: 'start', params: { name: 'app', script: '/srv/app.js', options: { cwd: '/srv' } } });
+
+  const noScript = await sendJSON(port, 'POST', '/api/processes', { name: 'app' });
+  assert.strictEqual(noScript.status, 400);
+  assert.strictEqual(noScript.body.error.code, 'INVALID_PARAMS');
+});
+
+test('requests that other sites could forge are refused before reaching the daemon', async () => {
+  const port = await serve({});
+
+  const rebound = await send(port, 'GET', '/api/processes', { headers: { Host: `evil.example:${port}` } });
+  assert.strictEqual(rebound.status, 403);
+  assert.strictEqual(rebound.body.error.code, 'FORBIDDEN');
+
+  assert.strictEqual((await send(port, 'GET', '/api/processes', { headers: { Host: `localhost:${port}` } })).status, 200);
+  assert.strictEqual((await sendJSON(port, 'POST', '/api/processes/api/stop', {}, { Origin: 'http://evil.example' })).status, 403);
+  assert.strictEqual((await sendJSON(port, 'POST', '/api/processes/api/stop', {}, { Origin: `http://127.0.0.1:${port}` })).status, 200);
+  calls = [];
+
+  const form = await send(port, 'POST', '/api/processes', { headers: { 'Content-Type': 'text/plain' }, body: { script: 'app.js' } });
+  assert.strictEqual(form.status, 415);
+  assert.strictEqual(form.body.error.code, 'UNSUPPORTED_MEDIA_TYPE');
+  assert.strictEqual((await send(port, 'DELETE', '/api/processes/api')).status, 415);
+
+  const notObject = await send(port, 'POST', '/api/processes', { headers: { 'Content-Type': 'application/json' }, body: ['app.js'] });
+  assert.strictEqual(notObject.status, 400);
+  assert.strictEqual(notObject.body.error.code, 'PARSE_ERROR');
+
+  assert.deepStrictEqual(calls, []);
+});
+
+test('with a token, every API request must carry it', async () => {
+  const port = await serve({ token: 's3cret', metrics: true });
+
+  assert.strictEqual((await send(port, 'GET', '/')).status, 200);
+
+  const anonymous = await send(port, 'GET', '/api/processes');
+  assert.strictEqual(anonymous.status, 401);
+  assert.strictEqual(anonymous.body.error.code, 'UNAUTHORIZED');
+  assert.strictEqual((await send(port, 'GET', '/api/processes', { headers: { Authorization: 'Bearer wrong' } })).status, 401);
+  assert.strictEqual((await sendJSON(port, 'POST', '/api/processes', { script: 'app.js' })).status, 401);
+  assert.strictEqual((await send(port, 'GET', '/metrics')).status, 401);
+  assert.deepStrictEqual(calls, []);
+
+  assert.strictEqual((await send(port, 'GET', '/api/processes', { headers: { Authorization: 'Bearer s3cret' } })).status, 200);
+  assert.strictEqual((await send(port, 'GET', '/api/processes?token=s3cret')).status, 200);
+  assert.strictEqual((await sendJSON(port, 'POST', '/api/processes', { script: '/srv/app.js' }, { Authorization: 'bearer s3cret' })).status, 200);
+
+  const metrics = await send(port, 'GET', '/metrics', { headers: { Authorization: 'Bearer s3cret' } });
+  assert.strictEqual(metrics.status, 200);
+  assert.match(metrics.type, /^text\/plain; version=0\.0\.4/);
+  assert.match(metrics.body, /^gtr_daemon_info\{version="test",pid="\d+"\} 1$/m);
+});